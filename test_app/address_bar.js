@@ -0,0 +1,95 @@
+import { $, toggleHide } from './common.js';
+
+/**
+ * A browser-style address bar for the NavigationHistory of the active frame:
+ * back and forward buttons with dropdown lists of the entries behind them, a
+ * reload/stop button, the URL and a load progress bar.
+ *
+ * The bar doesn't drive the frame itself. |actions| provides
+ * go(relativeIndex), navigate(url), reload() and stop().
+ */
+
+export class AddressBar {
+  constructor(history, actions) {
+    this.history = history;
+    this.actions = actions;
+    $('#address_back_btn').addEventListener('click', () => this.actions.go(-1));
+    $('#address_forward_btn').addEventListener(
+      'click',
+      () => this.actions.go(1)
+    );
+    $('#address_back_menu_btn').addEventListener('click', () => {
+      $('#address_forward_menu').classList.add('hide');
+      toggleHide($('#address_back_menu'));
+    });
+    $('#address_forward_menu_btn').addEventListener('click', () => {
+      $('#address_back_menu').classList.add('hide');
+      toggleHide($('#address_forward_menu'));
+    });
+    $('#address_reload_btn').addEventListener('click', () => {
+      if (this.history.load.loading) {
+        this.actions.stop();
+      } else {
+        this.actions.reload();
+      }
+    });
+    $('#address_form').addEventListener('submit', e => {
+      e.preventDefault();
+      this.actions.navigate($('#address_url_in').value);
+      $('#address_url_in').blur();
+    });
+  }
+
+  // Called by the history whenever it changes. Rendering is batched to once
+  // per animation frame.
+  update() {
+    if (this.#renderPending) return;
+    this.#renderPending = true;
+    requestAnimationFrame(() => {
+      this.#renderPending = false;
+      this.render();
+    });
+  }
+
+  render() {
+    const backEntries = this.history.backEntries;
+    const forwardEntries = this.history.forwardEntries;
+    $('#address_back_btn').disabled = backEntries.length === 0;
+    $('#address_back_menu_btn').disabled = backEntries.length === 0;
+    $('#address_forward_btn').disabled = forwardEntries.length === 0;
+    $('#address_forward_menu_btn').disabled = forwardEntries.length === 0;
+    this.#renderMenu($('#address_back_menu'), backEntries);
+    this.#renderMenu($('#address_forward_menu'), forwardEntries);
+
+    const { loading, progress, url, error } = this.history.load;
+    const reload = $('#address_reload_btn');
+    reload.innerText = loading ? '\u2715' : '\u21bb';
+    reload.title = loading ? 'Stop' : 'Reload';
+    // Don't overwrite what the user is typing.
+    if (document.activeElement !== $('#address_url_in')) {
+      $('#address_url_in').value = url ?? this.history.current?.url ?? '';
+    }
+    $('#address_url_in').title = error ?? '';
+    $('#address_url_in').classList.toggle('error', error !== null);
+    const bar = $('#address_progress');
+    bar.classList.toggle('hide', !loading);
+    bar.value = progress;
+  }
+
+  #renderMenu(menu, entries) {
+    if (entries.length === 0) menu.classList.add('hide');
+    const items = entries.map(entry => {
+      const item = document.createElement('button');
+      item.innerText = entry.url;
+      item.title = `go(${entry.relativeIndex})`;
+      item.addEventListener('click', () => {
+        menu.classList.add('hide');
+        this.actions.go(entry.relativeIndex);
+      });
+      return item;
+    });
+    menu.replaceChildren(...items);
+  }
+
+  #renderPending = false;
+}
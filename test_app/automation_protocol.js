@@ -0,0 +1,427 @@
+import { ConsoleAlertError } from './console_alerts.js';
+import { ApiUndefinedError, ControlledFrameAdapter } from './controlledframe_adapter.js';
+import { DialogPolicyError } from './dialog_policy.js';
+import { logger } from './logger.js';
+
+/**
+ * JSON command protocol to drive the <controlledframe> from an external test
+ * harness.
+ *
+ * Messages are JSON-RPC 2.0 objects. A harness sends requests such as
+ *
+ *   {"jsonrpc": "2.0", "id": 1, "method": "navigate",
+ *    "params": {"url": "https://example.com/"}}
+ *
+ * and gets back {"jsonrpc": "2.0", "id": 1, "result": ...} or an "error"
+ * object. <controlledframe> events are streamed to every harness that has
+ * sent at least one message as notifications without an id, e.g.
+ *
+ *   {"jsonrpc": "2.0", "method": "event.loadcommit",
+ *    "params": {"url": "https://example.com/", "isTopLevel": true, ...}}
+ *
+ * The same messages can be exchanged over window.postMessage(), a
+ * BroadcastChannel or a WebSocket to a local relay.
+ */
+
+export const JSONRPC_VERSION = '2.0';
+export const DEFAULT_CHANNEL_NAME = 'controlledframe-automation';
+
+// Hosts a WebSocket relay may run on. A relay has full control of the app,
+// so it must be on this machine.
+export const RELAY_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const EVENT_METHOD_PREFIX = 'event.';
+
+export const ErrorCode = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  API_UNDEFINED: -32001,
+  API_CALL_FAILED: -32002,
+};
+
+export class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+// Fields of each <controlledframe> event that are sent in its notification.
+export const EVENT_FIELDS = {
+  close: [],
+  consolemessage: ['level', 'message', 'line', 'sourceId'],
+  contentload: [],
+  dialog: ['messageType', 'messageText'],
+  exit: ['processID', 'reason'],
+  findupdate: [
+    'searchText',
+    'numberOfMatches',
+    'activeMatchOrdinal',
+    'selectionRect',
+    'canceled',
+    'finalUpdate',
+  ],
+  loadabort: ['url', 'isTopLevel', 'code', 'reason'],
+  loadcommit: ['url', 'isTopLevel'],
+  loadredirect: ['oldUrl', 'newUrl', 'isTopLevel'],
+  loadstart: ['url', 'isTopLevel'],
+  loadstop: [],
+  newwindow: [
+    'targetUrl',
+    'initialWidth',
+    'initialHeight',
+    'name',
+    'windowOpenDisposition',
+  ],
+  permissionrequest: ['permission', 'url', 'requestMethod', 'lastUnlockedBySelf'],
+  responsive: ['processID'],
+  sizechanged: ['oldWidth', 'oldHeight', 'newWidth', 'newHeight'],
+  unresponsive: ['processID'],
+  zoomchange: ['oldZoomFactor', 'newZoomFactor'],
+};
+
+// Returns the JSON-safe fields of event |e|.
+export function serializeEvent(e) {
+  const params = { timeStamp: Date.now() };
+  for (const field of EVENT_FIELDS[e.type] ?? []) {
+    if (e[field] === undefined) continue;
+    params[field] = JSON.parse(JSON.stringify(e[field]));
+  }
+  return params;
+}
+
+function requireParam(params, name, type) {
+  const value = params?.[name];
+  if (typeof value !== type) {
+    throw new ProtocolError(
+      ErrorCode.INVALID_PARAMS, `params.${name} must be a ${type}`);
+  }
+  return value;
+}
+
+// Commands map to ControlledFrameAdapter methods. Each one is called with the
+// adapter for the current <controlledframe>, the request params and the
+// ControlledFrameController.
+const COMMANDS = {
+  // Navigation
+  navigate: (frame, params) => frame.navigate(requireParam(params, 'url', 'string')),
+  back: frame => frame.back(),
+  forward: frame => frame.forward(),
+  go: (frame, params) =>
+    frame.go(requireParam(params, 'relativeIndex', 'number')),
+  canGoBack: frame => frame.canGoBack(),
+  canGoForward: frame => frame.canGoForward(),
+  reload: frame => frame.reload(),
+  stop: frame => frame.stop(),
+
+  // Scripting
+  executeScript: (frame, params) => frame.executeScript(params),
+  insertCSS: (frame, params) => frame.insertCSS(params),
+  addContentScripts: (frame, params) =>
+    frame.addContentScripts(params?.scripts),
+  removeContentScripts: (frame, params) =>
+    frame.removeContentScripts(params?.names),
+
+  // Configuration
+  clearData: (frame, params) =>
+    frame.clearData(params?.options ?? {}, params?.types ?? {}),
+  getAudioState: frame => frame.getAudioState(),
+  isAudioMuted: frame => frame.isAudioMuted(),
+  setAudioMuted: (frame, params) =>
+    frame.setAudioMuted(requireParam(params, 'mute', 'boolean')),
+  getZoom: frame => frame.getZoom(),
+  setZoom: (frame, params) =>
+    frame.setZoom(requireParam(params, 'zoomFactor', 'number')),
+  getZoomMode: frame => frame.getZoomMode(),
+  setZoomMode: (frame, params) =>
+    frame.setZoomMode(requireParam(params, 'zoomMode', 'string')),
+  getUserAgent: frame => frame.call('getUserAgent'),
+  setUserAgentOverride: (frame, params) =>
+    frame.call('setUserAgentOverride', requireParam(params, 'userAgent', 'string')),
+  getProcessId: frame => frame.call('getProcessId'),
+  terminate: frame => frame.call('terminate'),
+
+  // Capture and search
+  captureVisibleRegion: (frame, params) =>
+    frame.captureVisibleRegion(params ?? {}),
+  find: (frame, params) => frame.find(
+    requireParam(params, 'searchText', 'string'), params.options ?? {}),
+  stopFinding: (frame, params) => frame.stopFinding(params?.action),
+
+  // Attributes
+  getAttribute: (frame, params) => {
+    const name = requireParam(params, 'name', 'string');
+    return toJsonValue(frame.controlledFrame[name], name);
+  },
+  setAttribute: (frame, params) => {
+    frame.controlledFrame[requireParam(params, 'name', 'string')] =
+      params.value;
+  },
+  recreate: (frame, params, controller) => {
+    controller.CreateControlledFrameTag();
+  },
+  setDialogPolicy: (frame, params, controller) => {
+    try {
+      controller.SetDialogPolicy(params?.policy ?? {});
+    } catch (err) {
+      if (!(err instanceof DialogPolicyError)) throw err;
+      throw new ProtocolError(ErrorCode.INVALID_PARAMS, err.message);
+    }
+  },
+  setConsoleAlertRules: (frame, params, controller) => {
+    try {
+      controller.SetConsoleAlertRules(params?.rules ?? []);
+    } catch (err) {
+      if (!(err instanceof ConsoleAlertError)) throw err;
+      throw new ProtocolError(ErrorCode.INVALID_PARAMS, err.message);
+    }
+  },
+  listCommands: () => Object.keys(COMMANDS),
+};
+
+// Returns |value| if it can be sent as JSON as it is: a primitive, or an
+// array or plain object of those. Throws a ProtocolError for anything else,
+// such as contentWindow or the request API object.
+function toJsonValue(value, name) {
+  if (value === undefined || value === null) return null;
+  if (['string', 'number', 'boolean'].includes(typeof value)) return value;
+  const prototype = typeof value === 'object' && Object.getPrototypeOf(value);
+  if (Array.isArray(value) || prototype === Object.prototype) {
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch (_) {
+      // Falls through to the error below.
+    }
+  }
+  throw new ProtocolError(
+    ErrorCode.INVALID_PARAMS, `${name} is not a JSON-serializable attribute`);
+}
+
+function toErrorObject(err) {
+  if (err instanceof ProtocolError) {
+    return { code: err.code, message: err.message };
+  }
+  if (err instanceof ApiUndefinedError) {
+    return { code: ErrorCode.API_UNDEFINED, message: err.message };
+  }
+  return {
+    code: ErrorCode.API_CALL_FAILED,
+    message: err?.message ?? String(err),
+  };
+}
+
+/**
+ * Transports
+ *
+ * A transport calls |onMessage(data, reply)| for every incoming message and
+ * sends notifications to its clients with send(message).
+ */
+
+// Receives messages sent to this window with postMessage(). Only messages
+// from |allowedOrigins| are accepted; notifications go to every window that
+// has sent a message.
+export class PostMessageTransport {
+  constructor(allowedOrigins = [window.location.origin]) {
+    this.allowedOrigins = allowedOrigins;
+  }
+
+  start(onMessage) {
+    this.#listener = e => {
+      if (!this.allowedOrigins.includes(e.origin) || !e.source) return;
+      if (e.data?.jsonrpc !== JSONRPC_VERSION) return;
+      this.#clients.set(e.source, e.origin);
+      onMessage(e.data, response => e.source.postMessage(response, e.origin));
+    };
+    window.addEventListener('message', this.#listener);
+  }
+
+  send(message) {
+    for (const [source, origin] of this.#clients) {
+      source.postMessage(message, origin);
+    }
+  }
+
+  close() {
+    window.removeEventListener('message', this.#listener);
+    this.#clients.clear();
+  }
+
+  #clients = new Map();
+  #listener = null;
+}
+
+// Exchanges messages with other same-origin contexts on a BroadcastChannel.
+export class BroadcastChannelTransport {
+  constructor(name = DEFAULT_CHANNEL_NAME) {
+    this.name = name;
+  }
+
+  start(onMessage) {
+    this.#channel = new BroadcastChannel(this.name);
+    this.#channel.onmessage = e => {
+      // Ignore responses and notifications sent by other servers.
+      if (typeof e.data?.method !== 'string' ||
+          e.data.method.startsWith(EVENT_METHOD_PREFIX)) return;
+      onMessage(e.data, response => this.#channel.postMessage(response));
+    };
+  }
+
+  send(message) {
+    this.#channel?.postMessage(message);
+  }
+
+  close() {
+    this.#channel?.close();
+    this.#channel = null;
+  }
+
+  #channel = null;
+}
+
+// Returns whether |url| is a WebSocket URL on one of RELAY_HOSTS.
+export function isLocalRelayUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return false;
+  }
+  return ['ws:', 'wss:'].includes(parsed.protocol) &&
+    RELAY_HOSTS.includes(parsed.hostname);
+}
+
+// Connects to a local WebSocket relay that forwards JSON text messages
+// between the harness and this app. Throws if |url| isn't on RELAY_HOSTS.
+export class WebSocketTransport {
+  constructor(url) {
+    if (!isLocalRelayUrl(url)) {
+      throw new Error(
+        `${url} is not a WebSocket URL on ${RELAY_HOSTS.join(', ')}`);
+    }
+    this.url = url;
+  }
+
+  start(onMessage) {
+    this.#socket = new WebSocket(this.url);
+    this.#socket.onopen = () => logger.info(`Automation relay connected: ${this.url}`);
+    this.#socket.onclose = () => logger.info(`Automation relay closed: ${this.url}`);
+    this.#socket.onerror = () => logger.error(`Automation relay error: ${this.url}`);
+    this.#socket.onmessage = e => {
+      onMessage(e.data, response => this.send(response));
+    };
+  }
+
+  send(message) {
+    if (this.#socket?.readyState === WebSocket.OPEN) {
+      this.#socket.send(JSON.stringify(message));
+    }
+  }
+
+  close() {
+    this.#socket?.close();
+    this.#socket = null;
+  }
+
+  #socket = null;
+}
+
+export class AutomationServer {
+  constructor(controller) {
+    this.controller = controller;
+  }
+
+  get commands() {
+    return Object.keys(COMMANDS);
+  }
+
+  addTransport(transport) {
+    transport.start((data, reply) => this.#onMessage(data, reply));
+    this.#transports.push(transport);
+    return transport;
+  }
+
+  removeTransport(transport) {
+    transport.close();
+    this.#transports = this.#transports.filter(t => t !== transport);
+  }
+
+  // Streams the events of |controlledFrame| to the harness. Call again with
+  // the new element whenever the <controlledframe> is recreated.
+  attach(controlledFrame) {
+    for (const eventName of Object.keys(EVENT_FIELDS)) {
+      this.#controlledFrame?.removeEventListener(eventName, this.#onFrameEvent);
+      controlledFrame.addEventListener(eventName, this.#onFrameEvent);
+    }
+    this.#controlledFrame = controlledFrame;
+    this.#frame = new ControlledFrameAdapter(controlledFrame);
+  }
+
+  // Runs the JSON-RPC |message| and resolves with the response object, or
+  // null if |message| is a notification. Notifications never get a response,
+  // not even when they fail.
+  async handleMessage(message) {
+    let id = null;
+    let isNotification = false;
+    try {
+      if (typeof message === 'string') {
+        try {
+          message = JSON.parse(message);
+        } catch (e) {
+          throw new ProtocolError(ErrorCode.PARSE_ERROR, e.message);
+        }
+      }
+      id = message?.id ?? null;
+      if (message?.jsonrpc !== JSONRPC_VERSION ||
+          typeof message.method !== 'string') {
+        throw new ProtocolError(
+          ErrorCode.INVALID_REQUEST, 'not a JSON-RPC 2.0 request');
+      }
+      isNotification = message.id === undefined;
+      if (!Object.hasOwn(COMMANDS, message.method)) {
+        throw new ProtocolError(
+          ErrorCode.METHOD_NOT_FOUND, `unknown method ${message.method}`);
+      }
+      const result = await COMMANDS[message.method](
+        this.#frame, message.params ?? {}, this.controller);
+      if (isNotification) return null;
+      return { jsonrpc: JSONRPC_VERSION, id, result: result ?? null };
+    } catch (err) {
+      if (isNotification) {
+        logger.error(`automation ${message?.method}: ${err?.message ?? err}`);
+        return null;
+      }
+      return { jsonrpc: JSONRPC_VERSION, id, error: toErrorObject(err) };
+    }
+  }
+
+  // Sends a notification to every transport.
+  notify(method, params) {
+    const message = { jsonrpc: JSONRPC_VERSION, method, params };
+    for (const transport of this.#transports) {
+      transport.send(message);
+    }
+  }
+
+  close() {
+    for (const transport of this.#transports) {
+      transport.close();
+    }
+    this.#transports = [];
+  }
+
+  async #onMessage(data, reply) {
+    const response = await this.handleMessage(data);
+    if (response) reply(response);
+  }
+
+  #onFrameEvent = e => {
+    this.notify(`${EVENT_METHOD_PREFIX}${e.type}`, serializeEvent(e));
+  };
+
+  #controlledFrame = null;
+  #frame = null;
+  #transports = [];
+}
@@ -0,0 +1,186 @@
+/**
+ * Builds and validates the BlockingResponse objects returned by blocking
+ * request.* web request listeners.
+ *
+ * Only some events can block, and each of them only honors some fields:
+ *
+ *   onBeforeRequest      cancel, redirectUrl
+ *   onBeforeSendHeaders  cancel, requestHeaders
+ *   onHeadersReceived    cancel, redirectUrl, responseHeaders
+ *   onAuthRequired       cancel, authCredentials
+ *
+ * onAuthRequired is the only event that supports 'asyncBlocking', where the
+ * response is passed to the asyncCallback argument of the listener instead
+ * of being returned.
+ */
+
+export const BLOCKING_RESPONSE_FIELDS = {
+  onBeforeRequest: ['cancel', 'redirectUrl'],
+  onBeforeSendHeaders: ['cancel', 'requestHeaders'],
+  onHeadersReceived: ['cancel', 'redirectUrl', 'responseHeaders'],
+  onAuthRequired: ['cancel', 'authCredentials'],
+};
+
+const ASYNC_BLOCKING_EVENTS = ['onAuthRequired'];
+
+export const BlockingMode = {
+  BLOCKING: 'blocking',
+  ASYNC_BLOCKING: 'asyncBlocking',
+};
+
+export class BlockingResponseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockingResponseError';
+  }
+}
+
+// Returns the blocking mode requested by |extraInfoSpec|, or null if the
+// listener does not block. Throws a BlockingResponseError if |eventName|
+// can't block in that mode.
+export function getBlockingMode(eventName, extraInfoSpec) {
+  const blocking = extraInfoSpec.includes(BlockingMode.BLOCKING);
+  const asyncBlocking = extraInfoSpec.includes(BlockingMode.ASYNC_BLOCKING);
+  if (blocking && asyncBlocking) {
+    throw new BlockingResponseError(
+      `${eventName}: 'blocking' and 'asyncBlocking' can't be used together`);
+  }
+  if (!blocking && !asyncBlocking) {
+    return null;
+  }
+  if (!(eventName in BLOCKING_RESPONSE_FIELDS)) {
+    throw new BlockingResponseError(`${eventName} is not a blocking event`);
+  }
+  if (asyncBlocking && !ASYNC_BLOCKING_EVENTS.includes(eventName)) {
+    throw new BlockingResponseError(
+      `${eventName} does not support 'asyncBlocking'`);
+  }
+  return blocking ? BlockingMode.BLOCKING : BlockingMode.ASYNC_BLOCKING;
+}
+
+// Throws a BlockingResponseError unless |headers| is a HttpHeaders array:
+// objects with a string name and exactly one of a string value or a
+// binaryValue array of bytes.
+export function validateHttpHeaders(headers, label) {
+  if (!Array.isArray(headers)) {
+    throw new BlockingResponseError(`${label} must be an array`);
+  }
+  headers.forEach((header, i) => {
+    const headerLabel = `${label}[${i}]`;
+    if (typeof header !== 'object' || header === null) {
+      throw new BlockingResponseError(`${headerLabel} must be an object`);
+    }
+    if (typeof header.name !== 'string' || header.name.length === 0) {
+      throw new BlockingResponseError(`${headerLabel}.name must be a string`);
+    }
+    const hasValue = header.value !== undefined;
+    const hasBinaryValue = header.binaryValue !== undefined;
+    if (hasValue === hasBinaryValue) {
+      throw new BlockingResponseError(
+        `${headerLabel} must have exactly one of value and binaryValue`);
+    }
+    if (hasValue && typeof header.value !== 'string') {
+      throw new BlockingResponseError(`${headerLabel}.value must be a string`);
+    }
+    if (hasBinaryValue && !(Array.isArray(header.binaryValue) &&
+        header.binaryValue.every(b => Number.isInteger(b) && b >= 0 && b <= 255))) {
+      throw new BlockingResponseError(
+        `${headerLabel}.binaryValue must be an array of bytes`);
+    }
+    const unknownKeys = Object.keys(header).filter(
+      key => !['name', 'value', 'binaryValue'].includes(key));
+    if (unknownKeys.length > 0) {
+      throw new BlockingResponseError(
+        `${headerLabel} has unknown fields: ${unknownKeys.join(', ')}`);
+    }
+  });
+}
+
+// Throws a BlockingResponseError unless |response| is a BlockingResponse that
+// |eventName| honors. Returns |response|.
+export function validateBlockingResponse(eventName, response) {
+  const allowedFields = BLOCKING_RESPONSE_FIELDS[eventName];
+  if (!allowedFields) {
+    throw new BlockingResponseError(`${eventName} is not a blocking event`);
+  }
+  if (typeof response !== 'object' || response === null) {
+    throw new BlockingResponseError('BlockingResponse must be an object');
+  }
+
+  const fields = Object.keys(response);
+  for (const field of fields) {
+    if (!allowedFields.includes(field)) {
+      throw new BlockingResponseError(
+        `${eventName} does not support BlockingResponse.${field}; ` +
+        `allowed fields are ${allowedFields.join(', ')}`);
+    }
+  }
+
+  if ('cancel' in response) {
+    if (typeof response.cancel !== 'boolean') {
+      throw new BlockingResponseError('cancel must be a boolean');
+    }
+    // A cancelled request can't also be redirected, modified or
+    // authenticated.
+    if (response.cancel && fields.length > 1) {
+      throw new BlockingResponseError(
+        'cancel: true can\'t be combined with other fields');
+    }
+  }
+  if ('redirectUrl' in response) {
+    try {
+      new URL(response.redirectUrl);
+    } catch (_) {
+      throw new BlockingResponseError(
+        `redirectUrl "${response.redirectUrl}" is not a valid URL`);
+    }
+  }
+  if ('requestHeaders' in response) {
+    validateHttpHeaders(response.requestHeaders, 'requestHeaders');
+  }
+  if ('responseHeaders' in response) {
+    validateHttpHeaders(response.responseHeaders, 'responseHeaders');
+  }
+  if ('authCredentials' in response) {
+    const credentials = response.authCredentials;
+    if (typeof credentials?.username !== 'string' ||
+        typeof credentials?.password !== 'string') {
+      throw new BlockingResponseError(
+        'authCredentials must have a string username and password');
+    }
+  }
+  return response;
+}
+
+// Builds a BlockingResponse for |eventName| from form values. Empty values
+// are left out, and header fields are JSON strings. Throws a
+// BlockingResponseError if the result is not valid for |eventName|.
+export function buildBlockingResponse(eventName, {
+  cancel = false,
+  redirectUrl = '',
+  requestHeaders = '',
+  responseHeaders = '',
+  username = '',
+  password = '',
+} = {}) {
+  const response = {};
+  if (cancel) {
+    response.cancel = true;
+  }
+  if (redirectUrl.length !== 0) {
+    response.redirectUrl = redirectUrl;
+  }
+  for (const [field, json] of [['requestHeaders', requestHeaders],
+                               ['responseHeaders', responseHeaders]]) {
+    if (json.trim().length === 0) continue;
+    try {
+      response[field] = JSON.parse(json);
+    } catch (e) {
+      throw new BlockingResponseError(`${field} is not valid JSON: ${e.message}`);
+    }
+  }
+  if (username.length !== 0 || password.length !== 0) {
+    response.authCredentials = { username, password };
+  }
+  return validateBlockingResponse(eventName, response);
+}
@@ -2,6 +2,12 @@ export function $(selector) {
   return document.querySelector(selector);
 }
 
+/**
+ * Origin of the fixture server started by iwa_http_server.py. Tests navigate
+ * the <controlledframe> to its routes instead of live sites.
+ */
+export const FIXTURE_ORIGIN = 'http://localhost:8001';
+
 /**
  * Trusted Types Policy
  */
@@ -18,19 +24,83 @@ export const ttPolicy = trustedTypes.createPolicy('ttPolicy', {
 });
 
 /**
- * Logging/Debugging Helpers
+ * Async Helpers
  */
-function printLog(msg) {
-  console.log(msg);
-  $('#log').innerText = msg + '\n' + $('#log').innerText;
+export class TimeoutError extends Error {
+  constructor(label, timeoutMs) {
+    super(`${label}: timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Returns a promise that settles like |promise|, or rejects with a
+// TimeoutError if |promise| has not settled after |timeoutMs|.
+export function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new TimeoutError(label, timeoutMs)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
-export const Log = {
-  info: (msg) => printLog(`INFO: ${msg}`),
-  evt: (msg) => printLog(`EVENT: ${msg}`),
-  warn: (msg) => printLog(`WARNING: ${msg}`),
-  err: (msg) => printLog(`ERROR: ${msg}`),
-};
+// Returns a promise for the result of IndexedDB request |request|.
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// A connection to IndexedDB database |name|, opened on first use. |upgrade|
+// is called with the database to create its object stores when |version| is
+// new. A failed open is retried by the next call.
+export class IndexedDbConnection {
+  constructor(name, version, upgrade) {
+    this.name = name;
+    this.version = version;
+    this.upgrade = upgrade;
+  }
+
+  // Resolves with the IDBDatabase.
+  open() {
+    if (!this.#db) {
+      const request = indexedDB.open(this.name, this.version);
+      request.onupgradeneeded = () => this.upgrade(request.result);
+      this.#db = promisifyRequest(request).catch(err => {
+        this.#db = null;
+        throw err;
+      });
+    }
+    return this.#db;
+  }
+
+  // Calls |operation| with object store |storeName| in a new transaction with
+  // |mode|. Once the transaction commits, resolves with the result of the
+  // request |operation| returns, if any. Rejects if the transaction aborts.
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  #db = null;
+}
+
+/**
+ * Script Helpers
+ */
+
+// Returns code for executeScript() or a content script that calls |fn| with
+// |args|. |fn| must not use anything outside its own body, and |args| must be
+// JSON-serializable.
+export function toScript(fn, ...args) {
+  return `(${fn.toString()})(${args.map(a => JSON.stringify(a)).join(', ')});`;
+}
 
 /**
  * Page Helpers
@@ -47,3 +117,13 @@ export function textareaExpand(el) {
   el.style.height = '';
   el.style.height = el.scrollHeight + 3 + 'px';
 }
+
+// Saves |contents| to a file named |filename| through a temporary link.
+export function downloadFile(filename, contents, type = 'application/json') {
+  let url = URL.createObjectURL(new Blob([contents], { type }));
+  let link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,399 @@
+import { FIXTURE_ORIGIN, withTimeout } from './common.js';
+import { ApiUndefinedError, ControlledFrameAdapter } from './controlledframe_adapter.js';
+import { logger } from './logger.js';
+
+/**
+ * Automated conformance runner for the ControlledFrame interface in index.bs.
+ *
+ * Every attribute, method and event is run as its own async test case. Each
+ * case gets a freshly created <controlledframe> from
+ * ControlledFrameController.CreateControlledFrameTag(), so state cannot leak
+ * between cases. The results are available as a JSON report and a TAP stream.
+ */
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const BLANK_URL = 'about:blank';
+
+export const TestStatus = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  SKIP: 'skip',
+};
+
+export const SkipReason = {
+  API_UNDEFINED: 'api-undefined',
+  MANUAL: 'manual',
+  NO_TRIGGER: 'no-trigger',
+};
+
+// Thrown by a test case that cannot run automatically.
+export class SkipTest extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'SkipTest';
+    this.reason = reason;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function assertType(value, type, label) {
+  assert(typeof value === type,
+    `${label}: expected ${type}, got ${typeof value} (${value})`);
+}
+
+// executeScript() resolves with a per-frame array in the callback-based
+// implementation and with the bare value in the Promise-based one.
+function firstResult(result) {
+  return Array.isArray(result) ? result[0] : result;
+}
+
+// Writable attributes from the ControlledFrame IDL and a value to round-trip
+// through each of them.
+const ATTRIBUTES = [
+  { name: 'src', value: BLANK_URL },
+  { name: 'name', value: 'conformance-frame' },
+  { name: 'allowfullscreen', value: true },
+  { name: 'allowscaling', value: true },
+  { name: 'allowtransparency', value: true },
+  { name: 'autosize', value: true },
+  { name: 'maxheight', value: '300' },
+  { name: 'maxwidth', value: '400' },
+  { name: 'minheight', value: '100' },
+  { name: 'minwidth', value: '200' },
+];
+
+// Read-only attributes from the ControlledFrame IDL and their expected types.
+// partition is writable in the IDL, but it can't change after the first
+// navigation, which has already happened by the time a test case runs.
+const READONLY_ATTRIBUTES = [
+  { name: 'partition', type: 'string' },
+  { name: 'contentWindow', type: 'object' },
+  { name: 'contextMenus', type: 'object' },
+];
+
+// Events dispatched on <controlledframe> and how to make each one fire. Events
+// with a null trigger can't be caused deterministically from the embedder.
+const EVENTS = [
+  { name: 'close', trigger: null },
+  {
+    name: 'consolemessage',
+    trigger: frame => frame.executeScript({ code: 'console.log("conformance")' }),
+  },
+  { name: 'contentload', trigger: frame => frame.reload() },
+  {
+    name: 'dialog',
+    trigger: frame => frame.executeScript({ code: 'alert("conformance")' }),
+  },
+  { name: 'exit', trigger: frame => frame.call('terminate') },
+  { name: 'findupdate', trigger: frame => frame.find('a') },
+  {
+    name: 'loadabort',
+    trigger: frame => { frame.controlledFrame.src = `${FIXTURE_ORIGIN}/reset`; },
+  },
+  { name: 'loadcommit', trigger: frame => frame.reload() },
+  {
+    name: 'loadredirect',
+    trigger: frame => {
+      frame.controlledFrame.src = `${FIXTURE_ORIGIN}/redirect?status=302`;
+    },
+  },
+  { name: 'loadstart', trigger: frame => frame.reload() },
+  { name: 'loadstop', trigger: frame => frame.reload() },
+  {
+    name: 'newwindow',
+    trigger: frame => frame.executeScript({ code: 'window.open("about:blank")' }),
+  },
+  {
+    name: 'permissionrequest',
+    trigger: frame => frame.executeScript({
+      code: 'navigator.geolocation.getCurrentPosition(() => {}, () => {})',
+    }),
+  },
+  { name: 'responsive', trigger: null },
+  { name: 'sizechanged', trigger: null },
+  { name: 'unresponsive', trigger: null },
+  { name: 'zoomchange', trigger: frame => frame.setZoom(2) },
+];
+
+export class ConformanceRunner {
+  constructor(controller, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    this.controller = controller;
+    this.timeoutMs = timeoutMs;
+    this.#testCases = this.#createTestCases();
+  }
+
+  get testCases() {
+    return this.#testCases;
+  }
+
+  // Runs every test case in order and resolves with the JSON report. If
+  // |onResult| is provided, it is called with each result as it completes.
+  async run(onResult = null) {
+    const report = {
+      userAgent: navigator.userAgent,
+      startTime: new Date().toISOString(),
+      endTime: null,
+      summary: null,
+      results: [],
+    };
+    for (const testCase of this.#testCases) {
+      const result = await this.#runTestCase(testCase);
+      report.results.push(result);
+      if (onResult) onResult(result, report.results.length);
+    }
+    report.endTime = new Date().toISOString();
+    report.summary = ConformanceRunner.summarize(report.results);
+
+    // Leave a fresh frame behind for manual testing.
+    this.controller.CreateControlledFrameTag();
+    return report;
+  }
+
+  static summarize(results) {
+    const summary = { total: results.length, pass: 0, fail: 0, skip: {} };
+    for (const result of results) {
+      if (result.status === TestStatus.SKIP) {
+        summary.skip[result.skipReason] =
+          (summary.skip[result.skipReason] ?? 0) + 1;
+      } else {
+        summary[result.status]++;
+      }
+    }
+    return summary;
+  }
+
+  // Converts a report produced by run() into a TAP version 13 stream.
+  static toTap(report) {
+    const lines = ['TAP version 13', `1..${report.results.length}`];
+    report.results.forEach((result, i) => {
+      const description = `${result.kind} ${result.name}`;
+      switch (result.status) {
+        case TestStatus.PASS:
+          lines.push(`ok ${i + 1} - ${description}`);
+          break;
+        case TestStatus.SKIP:
+          lines.push(
+            `ok ${i + 1} - ${description} # SKIP ${result.skipReason}: ${result.message}`);
+          break;
+        case TestStatus.FAIL:
+          lines.push(`not ok ${i + 1} - ${description}`);
+          lines.push('  ---');
+          lines.push(`  message: ${JSON.stringify(result.message)}`);
+          lines.push(`  duration_ms: ${result.durationMs}`);
+          lines.push('  ...');
+          break;
+      }
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  async #runTestCase(testCase) {
+    const result = {
+      name: testCase.name,
+      kind: testCase.kind,
+      status: TestStatus.PASS,
+      skipReason: null,
+      message: '',
+      durationMs: 0,
+    };
+    const start = performance.now();
+    const context = await this.#setUp();
+    try {
+      await withTimeout(
+        testCase.run(context), this.timeoutMs, `${testCase.kind} ${testCase.name}`);
+    } catch (e) {
+      if (e instanceof ApiUndefinedError) {
+        result.status = TestStatus.SKIP;
+        result.skipReason = SkipReason.API_UNDEFINED;
+      } else if (e instanceof SkipTest) {
+        result.status = TestStatus.SKIP;
+        result.skipReason = e.reason;
+      } else {
+        result.status = TestStatus.FAIL;
+      }
+      result.message = e?.message ?? String(e);
+    } finally {
+      this.#tearDown(context);
+    }
+    result.durationMs = Math.round(performance.now() - start);
+    return result;
+  }
+
+  // Recreates the <controlledframe> and waits for its first load to finish.
+  async #setUp() {
+    this.controller.CreateControlledFrameTag();
+    const controlledFrame = this.controller.controlledFrame;
+    const context = {
+      controlledFrame,
+      frame: new ControlledFrameAdapter(controlledFrame),
+      listeners: [],
+    };
+    try {
+      await withTimeout(
+        this.#waitForEvent(context, 'loadstop'), this.timeoutMs, 'setUp');
+    } catch (e) {
+      logger.warn(`conformance: ${e.message}, continuing anyway`);
+    }
+    return context;
+  }
+
+  #tearDown(context) {
+    for (const [name, listener] of context.listeners) {
+      context.controlledFrame.removeEventListener(name, listener);
+    }
+    context.listeners = [];
+  }
+
+  #waitForEvent(context, name) {
+    return new Promise(resolve => {
+      const listener = e => {
+        context.controlledFrame.removeEventListener(name, listener);
+        resolve(e);
+      };
+      context.controlledFrame.addEventListener(name, listener);
+      context.listeners.push([name, listener]);
+    });
+  }
+
+  #createTestCases() {
+    const testCases = [];
+    for (const { name, value } of ATTRIBUTES) {
+      testCases.push({
+        name,
+        kind: 'attribute',
+        run: async ({ controlledFrame }) => {
+          if (!(name in controlledFrame)) throw new ApiUndefinedError(name);
+          controlledFrame[name] = value;
+          assert(controlledFrame[name] == value,
+            `${name}: expected ${value}, got ${controlledFrame[name]}`);
+        },
+      });
+    }
+    for (const { name, type } of READONLY_ATTRIBUTES) {
+      testCases.push({
+        name,
+        kind: 'attribute',
+        run: async ({ controlledFrame }) => {
+          if (!(name in controlledFrame)) throw new ApiUndefinedError(name);
+          assertType(controlledFrame[name], type, name);
+        },
+      });
+    }
+    for (const [name, run] of Object.entries(this.#methodTests())) {
+      testCases.push({ name, kind: 'method', run });
+    }
+    for (const { name, trigger } of EVENTS) {
+      testCases.push({
+        name,
+        kind: 'event',
+        run: async context => {
+          if (!trigger) {
+            throw new SkipTest(
+              SkipReason.NO_TRIGGER, `no automated trigger for ${name}`);
+          }
+          const fired = this.#waitForEvent(context, name);
+          await trigger(context.frame);
+          await fired;
+        },
+      });
+    }
+    return testCases;
+  }
+
+  // Method test cases, in the order they are declared in the IDL.
+  #methodTests() {
+    const navigateAway = frame => frame.navigate(BLANK_URL);
+    return {
+      back: async ({ frame }) => {
+        await navigateAway(frame);
+        await frame.back();
+      },
+      canGoBack: async ({ frame }) => {
+        assertType(await frame.canGoBack(), 'boolean', 'canGoBack');
+      },
+      canGoForward: async ({ frame }) => {
+        assertType(await frame.canGoForward(), 'boolean', 'canGoForward');
+      },
+      forward: async ({ frame }) => {
+        await navigateAway(frame);
+        await frame.back();
+        await frame.forward();
+      },
+      go: async ({ frame }) => {
+        await navigateAway(frame);
+        await frame.go(-1);
+      },
+      reload: async ({ frame }) => {
+        await frame.reload();
+      },
+      stop: async ({ frame }) => {
+        await frame.stop();
+      },
+      addContentScripts: async ({ frame }) => {
+        await frame.addContentScripts([{
+          name: 'conformance',
+          matches: ['<all_urls>'],
+          js: { code: 'void 0;' },
+        }]);
+      },
+      executeScript: async ({ frame }) => {
+        const result = await frame.executeScript({ code: '1 + 1' });
+        assert(firstResult(result) === 2,
+          `executeScript: expected 2, got ${JSON.stringify(result)}`);
+      },
+      insertCSS: async ({ frame }) => {
+        await frame.insertCSS({ code: 'body {}' });
+      },
+      removeContentScripts: async ({ frame }) => {
+        await frame.addContentScripts([{
+          name: 'conformance',
+          matches: ['<all_urls>'],
+          js: { code: 'void 0;' },
+        }]);
+        await frame.removeContentScripts(['conformance']);
+      },
+      clearData: async ({ frame }) => {
+        await frame.clearData({ since: 0 }, { cache: true });
+      },
+      getAudioState: async ({ frame }) => {
+        assertType(await frame.getAudioState(), 'boolean', 'getAudioState');
+      },
+      getZoom: async ({ frame }) => {
+        assertType(await frame.getZoom(), 'number', 'getZoom');
+      },
+      isAudioMuted: async ({ frame }) => {
+        assertType(await frame.isAudioMuted(), 'boolean', 'isAudioMuted');
+      },
+      setAudioMuted: async ({ frame }) => {
+        await frame.setAudioMuted(true);
+        assert(await frame.isAudioMuted() === true,
+          'setAudioMuted: isAudioMuted() is not true after setAudioMuted(true)');
+      },
+      setZoom: async ({ frame }) => {
+        await frame.setZoom(2);
+        const zoomFactor = await frame.getZoom();
+        assert(zoomFactor === 2,
+          `setZoom: expected getZoom() to be 2, got ${zoomFactor}`);
+      },
+      captureVisibleRegion: async ({ frame }) => {
+        const dataUrl = await frame.captureVisibleRegion({ format: 'png' });
+        if (dataUrl !== undefined) {
+          assert(String(dataUrl).startsWith('data:image/png'),
+            'captureVisibleRegion: expected a PNG data URL');
+        }
+      },
+      print: async ({ frame }) => {
+        if (!frame.has('print')) throw new ApiUndefinedError('print');
+        throw new SkipTest(
+          SkipReason.MANUAL, 'print() opens a dialog that needs a user');
+      },
+    };
+  }
+
+  #testCases;
+}
@@ -0,0 +1,116 @@
+import { ALL_URLS, matchPatternToRegExp, validateMatchPattern } from './match_pattern.js';
+import { CONSOLE_LEVELS } from './console_recorder.js';
+
+/**
+ * Alert rules for console messages recorded by a ConsoleRecorder.
+ *
+ * Rules are JSON data:
+ *
+ *   [{
+ *     "name": "shop errors",
+ *     "levels": ["error"],
+ *     "urlPatterns": ["https://shop.example.com/*"],
+ *     "message": "Uncaught",
+ *     "sourceId": "\\.js$"
+ *   }]
+ *
+ * A message raises an alert for every rule whose conditions all match it.
+ * levels are console levels ("verbose", "info", "warning" or "error"),
+ * urlPatterns are match patterns checked against the URL of the page that
+ * logged the message, and message and sourceId are regular expressions
+ * searched for in the message text and the URL of the script that logged it.
+ * All conditions are optional. Repeats of a message that was already recorded
+ * on the same page don't raise alerts again.
+ */
+
+export class ConsoleAlertError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConsoleAlertError';
+  }
+}
+
+function parseRegExp(source, where) {
+  if (source === undefined) return null;
+  if (typeof source !== 'string') {
+    throw new ConsoleAlertError(`${where} must be a string`);
+  }
+  try {
+    return new RegExp(source);
+  } catch (e) {
+    throw new ConsoleAlertError(`${where}: ${e.message}`);
+  }
+}
+
+function parseRule(rule, index) {
+  const where = `rules[${index}]`;
+  if (!rule || typeof rule !== 'object') {
+    throw new ConsoleAlertError(`${where} must be an object`);
+  }
+  if (rule.name !== undefined && typeof rule.name !== 'string') {
+    throw new ConsoleAlertError(`${where}.name must be a string`);
+  }
+
+  let levels = null;
+  if (rule.levels !== undefined) {
+    if (!Array.isArray(rule.levels) ||
+        !rule.levels.every(level => CONSOLE_LEVELS.includes(level))) {
+      throw new ConsoleAlertError(
+        `${where}.levels must be an array of ${CONSOLE_LEVELS.join(', ')}`);
+    }
+    levels = rule.levels;
+  }
+
+  let urlPatterns = null;
+  if (rule.urlPatterns !== undefined) {
+    if (!Array.isArray(rule.urlPatterns)) {
+      throw new ConsoleAlertError(`${where}.urlPatterns must be an array`);
+    }
+    for (const pattern of rule.urlPatterns) {
+      const error = validateMatchPattern(pattern);
+      if (error) {
+        throw new ConsoleAlertError(`${where}.urlPatterns: ${error}`);
+      }
+    }
+    if (!rule.urlPatterns.includes(ALL_URLS)) {
+      urlPatterns = rule.urlPatterns.map(matchPatternToRegExp);
+    }
+  }
+
+  return {
+    name: rule.name ?? `rule ${index + 1}`,
+    levels,
+    urlPatterns,
+    message: parseRegExp(rule.message, `${where}.message`),
+    sourceId: parseRegExp(rule.sourceId, `${where}.sourceId`),
+  };
+}
+
+// Validates |rules|, an array of rules or its JSON, and returns them in a
+// form matchConsoleAlertRules() accepts. Throws a ConsoleAlertError
+// describing the first problem.
+export function parseConsoleAlertRules(rules) {
+  if (typeof rules === 'string') {
+    try {
+      rules = JSON.parse(rules);
+    } catch (e) {
+      throw new ConsoleAlertError(`rules are not valid JSON: ${e.message}`);
+    }
+  }
+  if (!Array.isArray(rules)) {
+    throw new ConsoleAlertError('rules must be an array');
+  }
+  return rules.map(parseRule);
+}
+
+// Returns the rules (from parseConsoleAlertRules()) that console entry
+// |entry| matches.
+export function matchConsoleAlertRules(rules, entry) {
+  return rules.filter(rule =>
+    (!rule.levels || rule.levels.includes(entry.level)) &&
+    (!rule.urlPatterns ||
+      rule.urlPatterns.some(regExp => regExp.test(entry.pageUrl ?? ''))) &&
+    (!rule.message || rule.message.test(entry.message ?? '')) &&
+    (!rule.sourceId || rule.sourceId.test(entry.sourceId ?? ''))
+  );
+}
@@ -0,0 +1,120 @@
+import { $, downloadFile } from './common.js';
+import { CONSOLE_LEVELS } from './console_recorder.js';
+
+/**
+ * Renders the entries of a ConsoleRecorder, one row per distinct message with
+ * the number of times it was logged. Rows can be filtered by minimum level,
+ * by page and by a regular expression matched against the sourceId. The
+ * shown entries can be downloaded as NDJSON.
+ */
+
+function formatTime(time) {
+  return new Date(time).toISOString().slice(11, 23);
+}
+
+export class ConsolePanel {
+  constructor(recorder) {
+    this.recorder = recorder;
+    $('#console_level_in').addEventListener('change', this.render.bind(this));
+    $('#console_page_in').addEventListener('change', this.render.bind(this));
+    $('#console_source_in').addEventListener('input', this.render.bind(this));
+    $('#console_clear_btn').addEventListener('click', this.clear.bind(this));
+    $('#console_export_btn').addEventListener(
+      'click',
+      this.exportNdjson.bind(this)
+    );
+  }
+
+  // Called by the recorder whenever an entry changes. Rendering is batched to
+  // once per animation frame, as pages can log a lot.
+  update(entry) {
+    if (this.#renderPending) return;
+    this.#renderPending = true;
+    requestAnimationFrame(() => {
+      this.#renderPending = false;
+      this.render();
+    });
+  }
+
+  clear() {
+    this.recorder.clear();
+    this.render();
+  }
+
+  // Downloads the entries that pass the filters.
+  exportNdjson() {
+    const timeStamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(
+      `controlledframe_console_${timeStamp}.ndjson`,
+      this.recorder.toNdjson(this.#filteredEntries()),
+      'application/x-ndjson'
+    );
+  }
+
+  render() {
+    this.#renderPages();
+    const entries = this.#filteredEntries();
+    $('#console_rows').replaceChildren(
+      ...entries.map(entry => this.#renderRow(entry)));
+    $('#console_count').innerText =
+      `${entries.length} / ${this.recorder.entries.length} messages`;
+  }
+
+  #filteredEntries() {
+    const minLevel = CONSOLE_LEVELS.indexOf($('#console_level_in').value);
+    const pageref = $('#console_page_in').value;
+    const sourceInput = $('#console_source_in');
+    let sourceRegExp = null;
+    try {
+      sourceRegExp = sourceInput.value ? new RegExp(sourceInput.value) : null;
+      sourceInput.classList.remove('error');
+    } catch (_) {
+      sourceInput.classList.add('error');
+    }
+    return this.recorder.entries.filter(entry =>
+      CONSOLE_LEVELS.indexOf(entry.level) >= minLevel &&
+      (pageref === '' || entry.pageref === pageref) &&
+      (!sourceRegExp || sourceRegExp.test(entry.sourceId ?? ''))
+    );
+  }
+
+  // Lists the recorder's pages in the page filter, keeping the selection.
+  #renderPages() {
+    const select = $('#console_page_in');
+    const selected = select.value;
+    const all = document.createElement('option');
+    all.value = '';
+    all.innerText = 'all pages';
+    const options = this.recorder.pages.map(page => {
+      const option = document.createElement('option');
+      option.value = page.id;
+      option.innerText = `${formatTime(page.startTime)} ${page.url}`;
+      return option;
+    });
+    select.replaceChildren(all, ...options);
+    select.value =
+      options.some(option => option.value === selected) ? selected : '';
+  }
+
+  #renderRow(entry) {
+    const row = document.createElement('div');
+    row.className = `console-entry console-${entry.level}`;
+    const count = document.createElement('span');
+    count.className = 'console-count';
+    count.innerText = entry.count > 1 ? `${entry.count}` : '';
+    const time = document.createElement('span');
+    time.className = 'console-time';
+    time.innerText = formatTime(entry.lastTime);
+    const message = document.createElement('span');
+    message.className = 'console-message';
+    message.innerText = entry.message;
+    const source = document.createElement('span');
+    source.className = 'console-source';
+    source.innerText = entry.sourceId ? `${entry.sourceId}:${entry.line}` : '';
+    row.append(count, time, message, source);
+    row.title = `${entry.level} on ${entry.pageUrl}`;
+    return row;
+  }
+
+  #renderPending = false;
+}
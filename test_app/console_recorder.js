@@ -0,0 +1,151 @@
+/**
+ * Records the consolemessage events of a <controlledframe>.
+ *
+ * Messages are grouped by page: every top-level loadcommit starts a new one.
+ * Within a page, a message with the same level, text, line and sourceId as an
+ * earlier one is counted on the earlier entry instead of being added again.
+ * Only the most recent |maxEntries| entries are kept, and only the pages they
+ * refer to.
+ *
+ * Modules that talk to their content scripts through console messages reserve
+ * the prefix of those messages with reserveMessagePrefix(), and such messages
+ * are not recorded.
+ */
+
+export const MAX_CONSOLE_ENTRIES = 1000;
+
+const reservedPrefixes = new Set();
+
+// Keeps the messages starting with |prefix| out of every ConsoleRecorder.
+export function reserveMessagePrefix(prefix) {
+  reservedPrefixes.add(prefix);
+}
+
+function isReservedMessage(message) {
+  for (const prefix of reservedPrefixes) {
+    if (message?.startsWith(prefix)) return true;
+  }
+  return false;
+}
+
+// consolemessage levels, from least to most severe.
+export const ConsoleLevel = {
+  VERBOSE: 'verbose',
+  INFO: 'info',
+  WARNING: 'warning',
+  ERROR: 'error',
+};
+
+export const CONSOLE_LEVELS = [
+  ConsoleLevel.VERBOSE,
+  ConsoleLevel.INFO,
+  ConsoleLevel.WARNING,
+  ConsoleLevel.ERROR,
+];
+
+// Returns the name of consolemessage level |level|, which is -1 for
+// console.debug(), 0 for console.log() and console.info(), 1 for
+// console.warn() and 2 for console.error().
+export function consoleLevelName(level) {
+  return CONSOLE_LEVELS[level + 1] ?? ConsoleLevel.INFO;
+}
+
+export class ConsoleRecorder {
+  // |onChange| is called with the entry and whether it is new every time a
+  // message is recorded.
+  constructor(onChange = null, { maxEntries = MAX_CONSOLE_ENTRIES } = {}) {
+    this.onChange = onChange;
+    this.maxEntries = maxEntries;
+  }
+
+  // Starts recording the messages of |controlledFrame|. Entries from a
+  // previously attached frame are kept.
+  attach(controlledFrame) {
+    this.#controlledFrame?.removeEventListener(
+      'consolemessage', this.#onConsoleMessage);
+    this.#controlledFrame?.removeEventListener(
+      'loadcommit', this.#onLoadCommit);
+    this.#controlledFrame = controlledFrame;
+    controlledFrame.addEventListener('consolemessage', this.#onConsoleMessage);
+    controlledFrame.addEventListener('loadcommit', this.#onLoadCommit);
+  }
+
+  // Entries are { id, pageref, pageUrl, level, message, line, sourceId,
+  // count, firstTime, lastTime }, oldest first.
+  get entries() {
+    return [...this.#entries.values()];
+  }
+
+  // Pages are { id, url, startTime }, oldest first.
+  get pages() {
+    return [...this.#pages];
+  }
+
+  clear() {
+    this.#entries.clear();
+    this.#pages = [];
+  }
+
+  // Returns the entries as newline-delimited JSON, one entry per line.
+  toNdjson(entries = this.entries) {
+    return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+  }
+
+  // Drops the pages that no entry refers to.
+  #trimPages() {
+    const pagerefs = new Set();
+    for (const entry of this.#entries.values()) pagerefs.add(entry.pageref);
+    this.#pages = this.#pages.filter(page => pagerefs.has(page.id));
+  }
+
+  #onLoadCommit = e => {
+    if (e.isTopLevel === false) return;
+    this.#trimPages();
+    this.#pages.push({
+      id: `page_${this.#nextPageId++}`,
+      url: e.url,
+      startTime: Date.now(),
+    });
+  };
+
+  #onConsoleMessage = e => {
+    if (isReservedMessage(e.message)) return;
+    const page = this.#pages[this.#pages.length - 1] ?? null;
+    const level = consoleLevelName(e.level);
+    const key = JSON.stringify(
+      [page?.id, level, e.message, e.line, e.sourceId]);
+    const now = Date.now();
+    let entry = this.#entries.get(key);
+    const isNew = !entry;
+    if (entry) {
+      entry.count++;
+      entry.lastTime = now;
+      // Keep the entries in order of their last occurrence.
+      this.#entries.delete(key);
+    } else {
+      entry = {
+        id: this.#nextEntryId++,
+        pageref: page?.id ?? null,
+        pageUrl: page?.url ?? this.#controlledFrame?.src ?? null,
+        level,
+        message: e.message,
+        line: e.line,
+        sourceId: e.sourceId,
+        count: 1,
+        firstTime: now,
+        lastTime: now,
+      };
+    }
+    this.#entries.set(key, entry);
+    if (this.#entries.size > this.maxEntries) {
+      this.#entries.delete(this.#entries.keys().next().value);
+    }
+    if (this.onChange) this.onChange(entry, isNew);
+  };
+
+  #controlledFrame = null;
+  #entries = new Map();
+  #nextEntryId = 1;
+  #nextPageId = 1;
+  #pages = [];
+}
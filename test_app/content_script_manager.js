@@ -0,0 +1,296 @@
+import {
+  globToRegExp,
+  matchPatternToRegExp,
+  validateGlob,
+  validateMatchPattern,
+} from './match_pattern.js';
+
+/**
+ * Keeps track of the content scripts added to <controlledframe> elements.
+ *
+ * The API has no way to list a frame's content scripts, so every script is
+ * added and removed through the manager, which records what each frame has
+ * registered. Scripts are also saved per partition: a <controlledframe>
+ * re-created in the same partition gets them back with restore().
+ *
+ * Methods take a |target| with the <controlledframe> element as
+ * controlledFrame, its ControlledFrameAdapter as frame and its partition, as a
+ * FrameTab has.
+ *
+ * Parts of the app that add a content script of their own, such as the idle
+ * monitor, reserve its name so that users can't add or remove a script with
+ * that name, and track() it so that it's listed with the others. They share
+ * the contentScripts manager.
+ */
+
+export const RUN_AT_VALUES = [
+  'document_start',
+  'document_end',
+  'document_idle',
+];
+
+const MATCH_PATTERN_KEYS = ['matches', 'exclude_matches'];
+const GLOB_KEYS = ['include_globs', 'exclude_globs'];
+const BOOLEAN_KEYS = ['all_frames', 'match_about_blank'];
+
+export class ContentScriptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContentScriptError';
+  }
+}
+
+function parseStringList(details, key, validate) {
+  const list = details[key];
+  if (list === undefined) return undefined;
+  if (!Array.isArray(list)) {
+    throw new ContentScriptError(`"${key}" must be an array`);
+  }
+  return list.map(item => {
+    const value = typeof item === 'string' ? item.trim() : item;
+    const error = validate(value);
+    if (error) {
+      throw new ContentScriptError(`"${key}": ${error}`);
+    }
+    return value;
+  });
+}
+
+// Validates InjectionItems: exactly one of code or files.
+function parseInjectionItems(items, key) {
+  if (items === undefined) return undefined;
+  if (!items || typeof items !== 'object') {
+    throw new ContentScriptError(`"${key}" must be an object`);
+  }
+  const hasCode = items.code !== undefined;
+  const hasFiles = items.files !== undefined;
+  if (!hasCode && !hasFiles) return undefined;
+  if (hasCode && hasFiles) {
+    throw new ContentScriptError(
+      `"${key}" must have either "code" or "files", not both`);
+  }
+  if (hasCode) {
+    if (typeof items.code !== 'string' || items.code.trim().length === 0) {
+      throw new ContentScriptError(`"${key}.code" must be a non-empty string`);
+    }
+    return { code: items.code };
+  }
+  const files = parseStringList(items, 'files', file =>
+    typeof file === 'string' && file.length > 0 ?
+      null : 'file names must be non-empty strings');
+  if (files.length === 0) {
+    throw new ContentScriptError(`"${key}.files" must not be empty`);
+  }
+  return { files };
+}
+
+// Validates ContentScriptDetails |details| and returns a copy without empty
+// values, ready for addContentScripts(). Throws a ContentScriptError
+// describing the first problem.
+export function parseContentScriptDetails(details) {
+  if (!details || typeof details !== 'object') {
+    throw new ContentScriptError('content script details must be an object');
+  }
+  const result = {};
+  const name = typeof details.name === 'string' ? details.name.trim() : '';
+  if (name.length === 0) {
+    throw new ContentScriptError('"name" must be a non-empty string');
+  }
+  result.name = name;
+
+  for (const key of MATCH_PATTERN_KEYS) {
+    const patterns = parseStringList(details, key, validateMatchPattern);
+    if (patterns?.length > 0) result[key] = patterns;
+  }
+  if (!result.matches) {
+    throw new ContentScriptError('"matches" must have at least one pattern');
+  }
+  for (const key of GLOB_KEYS) {
+    const globs = parseStringList(details, key, validateGlob);
+    if (globs?.length > 0) result[key] = globs;
+  }
+  for (const key of BOOLEAN_KEYS) {
+    if (details[key] === undefined) continue;
+    if (typeof details[key] !== 'boolean') {
+      throw new ContentScriptError(`"${key}" must be a boolean`);
+    }
+    result[key] = details[key];
+  }
+  if (details.run_at !== undefined) {
+    if (!RUN_AT_VALUES.includes(details.run_at)) {
+      throw new ContentScriptError(
+        `"run_at" must be one of ${RUN_AT_VALUES.join(', ')}`);
+    }
+    result.run_at = details.run_at;
+  }
+
+  for (const key of ['css', 'js']) {
+    const items = parseInjectionItems(details[key], key);
+    if (items) result[key] = items;
+  }
+  if (!result.css && !result.js) {
+    throw new ContentScriptError('"css" or "js" must have code or files');
+  }
+  return result;
+}
+
+// Returns true if a content script with |details| would be injected into a
+// document at |url|. A URL must match one of "matches", none of
+// "exclude_matches", one of "include_globs" if there are any, and none of
+// "exclude_globs".
+export function contentScriptMatches(details, url) {
+  const testPatterns = patterns =>
+    patterns.some(pattern => matchPatternToRegExp(pattern).test(url));
+  const testGlobs = globs => globs.some(glob => globToRegExp(glob).test(url));
+  return testPatterns(details.matches ?? []) &&
+    !testPatterns(details.exclude_matches ?? []) &&
+    (!details.include_globs || testGlobs(details.include_globs)) &&
+    !testGlobs(details.exclude_globs ?? []);
+}
+
+export class ContentScriptManager {
+  // The content scripts registered in |controlledFrame|, in the order they
+  // were added.
+  registered(controlledFrame) {
+    return [...(this.#registered.get(controlledFrame)?.values() ?? [])];
+  }
+
+  // The content scripts saved for |partition|.
+  saved(partition) {
+    return [...(this.#saved.get(partition)?.values() ?? [])];
+  }
+
+  // Validates |details| and adds the script to the target frame and to its
+  // partition's saved scripts. Names are unique per frame: unless |replace| is
+  // true, adding a name that is already registered throws a
+  // ContentScriptError. Replacing removes the old script first and adds it
+  // back if the new one fails.
+  async add(target, details, { replace = false } = {}) {
+    const { frame, controlledFrame, partition } = target;
+    const script = parseContentScriptDetails(details);
+    this.#checkNotReserved([script.name]);
+    const scripts = this.#scriptsOf(this.#registered, controlledFrame);
+    const old = scripts.get(script.name);
+    if (old && !replace) {
+      throw new ContentScriptError(
+        `A content script named "${script.name}" is already registered`);
+    }
+    if (old) {
+      await frame.removeContentScripts([script.name]);
+      scripts.delete(script.name);
+    }
+    try {
+      await frame.addContentScripts([script]);
+    } catch (err) {
+      if (old) await this.#restoreScript(frame, scripts, old);
+      throw err;
+    }
+    scripts.set(script.name, script);
+    this.#scriptsOf(this.#saved, partition).set(script.name, script);
+    return script;
+  }
+
+  // Removes the scripts named |names| from the target frame and from its
+  // partition's saved scripts. Throws a ContentScriptError if any of them
+  // isn't registered in the frame.
+  async remove(target, names) {
+    const { frame, controlledFrame, partition } = target;
+    this.#checkNotReserved(names);
+    const scripts = this.#scriptsOf(this.#registered, controlledFrame);
+    const unknown = names.filter(name => !scripts.has(name));
+    if (unknown.length > 0) {
+      throw new ContentScriptError(
+        `No content scripts named ${unknown.join(', ')} are registered`);
+    }
+    await frame.removeContentScripts(names);
+    for (const name of names) {
+      scripts.delete(name);
+      this.#saved.get(partition)?.delete(name);
+    }
+  }
+
+  // Adds the partition's saved scripts to a new target frame. Resolves with
+  // the restored scripts.
+  async restore(target) {
+    const { frame, controlledFrame, partition } = target;
+    const saved = this.saved(partition);
+    const scripts = this.#scriptsOf(this.#registered, controlledFrame);
+    if (saved.length === 0) return [];
+    await frame.addContentScripts(saved);
+    for (const script of saved) scripts.set(script.name, script);
+    return saved;
+  }
+
+  // Forgets the scripts registered in |controlledFrame|, e.g. when it is
+  // closed. The saved scripts are kept.
+  forget(controlledFrame) {
+    this.#registered.delete(controlledFrame);
+  }
+
+  // Reserves |name| for the script that |owner|, a part of the app, adds
+  // itself.
+  reserve(name, owner) {
+    this.#reserved.set(name, owner);
+  }
+
+  // The part of the app that reserved |name|, or null.
+  ownerOf(name) {
+    return this.#reserved.get(name) ?? null;
+  }
+
+  // Lists |script|, added by the owner of its reserved name, as registered in
+  // |controlledFrame|.
+  track(controlledFrame, script) {
+    this.#scriptsOf(this.#registered, controlledFrame).set(script.name, script);
+    this.#notify(controlledFrame);
+  }
+
+  // Stops listing the reserved script |name| in |controlledFrame| once its
+  // owner has removed it.
+  untrack(controlledFrame, name) {
+    this.#registered.get(controlledFrame)?.delete(name);
+    this.#notify(controlledFrame);
+  }
+
+  // Calls |listener| with the <controlledframe> whenever a reserved script is
+  // tracked or untracked in it.
+  addListener(listener) {
+    this.#listeners.push(listener);
+  }
+
+  #checkNotReserved(names) {
+    for (const name of names) {
+      const owner = this.ownerOf(name);
+      if (owner) {
+        throw new ContentScriptError(
+          `The content script name "${name}" is reserved for the ${owner}`);
+      }
+    }
+  }
+
+  #notify(controlledFrame) {
+    for (const listener of this.#listeners) listener(controlledFrame);
+  }
+
+  async #restoreScript(frame, scripts, script) {
+    try {
+      await frame.addContentScripts([script]);
+      scripts.set(script.name, script);
+    } catch (_) {
+      // The old script is gone as well; the record reflects that.
+    }
+  }
+
+  #scriptsOf(map, key) {
+    if (!map.has(key)) map.set(key, new Map());
+    return map.get(key);
+  }
+
+  #listeners = [];
+  #registered = new Map();
+  #reserved = new Map();
+  #saved = new Map();
+}
+
+// The app's content script manager.
+export const contentScripts = new ContentScriptManager();
@@ -0,0 +1,349 @@
+import { withTimeout } from './common.js';
+
+/**
+ * Promise adapter for the Controlled Frame API
+ *
+ * index.bs defines the asynchronous <controlledframe> methods as returning
+ * Promises, but some browser builds still expose the older callback-based
+ * signatures. ControlledFrameAdapter hides that difference: every method
+ * returns a Promise, regardless of which style the running browser exposes.
+ */
+
+// Thrown (as a rejection) when the wrapped element does not implement the
+// requested method or property.
+export class ApiUndefinedError extends Error {
+  constructor(apiName) {
+    super(`${apiName}: API undefined`);
+    this.name = 'ApiUndefinedError';
+    this.apiName = apiName;
+  }
+}
+
+// Thrown (as a rejection) when an API reports that the operation did not
+// succeed, e.g. back() when there is no previous history entry.
+export class ApiCallError extends Error {
+  constructor(apiName, message) {
+    super(`${apiName}: ${message}`);
+    this.name = 'ApiCallError';
+    this.apiName = apiName;
+  }
+}
+
+// Thrown (as a rejection) by navigate() when the navigation is aborted at
+// |url| instead of committing.
+export class NavigationAbortedError extends ApiCallError {
+  constructor(url, reason) {
+    super('navigate', `aborted at ${url}${reason ? ` (${reason})` : ''}`);
+    this.name = 'NavigationAbortedError';
+    this.url = url;
+    this.reason = reason ?? null;
+  }
+}
+
+export const CallStyle = {
+  PROMISE: 'promise',
+  CALLBACK: 'callback',
+  SYNC: 'sync',
+};
+
+// Methods that never take a completion callback. Their return value (which
+// may be undefined) is the result.
+const SYNC_METHODS = new Set([
+  'addContentScripts',
+  'canGoBack',
+  'canGoForward',
+  'getProcessId',
+  'getUserAgent',
+  'isUserAgentOverridden',
+  'loadDataWithBaseUrl',
+  'print',
+  'reload',
+  'removeContentScripts',
+  'setAudioMuted',
+  'setSpatialNavigationEnabled',
+  'setUserAgentOverride',
+  'stop',
+  'stopFinding',
+  'terminate',
+]);
+
+// Methods whose callback always passes a result. Callback-based
+// implementations pass undefined when they fail.
+const RESULT_METHODS = new Set([
+  'captureVisibleRegion',
+  'executeScript',
+  'find',
+  'getAudioState',
+  'getZoom',
+  'getZoomMode',
+  'isAudioMuted',
+  'isSpatialNavigationEnabled',
+]);
+
+// The error callback-based implementations report through
+// chrome.runtime.lastError while the callback runs, if any.
+function lastError() {
+  return globalThis.chrome?.runtime?.lastError ?? null;
+}
+
+// How long a call may take before it is rejected, e.g. because the browser
+// never invokes the callback.
+export const DEFAULT_CALL_TIMEOUT_MS = 30 * 1000;
+
+function isThenable(value) {
+  return value !== null && (typeof value === 'object' ||
+    typeof value === 'function') && typeof value.then === 'function';
+}
+
+export class ControlledFrameAdapter {
+  constructor(controlledFrame, { timeoutMs = DEFAULT_CALL_TIMEOUT_MS } = {}) {
+    this.controlledFrame = controlledFrame;
+    this.timeoutMs = timeoutMs;
+  }
+
+  // Returns true if |name| is a method on the wrapped element.
+  has(name) {
+    return typeof this.controlledFrame?.[name] === 'function';
+  }
+
+  // Returns the call style that was detected for |name| the last time it was
+  // called, or undefined if it has not been called yet.
+  getCallStyle(name) {
+    return this.#callStyles.get(name);
+  }
+
+  // Calls |name| on the wrapped element and returns a Promise for its result.
+  //
+  // A completion callback is always appended to |args|. Callback-based
+  // implementations invoke it, Promise-based implementations ignore the extra
+  // argument and return a Promise instead. Whichever settles first determines
+  // the result, so side-effecting methods are only called once. Rejects with
+  // an ApiCallError if the callback reports a failure, or if neither settles
+  // within |timeoutMs|.
+  call(name, ...args) {
+    return this.#invoke(this.controlledFrame, name, name, args);
+  }
+
+  // Same as call(), but for methods on the contextMenus property.
+  callContextMenus(name, ...args) {
+    const contextMenus = this.controlledFrame?.contextMenus;
+    const apiName = `contextMenus.${name}`;
+    if (typeof contextMenus !== 'object' || contextMenus === null) {
+      return Promise.reject(new ApiUndefinedError('contextMenus'));
+    }
+    return this.#invoke(contextMenus, name, apiName, args);
+  }
+
+  // Navigation methods.
+  back() {
+    return this.#callExpectingSuccess('back');
+  }
+
+  forward() {
+    return this.#callExpectingSuccess('forward');
+  }
+
+  go(relativeIndex) {
+    return this.#callExpectingSuccess('go', relativeIndex);
+  }
+
+  canGoBack() {
+    return this.call('canGoBack');
+  }
+
+  canGoForward() {
+    return this.call('canGoForward');
+  }
+
+  reload() {
+    return this.call('reload');
+  }
+
+  stop() {
+    return this.call('stop');
+  }
+
+  // Sets src and resolves with the URL once the top-level navigation commits.
+  // Rejects with a NavigationAbortedError if it is aborted instead, and with a
+  // TimeoutError if neither happens within |timeoutMs|.
+  navigate(url) {
+    const frame = this.controlledFrame;
+    let oncommit;
+    let onabort;
+    const navigation = new Promise((resolve, reject) => {
+      oncommit = e => {
+        if (e.isTopLevel !== false) resolve(e.url);
+      };
+      onabort = e => {
+        if (e.isTopLevel !== false) {
+          reject(new NavigationAbortedError(e.url, e.reason));
+        }
+      };
+      frame.addEventListener('loadcommit', oncommit);
+      frame.addEventListener('loadabort', onabort);
+      frame.src = url;
+    });
+    return withTimeout(navigation, this.timeoutMs, 'navigate').finally(() => {
+      frame.removeEventListener('loadcommit', oncommit);
+      frame.removeEventListener('loadabort', onabort);
+    });
+  }
+
+  // Scripting methods.
+  addContentScripts(contentScriptList) {
+    return this.call('addContentScripts', contentScriptList);
+  }
+
+  executeScript(details = {}) {
+    return this.call('executeScript', details);
+  }
+
+  insertCSS(details = {}) {
+    return this.call('insertCSS', details);
+  }
+
+  removeContentScripts(scriptNameList) {
+    return this.call('removeContentScripts', scriptNameList);
+  }
+
+  // Configuration methods.
+  clearData(options = {}, types = {}) {
+    return this.call('clearData', options, types);
+  }
+
+  getAudioState() {
+    return this.call('getAudioState');
+  }
+
+  getZoom() {
+    return this.call('getZoom');
+  }
+
+  getZoomMode() {
+    return this.call('getZoomMode');
+  }
+
+  isAudioMuted() {
+    return this.call('isAudioMuted');
+  }
+
+  isSpatialNavigationEnabled() {
+    return this.call('isSpatialNavigationEnabled');
+  }
+
+  setAudioMuted(mute) {
+    return this.call('setAudioMuted', mute);
+  }
+
+  setSpatialNavigationEnabled(enabled) {
+    return this.call('setSpatialNavigationEnabled', enabled);
+  }
+
+  setZoom(zoomFactor) {
+    return this.call('setZoom', zoomFactor);
+  }
+
+  setZoomMode(zoomMode) {
+    return this.call('setZoomMode', zoomMode);
+  }
+
+  // Capture methods.
+  captureVisibleRegion(imageDetails = {}) {
+    return this.call('captureVisibleRegion', imageDetails);
+  }
+
+  print() {
+    return this.call('print');
+  }
+
+  // Find methods.
+  find(searchText, options = {}) {
+    return this.call('find', searchText, options);
+  }
+
+  stopFinding(action) {
+    return this.call('stopFinding', action);
+  }
+
+  // Context menu methods.
+  contextMenusCreate(createProperties) {
+    return this.callContextMenus('create', createProperties);
+  }
+
+  contextMenusRemove(menuItemId) {
+    return this.callContextMenus('remove', menuItemId);
+  }
+
+  contextMenusRemoveAll() {
+    return this.callContextMenus('removeAll');
+  }
+
+  contextMenusUpdate(id, updateProperties) {
+    return this.callContextMenus('update', id, updateProperties);
+  }
+
+  // Resolves if the API reported success, rejects with an ApiCallError if it
+  // reported failure. Promise-based implementations resolve with undefined on
+  // success, callback-based ones pass a boolean.
+  async #callExpectingSuccess(name, ...args) {
+    const success = await this.call(name, ...args);
+    if (success === false) {
+      throw new ApiCallError(name, 'unsuccessful');
+    }
+  }
+
+  #invoke(target, name, apiName, args) {
+    if (typeof target?.[name] !== 'function') {
+      return Promise.reject(new ApiUndefinedError(apiName));
+    }
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const timer = setTimeout(() => {
+        if (settled) return;
+        settled = true;
+        reject(new ApiCallError(
+          apiName, `timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+      const settle = (style, fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        this.#callStyles.set(apiName, style);
+        fn(value);
+      };
+      const callback = result => {
+        const error = lastError();
+        if (error) {
+          settle(CallStyle.CALLBACK, reject,
+            new ApiCallError(apiName, error.message ?? 'failed'));
+        } else if (result === undefined && RESULT_METHODS.has(name)) {
+          settle(CallStyle.CALLBACK, reject,
+            new ApiCallError(apiName, 'failed without a result'));
+        } else {
+          settle(CallStyle.CALLBACK, resolve, result);
+        }
+      };
+
+      let returnValue;
+      try {
+        returnValue = target[name](...args, callback);
+      } catch (e) {
+        settle(CallStyle.SYNC, reject, e);
+        return;
+      }
+
+      if (isThenable(returnValue)) {
+        returnValue.then(
+          value => settle(CallStyle.PROMISE, resolve, value),
+          e => settle(CallStyle.PROMISE, reject, e));
+        return;
+      }
+      if (returnValue !== undefined || SYNC_METHODS.has(name)) {
+        settle(CallStyle.SYNC, resolve, returnValue);
+      }
+      // Otherwise wait for the callback.
+    });
+  }
+
+  #callStyles = new Map();
+}
@@ -1,4 +1,53 @@
-import { $, Log, textareaExpand, textareaOninputHandler, toggleHide } from './common.js';
+import {
+  $,
+  downloadFile,
+  textareaExpand,
+  textareaOninputHandler,
+  toggleHide,
+} from './common.js';
+import { buildBlockingResponse, getBlockingMode } from './blocking_response.js';
+import { AddressBar } from './address_bar.js';
+import { ApiUndefinedError } from './controlledframe_adapter.js';
+import {
+  DEFAULT_DIALOG_POLICY,
+  DialogAction,
+  parseDialogPolicy,
+  resolveDialogAnswer,
+} from './dialog_policy.js';
+import {
+  matchConsoleAlertRules,
+  parseConsoleAlertRules,
+} from './console_alerts.js';
+import { ConsolePanel } from './console_panel.js';
+import {
+  contentScriptMatches,
+  contentScripts,
+} from './content_script_manager.js';
+import { DialogPrompt } from './dialog_prompt.js';
+import { FrameRpcChannel } from './frame_rpc.js';
+import { FrameTabManager } from './frame_tabs.js';
+import { logger } from './logger.js';
+import { NetworkPanel } from './network_panel.js';
+import { NavigationGuard } from './navigation_guard.js';
+import { ScriptLibrary } from './script_library.js';
+import { ScriptResultView } from './script_result_view.js';
+import { normalizeScriptResults, wrapScript } from './script_results.js';
+import {
+  DEFAULT_NEW_WINDOW_POLICY,
+  NewWindowAction,
+  parseNewWindowPolicy,
+  resolveNewWindowAction,
+} from './new_window_policy.js';
+import {
+  DEFAULT_PERMISSION_POLICY,
+  DecisionSource,
+  PermissionDecision,
+  PermissionPolicy,
+  originOf,
+} from './permission_policy.js';
+import { PermissionPrompt } from './permission_prompt.js';
+import { parseRuleset } from './request_rules.js';
+import { CheckStatus, VisualRegression } from './visual_regression.js';
 
 const DEFAULT_ATTRIBUTES = {
   id: 'view',
@@ -9,6 +58,8 @@ const DEFAULT_ATTRIBUTES = {
   src: 'https://google.com',
 };
 
+const MAX_AUDIT_ENTRIES_SHOWN = 200;
+
 function isValidUrl(str) {
   let url;
   try {
@@ -23,25 +74,181 @@ function isValidUrl(str) {
 class ControlledFrameController {
   constructor() {
     this.#urlParams = new URLSearchParams(window.location.search);
-    this.controlledFrame = $('#view');
-    this.CreateControlledFrameTag();
+    this.#tabs = new FrameTabManager(
+      $('#frame_tabs'),
+      $('#controlledframe_container'),
+      this.#onTabActivated.bind(this),
+      tab => this.CloseFrameTab(tab.id),
+      {
+        onWebRequestListenersChange: (tab, entries) => {
+          if (tab === this.#tabs.activeTab) {
+            this.#refreshWebRequestListeners(entries);
+          }
+        },
+        onRequestRuleMatch: this.#onRequestRuleMatch.bind(this),
+        onNetworkRecord: (tab, record) => {
+          if (tab === this.#tabs.activeTab) this.#networkPanel.update(record);
+        },
+        onConsoleEntry: (tab, entry, isNew) => {
+          if (tab === this.#tabs.activeTab) this.#consolePanel.update(entry);
+          if (isNew) this.#checkConsoleAlerts(tab, entry);
+        },
+        onNavigationChange: tab => {
+          if (tab === this.#tabs.activeTab) this.#addressBar.update();
+        },
+        onError: (tab, err) => this.#logApiError(err),
+      }
+    );
+    this.#addRpcHandlers();
+    this.#contentScripts.addListener(controlledFrame => {
+      if (controlledFrame === this.controlledFrame) {
+        this.#refreshAddedContentScripts();
+      }
+    });
+    this.CreateFrameTab();
+  }
+
+  // Creates a new tab with its own <controlledframe> and makes it active. The
+  // name and partition default to the attribute inputs for the first tab, and
+  // to generated values for later ones. A floating tab is shown in a panel
+  // above the others. Unless |navigate| is false, the new <controlledframe>
+  // loads src. Unless |activate| is false, the new tab becomes active; a tab
+  // opened in the background gets a <controlledframe> that doesn't navigate.
+  CreateFrameTab(
+    name,
+    partition,
+    { floating = false, navigate = true, activate = true } = {}
+  ) {
+    if (this.#tabs.tabs.length === 0) {
+      this.#getAttributeValue('name', $('#name_in'), DEFAULT_ATTRIBUTES.name);
+      this.#getAttributeValue(
+        'partition',
+        $('#partition_in'),
+        DEFAULT_ATTRIBUTES.partition
+      );
+      name ??= $('#name_in').value;
+      partition ??= $('#partition_in').value;
+    }
+    let tab = this.#tabs.create(name, partition, { floating });
+    this.#log.info(`Created frame ${tab.name} in partition ${tab.partition}`);
+    if (!activate) {
+      this.#createControlledFrame(tab);
+      return tab;
+    }
+    this.#tabs.activate(tab.id);
+    this.CreateControlledFrameTag({ navigate });
+    return tab;
+  }
+
+  SwitchFrameTab(id) {
+    this.#tabs.activate(id);
+  }
+
+  // Closes tab |id|. The last remaining tab can't be closed, as the controls
+  // always need a frame to act on.
+  CloseFrameTab(id = this.#tabs.activeTab.id) {
+    if (this.#tabs.tabs.length === 1) {
+      this.#log.warn('The last frame can\'t be closed');
+      return;
+    }
+    let tab = this.#tabs.close(id);
+    this.#navigationGuard.detach(tab.controlledFrame);
+    this.#contentScripts.forget(tab.controlledFrame);
+    tab.rpcChannel?.detach().catch(err => this.#logApiError(err));
+    this.#log.info(`Closed frame ${tab.name}`);
+  }
+
+  // The open tabs, in tab strip order.
+  GetFrameTabs() {
+    return this.#tabs.tabs;
+  }
+
+  // Sets the rules that raise console alerts, as an array of rules or its
+  // JSON; see console_alerts.js. Throws a ConsoleAlertError if they aren't
+  // valid.
+  SetConsoleAlertRules(rules) {
+    this.#consoleAlertRules = parseConsoleAlertRules(rules);
+  }
+
+  // Calls |listener| with { rule, tab, entry } whenever a console message
+  // matches an alert rule. |entry| is the ConsoleRecorder entry.
+  AddConsoleAlertListener(listener) {
+    this.#consoleAlertListeners.push(listener);
   }
 
-  // Creates a <controlledframe> tag and appends it to its container div. If a
-  // <controlledframe> element already exists, it is destroyed and re-created.
-  CreateControlledFrameTag() {
+  // Answers requests for |method| from the pages in every frame, made with
+  // controlledFrameHost.request() (see frame_rpc.js), with the result of
+  // |handler|(params, tab). |handler| may return a promise.
+  HandleFrameRequest(method, handler) {
+    this.#rpcHandlers.set(method, (params, channel) =>
+      handler(params, this.#tabOfRpcChannel(channel))
+    );
+  }
+
+  SetFrameLayout(layout) {
+    this.#tabs.setLayout(layout);
+  }
+
+  // Sets how dialogs from any frame are answered. |policy| is a dialog policy
+  // object or its JSON; see dialog_policy.js. Throws a DialogPolicyError if it
+  // isn't valid.
+  SetDialogPolicy(policy) {
+    this.#dialogPolicy = parseDialogPolicy(policy);
+  }
+
+  // Sets how windows opened from any frame are handled. |policy| is a
+  // new window policy object or its JSON; see new_window_policy.js. Throws a
+  // NewWindowPolicyError if it isn't valid.
+  SetNewWindowPolicy(policy) {
+    this.#newWindowPolicy = parseNewWindowPolicy(policy);
+  }
+
+  // Creates a <controlledframe> tag in the active tab. If the tab already has
+  // a <controlledframe> element, it is destroyed and re-created. Unless
+  // |navigate| is false, the new element loads src.
+  CreateControlledFrameTag({ navigate = true } = {}) {
+    let tab = this.#tabs.activeTab;
     // Re-create the <controlledframe> tag if it already exists.
-    if (this.controlledFrame) {
-      this.controlledFrame.remove();
-      Log.info('Current <controlledframe> tag destroyed.');
+    if (tab.controlledFrame) {
+      this.#log.info(`<controlledframe> tag of ${tab.name} destroyed.`);
     }
     if (typeof ControlledFrame === undefined) {
-      Log.err('The Controlled Frame API is not available.');
-    }
-    this.controlledFrame = document.createElement('ControlledFrame');
-    $('#controlledframe_container').appendChild(this.controlledFrame);
-    this.#initControlledFrameAttributes();
+      this.#log.error('The Controlled Frame API is not available.');
+    }
+    this.#createControlledFrame(tab);
+    this.#useTab(tab);
+    this.#refreshWebRequestListeners([]);
+    this.#refreshRequestRules();
+    this.#usePanels(tab);
+    this.#initControlledFrameAttributes(tab, { navigate });
     this.#initControlledFrameAPIControls();
+    this.#notifyActiveFrameListeners();
+  }
+
+  // Gives |tab| a new <controlledframe> with the tab's name and partition,
+  // and sets up everything that doesn't depend on the tab being active.
+  #createControlledFrame(tab) {
+    let controlledFrame = document.createElement('ControlledFrame');
+    controlledFrame.partition = tab.partition;
+    controlledFrame.name = tab.name;
+    if (tab.controlledFrame) {
+      this.#navigationGuard.detach(tab.controlledFrame);
+      this.#contentScripts.forget(tab.controlledFrame);
+    }
+    tab.setFrame(controlledFrame);
+    this.#attachNavigationGuard(controlledFrame);
+    if (this.#requestRuleset !== null) {
+      this.#loadTabRequestRules(tab, this.#requestRuleset);
+    }
+    this.#addEventListeners(controlledFrame);
+    this.#restoreContentScripts(tab);
+    this.#attachRpcChannel(tab);
+  }
+
+  // Calls |listener| with the element whenever the active <controlledframe>
+  // changes: when it is re-created, and when another tab becomes active.
+  AddActiveFrameListener(listener) {
+    this.#activeFrameListeners.push(listener);
   }
 
   SetAttribute(name, value) {
@@ -50,7 +257,15 @@ class ControlledFrameController {
 
   NavigateControlledFrame(url) {
     if (!isValidUrl(url)) {
-      Log.err(`Invalid URL for src: ${url}`);
+      this.#log.error(`Invalid URL for src: ${url}`);
+      return;
+    }
+    let reason = this.#navigationGuard.check(url);
+    if (reason) {
+      this.#log.warn(`Navigation to ${url} blocked: ${reason}`);
+      this.#navigationGuard
+        .showBlockPage(this.controlledFrame, url, reason)
+        .catch(err => this.#logApiError(err));
       return;
     }
     this.controlledFrame.src = url;
@@ -77,6 +292,53 @@ class ControlledFrameController {
     this.#refreshAddedContentScripts();
   }
 
+  // Points the controls at |tab|'s <controlledframe>.
+  #useTab(tab) {
+    this.controlledFrame = tab.controlledFrame;
+    this.#frame = tab.frame;
+    this.#webRequestListeners = tab.webRequestListeners;
+  }
+
+  // Points the network and console panels and the address bar at |tab|'s
+  // recorders and history, creating them for the first tab.
+  #usePanels(tab) {
+    this.#networkPanel ??= new NetworkPanel(tab.networkRecorder);
+    this.#networkPanel.recorder = tab.networkRecorder;
+    this.#networkPanel.render();
+    this.#consolePanel ??= new ConsolePanel(tab.consoleRecorder);
+    this.#consolePanel.recorder = tab.consoleRecorder;
+    this.#consolePanel.render();
+    this.#addressBar ??= new AddressBar(tab.navigationHistory, {
+      go: this.#traverse.bind(this),
+      navigate: this.NavigateControlledFrame.bind(this),
+      reload: this.#reload.bind(this),
+      stop: this.#stop.bind(this),
+    });
+    this.#addressBar.history = tab.navigationHistory;
+    this.#addressBar.render();
+  }
+
+  #onTabActivated(tab) {
+    // A new tab is activated before it has a <controlledframe>;
+    // CreateControlledFrameTag() sets it up.
+    if (!tab.controlledFrame) return;
+    this.#useTab(tab);
+    $('#name_in').value = tab.name;
+    $('#partition_in').value = tab.partition;
+    $('#src_in').value = tab.controlledFrame.src;
+    this.#refreshWebRequestListeners(tab.webRequestListeners.entries());
+    this.#refreshRequestRules();
+    this.#usePanels(tab);
+    this.RefreshState();
+    this.#notifyActiveFrameListeners();
+  }
+
+  #notifyActiveFrameListeners() {
+    for (const listener of this.#activeFrameListeners) {
+      listener(this.controlledFrame);
+    }
+  }
+
   // Sets the attribute value if it was specified in the URL parameters or in
   // the attribute's input element. If it was not specified, sets the provided
   // default value.
@@ -92,13 +354,11 @@ class ControlledFrameController {
     inputEl.value = defaultValue;
   }
 
-  // Initializes the <controlledframe> tag attributes with default values.
-  #initControlledFrameAttributes() {
-    this.#getAttributeValue(
-      'partition',
-      $('#partition_in'),
-      DEFAULT_ATTRIBUTES.partition
-    );
+  // Initializes the <controlledframe> tag attributes with default values, and
+  // the tab's name and partition. src is only set if |navigate| is true.
+  #initControlledFrameAttributes(tab, { navigate = true } = {}) {
+    $('#name_in').value = tab.name;
+    $('#partition_in').value = tab.partition;
     this.#getAttributeValue(
       'allowtransparency',
       $('#allowtransparency_chk'),
@@ -109,23 +369,34 @@ class ControlledFrameController {
       $('#autosize_chk'),
       DEFAULT_ATTRIBUTES.autosize
     );
-    this.#getAttributeValue('name', $('#name_in'), DEFAULT_ATTRIBUTES.name);
     this.#getAttributeValue('src', $('#src_in'), DEFAULT_ATTRIBUTES.src);
 
     this.#setPartition();
     this.#setAllowtransparency();
     this.#setAutosize();
     this.#setName();
-    this.#setSrc();
+    if (navigate) this.#setSrc();
   }
 
   // Initializes the various inputs and buttons that will be used to test the
   // Controlled Frame API.
   #initControlledFrameAPIControls() {
-    this.#addControlledFrameAttributeHandlers();
-    this.#addControlledFramePropertyHandlers();
-    this.#addControlledFrameMethodHandlers();
-    this.#addEventListeners();
+    // The page controls outlive the <controlledframe> tag and always act on
+    // the current one, so their handlers are only added once.
+    if (!this.#controlsInitialized) {
+      this.#addControlledFrameAttributeHandlers();
+      this.#addControlledFramePropertyHandlers();
+      this.#addControlledFrameMethodHandlers();
+      this.#addWebRequestHandlers();
+      this.#addVisualRegressionHandlers();
+      this.#addDialogPolicyHandlers();
+      this.#addConsoleAlertHandlers();
+      this.#addNewWindowPolicyHandlers();
+      this.#addPermissionPolicyHandlers();
+      this.#addRpcControlHandlers();
+      this.#addScriptLibraryHandlers();
+      this.#controlsInitialized = true;
+    }
     this.RefreshState();
 
     // Allow text areas to expand to fit text.
@@ -186,6 +457,10 @@ class ControlledFrameController {
       'click',
       this.#addContentScripts.bind(this)
     );
+    $('#replace_content_scripts_btn').addEventListener(
+      'click',
+      this.#replaceContentScripts.bind(this)
+    );
     $('#back_btn').addEventListener('click', this.#back.bind(this));
     $('#capture_visible_region_btn').addEventListener(
       'click',
@@ -257,22 +532,22 @@ class ControlledFrameController {
   }
 
   // Add event listeners for context menu events.
-  #addContextMenusEventListeners() {
-    if (typeof this.controlledFrame.contextMenus !== 'object') {
-      Log.warn('contextMenus: Property undefined');
+  #addContextMenusEventListeners(controlledFrame) {
+    if (typeof controlledFrame.contextMenus !== 'object') {
+      this.#log.warn('contextMenus: Property undefined');
       return;
     }
 
-    this.controlledFrame.contextMenus.onShow.addListener(
+    controlledFrame.contextMenus.onShow.addListener(
       this.#contextMenusOnShow.bind(this));
-    this.controlledFrame.contextMenus.onClicked.addListener(
+    controlledFrame.contextMenus.onClicked.addListener(
       this.#contextMenusOnClicked.bind(this));
   }
 
   // Add event listeners for the web request related Controlled Frame API.
   #addWebRequestHandlers() {
     if (typeof this.controlledFrame.request !== 'object') {
-      Log.warn('request: Property undefined');
+      this.#log.warn('request: Property undefined');
       return;
     }
 
@@ -312,72 +587,208 @@ class ControlledFrameController {
       'click',
       this.#addOnSendHeaders.bind(this)
     );
+    $('#blocking_response_validate_btn').addEventListener(
+      'click',
+      this.#validateBlockingResponse.bind(this)
+    );
+    $('#request_listeners_remove_all_btn').addEventListener(
+      'click',
+      this.#removeAllWebRequestListeners.bind(this)
+    );
+    $('#request_rules_load_btn').addEventListener(
+      'click',
+      this.#loadRequestRules.bind(this)
+    );
+    $('#request_rules_clear_btn').addEventListener(
+      'click',
+      this.#clearRequestRules.bind(this)
+    );
+    $('#navigation_guard_load_btn').addEventListener(
+      'click',
+      this.#loadNavigationPolicy.bind(this)
+    );
+    $('#navigation_guard_clear_btn').addEventListener(
+      'click',
+      this.#clearNavigationPolicy.bind(this)
+    );
+  }
+
+  #addVisualRegressionHandlers() {
+    $('#visual_check_btn').addEventListener(
+      'click',
+      this.#checkVisualCheckpoint.bind(this)
+    );
+    $('#visual_update_btn').addEventListener(
+      'click',
+      this.#updateVisualBaseline.bind(this)
+    );
+    $('#visual_delete_btn').addEventListener(
+      'click',
+      this.#deleteVisualBaseline.bind(this)
+    );
+    $('#visual_export_btn').addEventListener(
+      'click',
+      this.#exportVisualBaselines.bind(this)
+    );
+    $('#visual_import_in').addEventListener(
+      'change',
+      this.#importVisualBaselines.bind(this)
+    );
+    $('#visual_view_mode_in').addEventListener(
+      'change',
+      this.#setVisualViewMode.bind(this)
+    );
+    $('#visual_overlay_opacity_in').addEventListener('input', e => {
+      $('#visual_compare').style.setProperty(
+        '--overlay-opacity',
+        e.target.value
+      );
+    });
+    this.#refreshVisualBaselines();
+  }
+
+  #addDialogPolicyHandlers() {
+    $('#dialog_policy_btn').addEventListener(
+      'click',
+      this.#applyDialogPolicy.bind(this)
+    );
+    $('#dialog_mode_in').value = this.#dialogPolicy.mode;
+  }
+
+  #addConsoleAlertHandlers() {
+    $('#console_alert_rules_btn').addEventListener(
+      'click',
+      this.#applyConsoleAlertRules.bind(this)
+    );
+  }
+
+  #addNewWindowPolicyHandlers() {
+    $('#new_window_policy_btn').addEventListener(
+      'click',
+      this.#applyNewWindowPolicy.bind(this)
+    );
+    $('#new_window_default_in').value = this.#newWindowPolicy.defaultAction;
+  }
+
+  #addScriptLibraryHandlers() {
+    $('#script_library_save_btn').addEventListener(
+      'click',
+      this.#saveScriptSnippet.bind(this)
+    );
+    $('#script_library_load_btn').addEventListener(
+      'click',
+      this.#loadScriptSnippet.bind(this)
+    );
+    $('#script_library_run_btn').addEventListener(
+      'click',
+      this.#runScriptSnippet.bind(this)
+    );
+    $('#script_library_delete_btn').addEventListener(
+      'click',
+      this.#deleteScriptSnippet.bind(this)
+    );
+    this.#refreshScriptLibrary();
+  }
+
+  #addRpcControlHandlers() {
+    $('#rpc_request_btn').addEventListener(
+      'click',
+      this.#sendRpcRequest.bind(this)
+    );
+    $('#rpc_emit_btn').addEventListener('click', this.#emitRpcEvent.bind(this));
+    $('#rpc_subscribe_btn').addEventListener(
+      'click',
+      this.#subscribeRpcEvent.bind(this)
+    );
+    $('#rpc_unsubscribe_btn').addEventListener(
+      'click',
+      this.#unsubscribeRpcEvent.bind(this)
+    );
   }
 
-  // Add the general <controlledframe> event handlers.
-  #addEventListeners() {
-    this.controlledFrame.addEventListener('close', this.#onclose.bind(this));
-    this.controlledFrame.addEventListener(
+  #addPermissionPolicyHandlers() {
+    $('#permission_policy_btn').addEventListener(
+      'click',
+      this.#applyPermissionPolicy.bind(this)
+    );
+    $('#permission_policy_reset_btn').addEventListener(
+      'click',
+      this.#resetPermissionPolicy.bind(this)
+    );
+    $('#permission_audit_download_btn').addEventListener(
+      'click',
+      this.#downloadPermissionAudit.bind(this)
+    );
+    $('#permission_audit_clear_btn').addEventListener(
+      'click',
+      this.#clearPermissionAudit.bind(this)
+    );
+    this.#loadPermissionPolicy();
+  }
+
+  // Add the general event handlers to |controlledFrame|.
+  #addEventListeners(controlledFrame) {
+    controlledFrame.addEventListener('close', this.#onclose.bind(this));
+    controlledFrame.addEventListener(
       'consolemessage',
       this.#onconsolemessage.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'contentload',
       this.#oncontentload.bind(this)
     );
-    this.controlledFrame.addEventListener('dialog', this.#ondialog.bind(this));
-    this.controlledFrame.addEventListener('exit', this.#onexit.bind(this));
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener('dialog', this.#ondialog.bind(this));
+    controlledFrame.addEventListener('exit', this.#onexit.bind(this));
+    controlledFrame.addEventListener(
       'findupdate',
       this.#onfindupdate.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'loadabort',
       this.#onloadabort.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'loadcommit',
       this.#onloadcommit.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'loadredirect',
       this.#onloadredirect.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'loadstart',
       this.#onloadstart.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'loadstop',
       this.#onloadstop.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'newwindow',
       this.#onnewwindow.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'permissionrequest',
       this.#onpermissionrequest.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'responsive',
       this.#onresponsive.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'sizechanged',
       this.#onsizechanged.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'unresponsive',
       this.#onunresponsive.bind(this)
     );
-    this.controlledFrame.addEventListener(
+    controlledFrame.addEventListener(
       'zoomchange',
       this.#onzoomchange.bind(this)
     );
 
-    this.#addContextMenusEventListeners();
-    this.#addWebRequestHandlers();
+    this.#addContextMenusEventListeners(controlledFrame);
   }
 
   // Attribute handlers
@@ -388,6 +799,8 @@ class ControlledFrameController {
 
   #setPartition(e) {
     this.controlledFrame.partition = $('#partition_in').value;
+    this.#tabs.activeTab.partition = this.controlledFrame.partition;
+    this.#tabs.activeTab.render();
   }
 
   #setAllowtransparency(e) {
@@ -402,27 +815,125 @@ class ControlledFrameController {
 
   #setName(e) {
     this.controlledFrame.name = $('#name_in').value;
+    this.#tabs.activeTab.name = this.controlledFrame.name;
+    this.#tabs.activeTab.render();
   }
 
   // Property handlers
   #contentWindowPostMessage(e) {
     if (typeof this.controlledFrame.contentWindow !== 'object') {
-      Log.warn('contentWindow: property undefined');
+      this.#log.warn('contentWindow: property undefined');
       return;
     }
 
     let message = $('#content_window_post_message_message_in').value;
     let targetOrigin = $('#content_window_post_message_target_origin_in').value;
     if (!isValidUrl(targetOrigin)) {
-      Log.err(`${targetOrigin} is not a valid URL`);
+      this.#log.error(`${targetOrigin} is not a valid URL`);
       return;
     }
     this.controlledFrame.contentWindow.postMessage(message, targetOrigin);
-    Log.info(
+    this.#log.info(
       `contentWindow.postMessage(${message}, ${targetOrigin}) completed`
     );
   }
 
+  // Messaging
+  // Requests the pages can make of the app.
+  #addRpcHandlers() {
+    this.HandleFrameRequest('app.getFrameInfo', (params, tab) => ({
+      name: tab.name,
+      partition: tab.partition,
+      url: tab.controlledFrame.src,
+    }));
+    this.HandleFrameRequest('app.log', ({ message } = {}, tab) => {
+      this.#log.info(`${tab.name}: ${message}`);
+    });
+  }
+
+  // Connects the messaging channel to the tab's new <controlledframe>, with
+  // the app's request handlers and event subscriptions.
+  async #attachRpcChannel(tab) {
+    if (!tab.rpcChannel) {
+      tab.rpcChannel = new FrameRpcChannel({ handlers: this.#rpcHandlers });
+      for (const [event, listener] of this.#rpcEventListeners) {
+        tab.rpcChannel.on(event, listener);
+      }
+    }
+    try {
+      await tab.rpcChannel.attach(tab.controlledFrame);
+    } catch (err) {
+      this.#logApiError(err);
+    }
+  }
+
+  #tabOfRpcChannel(channel) {
+    return this.#tabs.tabs.find(tab => tab.rpcChannel === channel);
+  }
+
+  async #sendRpcRequest(e) {
+    let method = $('#rpc_method_in').value;
+    let params;
+    try {
+      let paramsJson = $('#rpc_params_in').value.trim();
+      params = paramsJson ? JSON.parse(paramsJson) : undefined;
+    } catch (err) {
+      this.#log.error(`params is not valid JSON: ${err.message}`);
+      return;
+    }
+    let channel = this.#tabs.activeTab.rpcChannel;
+    try {
+      let result = await channel.request(method, params);
+      $('#rpc_result').innerText = JSON.stringify(result, null, 2) ?? '';
+      this.#log.info(`request(${method}) completed`);
+    } catch (err) {
+      $('#rpc_result').innerText = `${err.code ?? err.name}: ${err.message}`;
+      this.#logApiError(err);
+    }
+  }
+
+  #emitRpcEvent(e) {
+    let event = $('#rpc_event_in').value;
+    let data;
+    try {
+      let dataJson = $('#rpc_event_data_in').value.trim();
+      data = dataJson ? JSON.parse(dataJson) : undefined;
+    } catch (err) {
+      this.#log.error(`data is not valid JSON: ${err.message}`);
+      return;
+    }
+    if (this.#tabs.activeTab.rpcChannel.emit(event, data)) {
+      this.#log.info(`emit(${event}) completed`);
+    } else {
+      this.#log.warn(`emit(${event}): the page isn't subscribed to ${event}`);
+    }
+  }
+
+  // Subscribes every frame, current and future, to a page event.
+  #subscribeRpcEvent(e) {
+    let event = $('#rpc_subscribe_in').value;
+    if (!event || this.#rpcEventListeners.has(event)) return;
+    let listener = (data, channel) => {
+      let tab = this.#tabOfRpcChannel(channel);
+      this.#log.event(`${event} from ${tab?.name}`, {
+        source: { frameId: tab?.id ?? null, event },
+        payload: data,
+      });
+    };
+    this.#rpcEventListeners.set(event, listener);
+    for (const tab of this.#tabs.tabs) tab.rpcChannel?.on(event, listener);
+    this.#log.info(`Subscribed to ${event}`);
+  }
+
+  #unsubscribeRpcEvent(e) {
+    let event = $('#rpc_subscribe_in').value;
+    let listener = this.#rpcEventListeners.get(event);
+    if (!listener) return;
+    this.#rpcEventListeners.delete(event);
+    for (const tab of this.#tabs.tabs) tab.rpcChannel?.off(event, listener);
+    this.#log.info(`Unsubscribed from ${event}`);
+  }
+
   // Method handlers
   // Content script related functions
   #readContentScriptDetails() {
@@ -457,76 +968,172 @@ class ControlledFrameController {
     return contentScriptDetails;
   }
 
+  // Fills the ContentScriptDetails controls with |script|, to edit it and
+  // replace it.
+  #writeContentScriptDetails(script) {
+    $('#content_script_details_all_frames_chk').checked = !!script.all_frames;
+    $('#content_script_details_match_about_blank_chk').checked =
+      !!script.match_about_blank;
+    for (const keyName of [
+      'exclude_globs', 'exclude_matches', 'include_globs', 'matches',
+    ]) {
+      $(`#content_script_details_${keyName}_in`).value =
+        script[keyName]?.join(',') ?? '';
+    }
+    $('#content_script_details_name_in').value = script.name;
+    $('#content_script_details_run_at_in').value =
+      script.run_at ?? 'document_idle';
+    for (const type of ['css', 'js']) {
+      $(`#content_script_details_${type}_injection_items_code_in`).value =
+        script[type]?.code ?? '';
+      $(`#content_script_details_${type}_injection_items_files_in`).value =
+        script[type]?.files?.join(',') ?? '';
+    }
+  }
+
+  // Lists the content scripts registered in the active frame, marking the
+  // ones that match its current URL. Scripts added by other parts of the app
+  // name their owner and can't be edited or removed here.
   #refreshAddedContentScripts() {
-    let scriptNameList = '';
-    for (const contentScript of this.#addedContentScripts)
-      scriptNameList += contentScript.name + '\n';
-    $('#add_content_scripts_result').innerText = scriptNameList;
+    let tab = this.#tabs.activeTab;
+    let rows = this.#contentScripts.registered(tab.controlledFrame).map(
+      script => {
+        let row = document.createElement('div');
+        row.className = 'content-script';
+        let summary = document.createElement('span');
+        let matching = contentScriptMatches(script, tab.controlledFrame.src);
+        summary.innerText = `${matching ? '\u25cf' : '\u25cb'} ${script.name}`;
+        summary.title = JSON.stringify(script, null, 2);
+        let owner = this.#contentScripts.ownerOf(script.name);
+        if (owner) {
+          summary.innerText += ` (added by the ${owner})`;
+          row.append(summary);
+          return row;
+        }
+        let edit = document.createElement('button');
+        edit.innerText = 'Edit';
+        edit.addEventListener('click', () =>
+          this.#writeContentScriptDetails(script)
+        );
+        let remove = document.createElement('button');
+        remove.innerText = 'Remove';
+        remove.addEventListener('click', () =>
+          this.#removeContentScriptsNamed([script.name])
+        );
+        row.append(summary, edit, remove);
+        return row;
+      }
+    );
+    $('#add_content_scripts_result').replaceChildren(...rows);
   }
 
-  #addContentScripts(e) {
-    if (typeof this.controlledFrame.addContentScripts !== 'function') {
-      Log.warn('addContentScripts: API undefined');
+  // Adds the saved content scripts of the tab's partition to its new
+  // <controlledframe>.
+  async #restoreContentScripts(tab) {
+    try {
+      let restored = await this.#contentScripts.restore(tab);
+      if (restored.length > 0) {
+        this.#log.info(
+          `Restored content scripts ${restored.map(s => s.name).join(', ')}`
+        );
+      }
+    } catch (err) {
+      this.#logApiError(err);
+    }
+    if (tab === this.#tabs.activeTab) this.#refreshAddedContentScripts();
+  }
+
+  async #setContentScript(replace) {
+    let tab = this.#tabs.activeTab;
+    let script;
+    try {
+      script = await this.#contentScripts.add(
+        tab,
+        this.#readContentScriptDetails(),
+        { replace }
+      );
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
-    let contentScriptDetails = this.#readContentScriptDetails();
-    this.controlledFrame.addContentScripts([contentScriptDetails]);
-    this.#addedContentScripts.push(contentScriptDetails);
-    Log.info('addContentScripts completed');
+    this.#refreshAddedContentScripts();
+    this.#log.info(
+      `addContentScripts([${script.name}]) completed` +
+        (replace ? ' (replaced)' : '')
+    );
+  }
+
+  #addContentScripts(e) {
+    this.#setContentScript(false);
+  }
+
+  #replaceContentScripts(e) {
+    this.#setContentScript(true);
   }
 
   // Navigation related functions
-  #back(e) {
-    if (typeof this.controlledFrame.back !== 'function') {
-      Log.warn('back: API undefined');
-      return;
+  async #back(e) {
+    let history = this.#tabs.activeTab.navigationHistory;
+    history.expectTraversal(-1);
+    try {
+      await this.#frame.back();
+      this.#log.info('back = successful');
+    } catch (err) {
+      history.cancelTraversal();
+      this.#logApiError(err);
     }
-    this.controlledFrame.back(success => {
-      let successStr = success ? 'successful' : 'unsuccessful';
-      Log.info(`back = ${successStr}`);
-    });
   }
 
-  #canGoBack(e) {
-    if (typeof this.controlledFrame.canGoBack !== 'function') {
-      Log.warn('canGoBack: API undefined');
-      return;
+  async #canGoBack(e) {
+    try {
+      let canGoBack = await this.#frame.canGoBack();
+      $('#can_go_back_chk').checked = canGoBack;
+      this.#tabs.activeTab.navigationHistory.reconcile({ canGoBack });
+      this.#log.info(`canGoBack = ${canGoBack}`);
+    } catch (err) {
+      this.#logApiError(err);
     }
-    let canGoBack = this.controlledFrame.canGoBack();
-    $('#can_go_back_chk').checked = canGoBack;
-    Log.info(`canGoBack = ${canGoBack}`);
   }
 
-  #forward(e) {
-    if (typeof this.controlledFrame.forward !== 'function') {
-      Log.warn('forward: API undefined');
-      return;
+  async #forward(e) {
+    let history = this.#tabs.activeTab.navigationHistory;
+    history.expectTraversal(1);
+    try {
+      await this.#frame.forward();
+      this.#log.info('forward = successful');
+    } catch (err) {
+      history.cancelTraversal();
+      this.#logApiError(err);
     }
-    this.controlledFrame.forward(success => {
-      let successStr = success ? 'successful' : 'unsuccessful';
-      Log.info(`forward = ${successStr}`);
-    });
   }
 
-  #canGoForward(e) {
-    if (typeof this.controlledFrame.canGoForward !== 'function') {
-      Log.warn('canGoForward: API undefined');
-      return;
+  async #canGoForward(e) {
+    try {
+      let canGoForward = await this.#frame.canGoForward();
+      $('#can_go_forward_chk').checked = canGoForward;
+      this.#tabs.activeTab.navigationHistory.reconcile({ canGoForward });
+      this.#log.info(`canGoForward = ${canGoForward}`);
+    } catch (err) {
+      this.#logApiError(err);
     }
-    let canGoForward = this.controlledFrame.canGoForward();
-    $('#can_go_forward_chk').checked = canGoForward;
-    Log.info(`canGoForward = ${canGoForward}`);
   }
 
-  #go(e) {
-    if (typeof this.controlledFrame.go !== 'function') {
-      Log.warn('go: API undefined');
-      return;
+  async #go(e) {
+    await this.#traverse(parseInt($('#go_in').value));
+  }
+
+  // Calls go(|relativeIndex|) on the active frame and tells its navigation
+  // history to expect the traversal.
+  async #traverse(relativeIndex) {
+    let history = this.#tabs.activeTab.navigationHistory;
+    history.expectTraversal(relativeIndex);
+    try {
+      await this.#frame.go(relativeIndex);
+      this.#log.info(`go(${relativeIndex}) = successful`);
+    } catch (err) {
+      history.cancelTraversal();
+      this.#logApiError(err);
     }
-    let num = parseInt($('#go_in').value);
-    this.controlledFrame.go(num, success => {
-      Log.info(`go = ${success}`);
-    });
   }
 
   // Other API functions
@@ -537,33 +1144,174 @@ class ControlledFrameController {
     };
   }
 
-  #captureVisibleRegion(e) {
-    if (typeof this.controlledFrame.captureVisibleRegion !== 'function') {
-      Log.warn('captureVisibleRegion: API undefined');
+  async #captureVisibleRegion(e) {
+    let imageDetails = this.#readImageDetails();
+    let dataUrl;
+    try {
+      dataUrl = await this.#frame.captureVisibleRegion(imageDetails);
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
 
-    let imageDetails = this.#readImageDetails();
-
-    let handler = dataUrl => {
-      Log.info(`captureVisibleRegion completed`);
-      let resultEl = $('#capture_visible_region_result');
-      resultEl.src = dataUrl;
-      resultEl.classList.remove('hide');
-      $('#capture_visible_region_result_btn').onclick = e => {
-        toggleHide(resultEl);
-      };
+    this.#log.info(`captureVisibleRegion completed`);
+    let resultEl = $('#capture_visible_region_result');
+    resultEl.src = dataUrl;
+    resultEl.classList.remove('hide');
+    $('#capture_visible_region_result_btn').onclick = e => {
+      toggleHide(resultEl);
     };
+  }
 
-    this.controlledFrame.captureVisibleRegion(imageDetails, handler);
+  // Visual regression related functions
+  // The threshold and maximum difference fall back to their defaults unless
+  // their inputs hold a number that isn't negative.
+  #readDiffOptions() {
+    let ignoreRegions = [];
+    let ignoreRegionsJson = $('#visual_ignore_regions_in').value.trim();
+    if (ignoreRegionsJson.length !== 0) {
+      ignoreRegions = JSON.parse(ignoreRegionsJson);
+    }
+    let options = { ignoreRegions };
+    let threshold = parseFloat($('#visual_threshold_in').value);
+    if (threshold >= 0) {
+      options.threshold = threshold;
+    }
+    let maxDiffPercent = parseFloat($('#visual_max_diff_in').value);
+    if (maxDiffPercent >= 0) {
+      options.maxDiffRatio = maxDiffPercent / 100;
+    }
+    return options;
+  }
+
+  #checkVisualCheckpoint(e) {
+    return this.#runVisualCheck(false);
+  }
+
+  #updateVisualBaseline(e) {
+    return this.#runVisualCheck(true);
+  }
+
+  async #runVisualCheck(updateBaseline) {
+    let name = $('#visual_checkpoint_in').value;
+    if (name.length === 0) {
+      this.#log.error('visual regression: checkpoint name is empty');
+      return;
+    }
+    let result;
+    try {
+      result = await this.#visualRegression.check(
+        name,
+        this.#frame,
+        this.#readImageDetails(),
+        { updateBaseline, ...this.#readDiffOptions() }
+      );
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    this.#log.info(`visual checkpoint ${name}: ${result.status}`);
+    this.#showVisualResult(result);
+    await this.#refreshVisualBaselines();
+  }
+
+  #showVisualResult(result) {
+    let text = `${result.name}: ${result.status}`;
+    if (result.status === CheckStatus.NEW) {
+      text += ' (baseline saved)';
+    } else if (result.sizeMismatch) {
+      text +=
+        `\nsize differs: baseline ${result.width}x${result.height}, ` +
+        `actual ${result.actualWidth}x${result.actualHeight}`;
+    } else {
+      let percent = (result.diffRatio * 100).toFixed(2);
+      text +=
+        `\n${result.diffPixels} of ${result.comparedPixels} pixels differ ` +
+        `(${percent}%)`;
+    }
+    if (result.imageDetailsChanged) {
+      text +=
+        `\nbaseline was captured with ` +
+        `${JSON.stringify(result.baseline.imageDetails)}`;
+    }
+    $('#visual_result').innerText = text;
+
+    $('#visual_baseline_img').src = result.baseline?.dataUrl ?? result.dataUrl;
+    $('#visual_actual_img').src = result.dataUrl;
+    let canvas = $('#visual_diff_canvas');
+    if (result.diffImage) {
+      canvas.width = result.diffImage.width;
+      canvas.height = result.diffImage.height;
+      canvas.getContext('2d').putImageData(result.diffImage, 0, 0);
+    } else {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+    $('#visual_compare').classList.remove('hide');
+  }
+
+  #setVisualViewMode(e) {
+    let compareEl = $('#visual_compare');
+    for (const option of e.target.options) {
+      compareEl.classList.toggle(option.value, option.selected);
+    }
+  }
+
+  async #refreshVisualBaselines() {
+    let baselines;
+    try {
+      baselines = await this.#visualRegression.store.list();
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    let options = baselines.map(baseline => {
+      let option = document.createElement('option');
+      option.value = baseline.name;
+      option.innerText = `${baseline.name} (${baseline.createdAt})`;
+      return option;
+    });
+    $('#visual_baselines_in').replaceChildren(...options);
   }
 
-  #clearData(e) {
-    if (typeof this.controlledFrame.clearData !== 'function') {
-      Log.warn('clearData: API undefined');
+  async #deleteVisualBaseline(e) {
+    let name = $('#visual_baselines_in').value;
+    if (!name) return;
+    try {
+      await this.#visualRegression.store.delete(name);
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
+    this.#log.info(`Deleted visual baseline ${name}`);
+    await this.#refreshVisualBaselines();
+  }
 
+  async #exportVisualBaselines(e) {
+    let json;
+    try {
+      json = await this.#visualRegression.store.export();
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    downloadFile('visual_baselines.json', json);
+  }
+
+  async #importVisualBaselines(e) {
+    let file = e.target.files[0];
+    if (!file) return;
+    try {
+      let count = await this.#visualRegression.store.import(await file.text());
+      this.#log.info(`Loaded ${count} visual baselines from ${file.name}`);
+    } catch (err) {
+      this.#logApiError(err);
+    }
+    e.target.value = '';
+    await this.#refreshVisualBaselines();
+  }
+
+  async #clearData(e) {
     let options = { since: parseInt($('#clear_data_options_since_in').value) };
     let types = {};
     let typesForLogging = new Array();
@@ -571,21 +1319,25 @@ class ControlledFrameController {
       types[option.value] = option.selected;
       if (option.selected) typesForLogging.push(option.value);
     }
-    let callback = () => {
-      Log.info(`clearData finished for ${typesForLogging.join(', ')}`);
-    };
-
-    this.controlledFrame.clearData(options, types, callback);
+    try {
+      await this.#frame.clearData(options, types);
+      this.#log.info(`clearData finished for ${typesForLogging.join(', ')}`);
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
   #readInjectDetails() {
+    let allFrames = $('#inject_details_all_frames_chk').checked;
     if ($('#inject_details_code_in').value.length > 0) {
       return {
         code: $('#inject_details_code_in').value,
+        allFrames,
       }
     }
     return {
       file: $('#inject_details_file_in').value,
+      allFrames,
     };
   }
 
@@ -600,33 +1352,136 @@ class ControlledFrameController {
     };
   }
 
-  #executeScript(e) {
-    if (typeof this.controlledFrame.executeScript !== 'function') {
-      Log.warn('executeScript: API undefined');
+  async #executeScript(e) {
+    await this.#runScript(this.#readInjectDetails());
+  }
+
+  // Runs InjectDetails |details| in the active frame and shows the result of
+  // each frame it ran in. Code is wrapped to report the frame's URL and any
+  // exception; see script_results.js.
+  async #runScript(details) {
+    let wrapped = details.code !== undefined;
+    if (wrapped) details = { ...details, code: wrapScript(details.code) };
+    let results;
+    try {
+      results = normalizeScriptResults(
+        await this.#frame.executeScript(details),
+        { wrapped }
+      );
+    } catch (err) {
+      this.#scriptResultView.clear();
+      this.#logApiError(err);
       return;
     }
-    let details = this.#readInjectDetails();
-    let callback = result => {
-      let resultStr = JSON.stringify(result);
-      Log.info(`executeScript = ${resultStr}`);
-      $('#execute_script_result').innerText = resultStr;
-    };
-    this.controlledFrame.executeScript(details, callback);
+    this.#scriptResultView.render(results);
+    let exceptions = results.filter(result => result.exception).length;
+    this.#log.info(
+      `executeScript ran in ${results.length} frames, ` +
+        `${exceptions} threw an exception`
+    );
   }
 
-  #find(e) {
-    if (typeof this.controlledFrame.find !== 'function') {
-      Log.warn('find: API undefined');
+  // Script library
+  async #refreshScriptLibrary() {
+    let snippets;
+    try {
+      snippets = await this.#scriptLibrary.list();
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
+    let options = snippets.map(snippet => {
+      let option = document.createElement('option');
+      option.value = snippet.name;
+      option.innerText = snippet.name;
+      option.title = snippet.code;
+      return option;
+    });
+    $('#script_library_in').replaceChildren(...options);
+  }
+
+  async #saveScriptSnippet(e) {
+    let name = $('#script_library_name_in').value.trim();
+    let code = $('#inject_details_code_in').value;
+    if (!name || !code.trim()) {
+      this.#log.error('Snippets need a name and code');
+      return;
+    }
+    try {
+      await this.#scriptLibrary.put({
+        name,
+        code,
+        allFrames: $('#inject_details_all_frames_chk').checked,
+      });
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    this.#log.info(`Saved snippet ${name}`);
+    await this.#refreshScriptLibrary();
+    $('#script_library_in').value = name;
+  }
+
+  async #getSelectedScriptSnippet() {
+    let name = $('#script_library_in').value;
+    if (!name) return null;
+    let snippet;
+    try {
+      snippet = await this.#scriptLibrary.get(name);
+    } catch (err) {
+      this.#logApiError(err);
+      return null;
+    }
+    if (!snippet) this.#log.error(`No snippet named ${name}`);
+    return snippet ?? null;
+  }
+
+  async #loadScriptSnippet(e) {
+    let snippet = await this.#getSelectedScriptSnippet();
+    if (!snippet) return;
+    $('#script_library_name_in').value = snippet.name;
+    $('#inject_details_code_in').value = snippet.code;
+    $('#inject_details_all_frames_chk').checked = snippet.allFrames;
+    textareaExpand($('#inject_details_code_in'));
+  }
+
+  // Runs the selected snippet in the active frame without changing the
+  // executeScript controls.
+  async #runScriptSnippet(e) {
+    let snippet = await this.#getSelectedScriptSnippet();
+    if (!snippet) return;
+    this.#log.info(`Running snippet ${snippet.name}`);
+    await this.#runScript({ code: snippet.code, allFrames: snippet.allFrames });
+  }
+
+  async #deleteScriptSnippet(e) {
+    let name = $('#script_library_in').value;
+    if (!name) return;
+    try {
+      await this.#scriptLibrary.delete(name);
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    this.#log.info(`Deleted snippet ${name}`);
+    await this.#refreshScriptLibrary();
+  }
 
+  async #find(e) {
     let searchText = $('#find_search_text_in').value;
     let options = {
       backward: $('#find_options_backward_in').checked,
       matchCase: $('#find_options_match_case_in').checked,
     };
-    let callback = results => {
-      let resultsStr = `
+    let results;
+    try {
+      results = await this.#frame.find(searchText, options);
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+
+    let resultsStr = `
   {
     activeMatchOrdinal = ${results.activeMatchOrdinal}
     cancelled = ${results.cancelled ? 'yes' : 'no'}
@@ -638,372 +1493,662 @@ class ControlledFrameController {
       width: ${results.selectionRect.width},
   }
       `;
-      Log.info(`find = ${resultsStr}`);
-
-      let resultEl = $('#find_result');
-      resultEl.innerText = resultsStr;
-      resultEl.classList.remove('hide');
-      $('#find_result_btn').onclick = e => {
-        toggleHide(resultEl);
-      };
+    this.#log.info(`find = ${resultsStr}`);
+
+    let resultEl = $('#find_result');
+    resultEl.innerText = resultsStr;
+    resultEl.classList.remove('hide');
+    $('#find_result_btn').onclick = e => {
+      toggleHide(resultEl);
     };
-    this.controlledFrame.find(searchText, options, callback);
   }
 
-  #getAudioState(e) {
-    if (typeof this.controlledFrame.getAudioState !== 'function') {
-      Log.warn('getAudioState: API undefined');
-      return;
-    }
-    let callback = audible => {
-      Log.info(`getAudioState = ${audible}`);
+  async #getAudioState(e) {
+    try {
+      let audible = await this.#frame.getAudioState();
+      this.#log.info(`getAudioState = ${audible}`);
       $('#get_audio_state_chk').checked = audible;
-    };
-    this.controlledFrame.getAudioState(callback);
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
-  #getProcessId(e) {
-    if (typeof this.controlledFrame.getProcessId !== 'function') {
-      Log.warn('getProcessId: API undefined');
-      return;
+  async #getProcessId(e) {
+    try {
+      let id = await this.#frame.call('getProcessId');
+      $('#get_process_id_result').innerText = id;
+    } catch (err) {
+      this.#logApiError(err);
     }
-    let id = this.controlledFrame.getProcessId();
-    $('#get_process_id_result').innerText = id;
   }
 
-  #getUserAgent(e) {
-    if (typeof this.controlledFrame.getUserAgent !== 'function') {
-      Log.warn('getUserAgent: API undefined');
-      return;
+  async #getUserAgent(e) {
+    try {
+      let userAgent = await this.#frame.call('getUserAgent');
+      $('#user_agent_in').value = userAgent;
+      this.#log.info(`userAgent = ${userAgent}`);
+    } catch (err) {
+      this.#logApiError(err);
     }
-    let userAgent = this.controlledFrame.getUserAgent();
-    $('#user_agent_in').value = userAgent;
-    Log.info(`userAgent = ${userAgent}`);
   }
 
-  #getZoom(e) {
-    if (typeof this.controlledFrame.getZoom !== 'function') {
-      Log.warn('getZoom: API undefined');
-      return;
-    }
-    let callback = zoomFactor => {
-      Log.info(`getZoom = ${zoomFactor}`);
+  async #getZoom(e) {
+    try {
+      let zoomFactor = await this.#frame.getZoom();
+      this.#log.info(`getZoom = ${zoomFactor}`);
       $('#get_zoom_result').innerText = zoomFactor;
-    };
-    this.controlledFrame.getZoom(callback);
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
-  #getZoomMode(e) {
-    if (typeof this.controlledFrame.getZoomMode !== 'function') {
-      Log.warn('getZoomMode: API undefined');
-      return;
-    }
-    let callback = zoomMode => {
-      Log.info(`getZoomMode = ${zoomMode}`);
+  async #getZoomMode(e) {
+    try {
+      let zoomMode = await this.#frame.getZoomMode();
+      this.#log.info(`getZoomMode = ${zoomMode}`);
       $('#get_zoom_mode_result').innerText = zoomMode;
-    };
-    this.controlledFrame.getZoomMode(callback);
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
-  #insertCSS(e) {
-    if (typeof this.controlledFrame.insertCSS !== 'function') {
-      Log.warn('insertCSS: API undefined');
-      return;
-    }
+  async #insertCSS(e) {
     let details = this.#readInsertCSSInjectDetails();
-    let callback = () => {
-      Log.info('insertCSS completed');
+    try {
+      await this.#frame.insertCSS(details);
+      this.#log.info('insertCSS completed');
       $('#insertcss_result').innerText = 'Done';
-    };
-    this.controlledFrame.insertCSS(details, callback);
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
-  #isAudioMuted(e) {
-    if (typeof this.controlledFrame.isAudioMuted !== 'function') {
-      Log.warn('isAudioMuted: API undefined');
-      return;
-    }
-    let callback = muted => {
-      Log.info(`isAudioMuted = ${muted}`);
+  async #isAudioMuted(e) {
+    try {
+      let muted = await this.#frame.isAudioMuted();
+      this.#log.info(`isAudioMuted = ${muted}`);
       $('#is_audio_muted_chk').checked = muted;
-    };
-    this.controlledFrame.isAudioMuted(callback);
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
-  #isSpatialNavigationEnabled(e) {
-    if (typeof this.controlledFrame.isSpatialNavigationEnabled !== 'function') {
-      Log.warn('isSpatialNavigationEnabled: API undefined');
-      return;
-    }
-    let callback = enabled => {
-      Log.info(`isSpatialNavigationEnabled = ${enabled}`);
+  async #isSpatialNavigationEnabled(e) {
+    try {
+      let enabled = await this.#frame.isSpatialNavigationEnabled();
+      this.#log.info(`isSpatialNavigationEnabled = ${enabled}`);
       $('#is_spatial_navigation_enabled_result').innerText = enabled;
-    };
-    this.controlledFrame.isSpatialNavigationEnabled(callback);
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
-  #isUserAgentOverridden(e) {
-    if (typeof this.controlledFrame.isUserAgentOverridden !== 'function') {
-      Log.warn('isUserAgentOverridden: API undefined');
-      return;
+  async #isUserAgentOverridden(e) {
+    try {
+      let overridden = await this.#frame.call('isUserAgentOverridden');
+      $('#user_agent_chk').checked = overridden;
+      this.#log.info(`isUserAgentOverridden = ${overridden}`);
+    } catch (err) {
+      this.#logApiError(err);
     }
-    let overridden = this.controlledFrame.isUserAgentOverridden();
-    $('#user_agent_chk').checked = overridden;
-    Log.info(`isUserAgentOverridden = ${overridden}`);
   }
 
-  #loadDataWithBaseUrl(e) {
-    if (typeof this.controlledFrame.loadDataWithBaseUrl !== 'function') {
-      Log.warn('loadDataWithBaseUrl: API undefined');
-      return;
-    }
+  async #loadDataWithBaseUrl(e) {
     let dataUrl = $('#load_data_with_base_url_data_url_in').value;
     let baseUrl = $('#load_data_with_base_url_base_url_in').value;
     let virtualUrl = $('#load_data_with_base_url_virtual_url_in').value;
-    this.controlledFrame.loadDataWithBaseUrl(dataUrl, baseUrl, virtualUrl);
-    Log.info('loadDataWithBaseUrl completed');
+    try {
+      await this.#frame.call(
+        'loadDataWithBaseUrl', dataUrl, baseUrl, virtualUrl);
+      this.#log.info('loadDataWithBaseUrl completed');
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
-  #print(e) {
-    if (typeof this.controlledFrame.print !== 'function') {
-      Log.warn('print: API undefined');
-      return;
+  async #print(e) {
+    try {
+      await this.#frame.print();
+      this.#log.info('print completed');
+    } catch (err) {
+      this.#logApiError(err);
     }
-    this.controlledFrame.print();
-    Log.info('print completed');
   }
 
-  #reload(e) {
-    if (typeof this.controlledFrame.reload !== 'function') {
-      Log.warn('reload: API undefined');
-      return;
+  async #reload(e) {
+    try {
+      await this.#frame.reload();
+      this.#log.info('reload completed');
+    } catch (err) {
+      this.#logApiError(err);
     }
-    this.controlledFrame.reload();
-    Log.info('reload completed');
   }
 
   #removeContentScripts(e) {
-    if (typeof this.controlledFrame.removeContentScripts !== 'function') {
-      Log.warn('removeContentScripts: API undefined');
+    let scriptNameList = $('#remove_content_scripts_in')
+      .value.split(',')
+      .map(name => name.trim())
+      .filter(name => name.length > 0);
+    this.#removeContentScriptsNamed(scriptNameList);
+  }
+
+  async #removeContentScriptsNamed(scriptNameList) {
+    try {
+      await this.#contentScripts.remove(this.#tabs.activeTab, scriptNameList);
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
-    let scriptNames = $('#remove_content_scripts_in').value;
-    let scriptNameList = scriptNames.split(',');
-    this.controlledFrame.removeContentScripts(scriptNameList);
-    Log.info(`removeContentScripts([${scriptNames}])`);
-    this.#addedContentScripts.forEach((script, i) => {
-      let foundIndex = scriptNameList.findIndex(s => s === script.name);
-      if (foundIndex === -1) {
-        return;
-      }
-      this.#addedContentScripts.splice(foundIndex, 1);
-    });
+    this.#refreshAddedContentScripts();
+    this.#log.info(`removeContentScripts([${scriptNameList.join(',')}])`);
   }
 
-  #setAudioMuted(e) {
-    if (typeof this.controlledFrame.setAudioMuted !== 'function') {
-      Log.warn('setAudioMuted: API undefined');
+  async #setAudioMuted(e) {
+    let muted = $('#set_audio_muted_chk').checked;
+    try {
+      await this.#frame.setAudioMuted(muted);
+      this.#log.info(`setAudioMuted(${muted}) completed`);
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
-    let muted = $('#set_audio_muted_chk').checked;
-    this.controlledFrame.setAudioMuted(muted);
-    Log.info(`setAudioMuted(${muted}) completed`);
     this.#isAudioMuted();
   }
 
-  #setSpatialNavigationEnabled(e) {
-    if (
-      typeof this.controlledFrame.setSpatialNavigationEnabled !== 'function'
-    ) {
-      Log.warn('setSpatialNavigationEnabled: API undefined');
+  async #setSpatialNavigationEnabled(e) {
+    let enabled = $('#set_spatial_navigation_enabled_chk').checked;
+    try {
+      await this.#frame.setSpatialNavigationEnabled(enabled);
+      this.#log.info(`setSpatialNavigationEnabled(${enabled}) completed`);
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
-    let enabled = $('#set_spatial_navigation_enabled_chk').checked;
-    this.controlledFrame.setSpatialNavigationEnabled(enabled);
-    Log.info(`setSpatialNavigationEnabled(${enabled}) completed`);
     this.RefreshState();
   }
 
-  #setUserAgent(e) {
-    if (typeof this.controlledFrame.setUserAgentOverride !== 'function') {
-      Log.warn(`setUserAgentOverride: API undefined`);
+  async #setUserAgent(e) {
+    let userAgentOverride = $('#user_agent_in').value;
+    try {
+      await this.#frame.call('setUserAgentOverride', userAgentOverride);
+      this.#log.info(`userAgentOverride = ${userAgentOverride}`);
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
-
-    let userAgentOverride = $('#user_agent_in').value;
-    this.controlledFrame.setUserAgentOverride(userAgentOverride);
-    Log.info(`userAgentOverride = ${userAgentOverride}`);
     this.RefreshState();
   }
 
-  #setZoom(e) {
-    if (typeof this.controlledFrame.setZoom !== 'function') {
-      Log.warn('setZoom: API undefined');
+  async #setZoom(e) {
+    let zoomFactor = parseFloat($('#set_zoom_in').value);
+    try {
+      await this.#frame.setZoom(zoomFactor);
+      this.#log.info(`setZoom(${zoomFactor}) completed`);
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
-    let zoomFactor = parseFloat($('#set_zoom_in').value);
-    let callback = () => {
-      Log.info(`setZoom(${zoomFactor}) completed`);
-      this.RefreshState();
-    };
-    this.controlledFrame.setZoom(zoomFactor, callback);
+    this.RefreshState();
   }
 
-  #setZoomMode(e) {
-    if (typeof this.controlledFrame.setZoomMode !== 'function') {
-      Log.warn('setZoomMode: API undefined');
+  async #setZoomMode(e) {
+    let zoomMode = $('#set_zoom_mode_in').value;
+    try {
+      await this.#frame.setZoomMode(zoomMode);
+      this.#log.info(`setZoomMode(${zoomMode}) completed`);
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
-    let zoomMode = $('#set_zoom_mode_in').value;
-    let callback = () => {
-      Log.info(`setZoomMode(${zoomMode}) completed`);
-      this.RefreshState();
-    };
-    this.controlledFrame.setZoomMode(zoomMode, callback);
+    this.RefreshState();
   }
 
-  #stop(e) {
-    if (typeof this.controlledFrame.stop !== 'function') {
-      Log.warn('stop: API undefined');
-      return;
+  async #stop(e) {
+    try {
+      await this.#frame.stop();
+      this.#log.info('stop completed');
+    } catch (err) {
+      this.#logApiError(err);
     }
-    this.controlledFrame.stop();
-    Log.info('stop completed');
   }
 
-  #stopFinding(e) {
-    if (typeof this.controlledFrame.stopFinding !== 'function') {
-      Log.warn('stopFinding: API undefined');
-      return;
-    }
+  async #stopFinding(e) {
     let action = $('#stop_finding_in').value;
-    this.controlledFrame.stopFinding(action);
-    Log.info(`stopFinding(${action}) completed`);
+    try {
+      await this.#frame.stopFinding(action);
+      this.#log.info(`stopFinding(${action}) completed`);
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
-  #terminate(e) {
-    if (typeof this.controlledFrame.terminate !== 'function') {
-      Log.warn('terminate: API undefined');
+  async #terminate(e) {
+    try {
+      await this.#frame.call('terminate');
+      this.#log.info('terminate completed');
+    } catch (err) {
+      this.#logApiError(err);
+    }
+  }
+
+  // Logs a rejection from the ControlledFrameAdapter. Missing APIs are only
+  // warnings since not every browser build implements the full API.
+  #logApiError(err) {
+    if (err instanceof ApiUndefinedError) {
+      this.#log.warn(err.message);
       return;
     }
-    this.controlledFrame.terminate();
-    Log.info('terminate completed');
+    this.#log.error(err.message ?? err);
+  }
+
+  // Logs event |e| of a <controlledframe>. The listeners are added to every
+  // frame, so the source is the tab of the event's target rather than the
+  // active one.
+  #logFrameEvent(e, payload = null) {
+    let tab = this.#tabs.tabs.find(tab => tab.controlledFrame === e.target);
+    this.#log.event(`${e.type} fired`, {
+      source: { frameId: tab?.id ?? null, event: e.type },
+      payload,
+    });
+  }
+
+  // Logs a call of a request.* event listener with its request details.
+  #logRequestEvent(eventName, details) {
+    this.#log.event(`${eventName} fired`, {
+      source: { event: eventName },
+      payload: details,
+    });
   }
 
   /**
    * Event handlers
    */
   #onclose(e) {
-    Log.evt('close fired');
-    this.controlledFrame.src = 'https://google.com';
+    this.#logFrameEvent(e);
+    e.target.src = 'https://google.com';
   }
 
+  // The messages themselves are shown in the console panel.
   #onconsolemessage(e) {
-    Log.evt('consolemessage fired');
-    Log.info(
-      `level = ${e.level}, message = ${e.message}, line = ${e.line}, sourceId = ${e.sourceId}`
-    );
+    this.#logFrameEvent(e);
   }
 
   #oncontentload(e) {
-    Log.evt('contentload fired');
+    this.#logFrameEvent(e);
   }
 
   #ondialog(e) {
-    Log.evt('dialog fired');
-    Log.info(`messageType = ${e.messageType}, messageText = ${e.messageText}`);
-    e.dialog.ok();
+    this.#logFrameEvent(e, {
+      messageType: e.messageType,
+      messageText: e.messageText,
+    });
+    // The listener is added to every frame, not only the active one.
+    let details = {
+      messageType: e.messageType,
+      messageText: e.messageText,
+      defaultPromptText: e.defaultPromptText ?? '',
+      url: e.url ?? e.target.src,
+    };
+    let answer = resolveDialogAnswer(this.#dialogPolicy, details);
+    if (answer) {
+      this.#answerDialog(e.dialog, answer);
+      return;
+    }
+    // Keep the dialog open until the user answers.
+    e.preventDefault();
+    this.#dialogPrompt
+      .ask(e.target.parentElement, details)
+      .then(answer => this.#answerDialog(e.dialog, answer));
+  }
+
+  #answerDialog(dialog, { action, response }) {
+    this.#log.info(`dialog answered: ${action}`, {
+      source: { event: 'dialog' },
+      payload: { action, response },
+    });
+    if (action === DialogAction.OK) {
+      dialog.ok(response);
+    } else {
+      dialog.cancel();
+    }
+  }
+
+  #applyDialogPolicy() {
+    let result = $('#dialog_policy_result');
+    try {
+      let answers = $('#dialog_answers_in').value.trim();
+      this.SetDialogPolicy({
+        mode: $('#dialog_mode_in').value,
+        answers: answers.length > 0 ? JSON.parse(answers) : [],
+      });
+      let count = this.#dialogPolicy.answers.length;
+      result.innerText =
+        `Applied ${count} scripted answer${count === 1 ? '' : 's'}`;
+    } catch (err) {
+      result.innerText = err.message;
+      this.#log.error(`Dialog policy: ${err.message}`);
+    }
+  }
+
+  #applyConsoleAlertRules() {
+    let result = $('#console_alert_rules_result');
+    try {
+      let rules = $('#console_alert_rules_in').value.trim();
+      this.SetConsoleAlertRules(rules.length > 0 ? rules : []);
+      let count = this.#consoleAlertRules.length;
+      result.innerText = `Applied ${count} rule${count === 1 ? '' : 's'}`;
+    } catch (err) {
+      result.innerText = err.message;
+      this.#log.error(`Console alerts: ${err.message}`);
+    }
   }
 
   #onexit(e) {
-    Log.evt('exit fired');
-    Log.info(`processID = ${e.processID}, reason = ${e.reason}`);
+    this.#logFrameEvent(e, { processID: e.processID, reason: e.reason });
   }
 
   #onfindupdate(e) {
-    Log.evt('findupdate fired');
-    Log.info(`searchText = ${e.searchText}, numberOfMatches = ${e.numberOfMatches}, activeMatchOrdinal = ${activeMatchOrdinal}, selectionRect = {height: ${e.selectionRect.height},
-        left: ${e.selectionRect.left}, top: ${e.selectionRect.top},
-        width: ${e.selectionRect.width}}, canceled = ${e.canceled},
-        finalUpdate = ${e.finalUpdate}`);
+    this.#logFrameEvent(e, {
+      searchText: e.searchText,
+      numberOfMatches: e.numberOfMatches,
+      activeMatchOrdinal: e.activeMatchOrdinal,
+      selectionRect: {
+        height: e.selectionRect.height,
+        left: e.selectionRect.left,
+        top: e.selectionRect.top,
+        width: e.selectionRect.width,
+      },
+      canceled: e.canceled,
+      finalUpdate: e.finalUpdate,
+    });
   }
 
   #onloadabort(e) {
-    Log.evt('loadabort fired');
-    Log.info(
-      `url = ${e.url}, isTopLevel = ${e.isTopLevel}, code = ${e.code}, reason = ${e.reason}`
-    );
+    this.#logFrameEvent(e, {
+      url: e.url,
+      isTopLevel: e.isTopLevel,
+      code: e.code,
+      reason: e.reason,
+    });
   }
 
   #onloadcommit(e) {
-    Log.evt('loadcommit fired');
-    Log.info(`url = ${e.url}, isTopLevel = ${e.isTopLevel}`);
+    this.#logFrameEvent(e, { url: e.url, isTopLevel: e.isTopLevel });
     this.RefreshState();
   }
 
   #onloadredirect(e) {
-    Log.evt('loadredirect fired');
-    Log.info(
-      `oldUrl = ${e.oldUrl}, newUrl = ${e.newUrl}, isTopLevel = ${e.isTopLevel}`
-    );
+    this.#logFrameEvent(e, {
+      oldUrl: e.oldUrl,
+      newUrl: e.newUrl,
+      isTopLevel: e.isTopLevel,
+    });
   }
 
   #onloadstart(e) {
-    Log.evt('loadstart fired');
-    Log.info(`url = ${e.url}, isTopLevel = ${e.isTopLevel}`);
+    this.#logFrameEvent(e, { url: e.url, isTopLevel: e.isTopLevel });
   }
 
   #onloadstop(e) {
-    Log.evt('loadstop fired');
+    this.#logFrameEvent(e);
   }
 
   #onnewwindow(e) {
-    Log.evt('newwindow fired');
-    Log.info(
-      `targetUrl = ${e.targetUrl}, initialWidth = ${e.initialWidth}, initialHeight = ${e.initialHeight}, name = ${e.name}, windowOpenDisposition = ${e.windowOpenDisposition}`
-    );
-    e.window.discard();
+    this.#logFrameEvent(e, {
+      targetUrl: e.targetUrl,
+      initialWidth: e.initialWidth,
+      initialHeight: e.initialHeight,
+      name: e.name,
+      windowOpenDisposition: e.windowOpenDisposition,
+    });
+    // The listener is added to every frame, not only the active one, so the
+    // opener is the event's target.
+    let opener = e.target;
+    let action = resolveNewWindowAction(
+      this.#newWindowPolicy,
+      e.targetUrl,
+      e.windowOpenDisposition
+    );
+    this.#log.info(`newwindow policy: ${action}`);
+    switch (action) {
+      case NewWindowAction.TAB:
+      case NewWindowAction.PANEL:
+        this.#attachNewWindow(e, opener, action === NewWindowAction.PANEL);
+        break;
+      case NewWindowAction.SAME_FRAME:
+        e.window.discard();
+        if (!isValidUrl(e.targetUrl)) {
+          this.#log.warn(`Can't open ${e.targetUrl} in the same frame`);
+          break;
+        }
+        opener.src = e.targetUrl;
+        break;
+      default:
+        e.window.discard();
+    }
+  }
+
+  // Opens the window of newwindow event |e| in a new tab, or a floating panel
+  // if |floating| is set. The new <controlledframe> shares the partition of
+  // |opener|, the <controlledframe> that opened it: a window can only be
+  // attached within its opener's partition, which keeps window.opener
+  // working between the two frames. A window opened as a background tab
+  // leaves the active tab as it is.
+  #attachNewWindow(e, opener, floating) {
+    // The new <controlledframe> must not navigate before it is attached.
+    let tab = this.CreateFrameTab(e.name || undefined, opener.partition, {
+      floating,
+      navigate: false,
+      activate: e.windowOpenDisposition !== 'new_background_tab',
+    });
+    tab.setFrameSize(e.initialWidth, e.initialHeight);
+    try {
+      e.window.attach(tab.controlledFrame);
+    } catch (err) {
+      this.#log.error(`Failed to attach new window: ${err.message ?? err}`);
+      this.CloseFrameTab(tab.id);
+      e.window.discard();
+    }
+  }
+
+  #applyNewWindowPolicy() {
+    let result = $('#new_window_policy_result');
+    try {
+      let rules = $('#new_window_rules_in').value.trim();
+      this.SetNewWindowPolicy({
+        defaultAction: $('#new_window_default_in').value,
+        rules: rules.length > 0 ? JSON.parse(rules) : [],
+      });
+      let count = this.#newWindowPolicy.rules.length;
+      result.innerText = `Applied ${count} rule${count === 1 ? '' : 's'}`;
+    } catch (err) {
+      result.innerText = err.message;
+      this.#log.error(`New window policy: ${err.message}`);
+    }
   }
 
   #onpermissionrequest(e) {
-    Log.evt('permissionrequest fired');
-    Log.info(`permission = ${e.permission}`);
-    e.request.allow();
+    this.#logFrameEvent(e, { permission: e.permission });
+    // The listener is added to every frame, not only the active one.
+    let url = e.url ?? e.target.src;
+    let details = {
+      frame: e.target.name,
+      permission: e.permission,
+      origin: originOf(url),
+      url,
+    };
+    let decision = this.#permissionPolicy.decide(
+      details.permission,
+      details.origin
+    );
+    if (decision !== PermissionDecision.PROMPT) {
+      this.#decidePermission(
+        e.request,
+        details,
+        decision,
+        DecisionSource.POLICY
+      );
+      return;
+    }
+    // Keep the request pending until the user answers.
+    e.preventDefault();
+    this.#promptForPermission(e.request, details);
+  }
+
+  async #promptForPermission(request, details) {
+    let { decision, remember } = await this.#permissionPrompt.ask(details);
+    this.#decidePermission(request, details, decision, DecisionSource.USER);
+    if (!remember) return;
+    try {
+      await this.#permissionPolicy.remember(
+        details.permission,
+        details.origin,
+        decision
+      );
+      this.#showPermissionPolicy();
+    } catch (err) {
+      this.#logApiError(err);
+    }
+  }
+
+  async #decidePermission(request, details, decision, source) {
+    if (decision === PermissionDecision.ALLOW) {
+      request.allow();
+    } else {
+      request.deny();
+    }
+    this.#log.info(
+      `${details.permission} for ${details.origin ?? details.url}: ${decision} (${source})`
+    );
+    try {
+      let entry = await this.#permissionPolicy.audit({
+        ...details,
+        decision,
+        source,
+      });
+      this.#showPermissionAuditEntries([entry]);
+    } catch (err) {
+      this.#logApiError(err);
+    }
+  }
+
+  async #loadPermissionPolicy() {
+    try {
+      await this.#permissionPolicy.load();
+      this.#showPermissionPolicy();
+      let entries = await this.#permissionPolicy.store.listAuditEntries();
+      this.#showPermissionAuditEntries(
+        entries.slice(-MAX_AUDIT_ENTRIES_SHOWN)
+      );
+    } catch (err) {
+      this.#logApiError(err);
+    }
+  }
+
+  #showPermissionPolicy() {
+    $('#permission_policy_in').value = JSON.stringify(
+      this.#permissionPolicy.policy,
+      null,
+      2
+    );
+    textareaExpand($('#permission_policy_in'));
+  }
+
+  #showPermissionAuditEntries(entries) {
+    let list = $('#permission_audit');
+    for (const entry of entries) {
+      let row = document.createElement('div');
+      row.innerText = `${entry.timestamp} ${entry.frame} ${entry.origin ?? entry.url} ${entry.permission}: ${entry.decision} (${entry.source})`;
+      list.prepend(row);
+    }
+    while (list.childElementCount > MAX_AUDIT_ENTRIES_SHOWN) {
+      list.lastElementChild.remove();
+    }
+  }
+
+  async #applyPermissionPolicy(e) {
+    let result = $('#permission_policy_result');
+    try {
+      await this.#permissionPolicy.setPolicy($('#permission_policy_in').value);
+      result.innerText = 'Saved';
+    } catch (err) {
+      result.innerText = err.message;
+      this.#logApiError(err);
+    }
+  }
+
+  async #resetPermissionPolicy(e) {
+    let result = $('#permission_policy_result');
+    try {
+      await this.#permissionPolicy.setPolicy(DEFAULT_PERMISSION_POLICY);
+    } catch (err) {
+      result.innerText = err.message;
+      this.#logApiError(err);
+      return;
+    }
+    this.#showPermissionPolicy();
+    result.innerText = 'Reset to the default policy';
+  }
+
+  async #downloadPermissionAudit(e) {
+    let entries;
+    try {
+      entries = await this.#permissionPolicy.store.listAuditEntries();
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    downloadFile('permission_audit.json', JSON.stringify(entries, null, 2));
+  }
+
+  async #clearPermissionAudit(e) {
+    try {
+      await this.#permissionPolicy.store.clearAuditEntries();
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    $('#permission_audit').replaceChildren();
+    this.#log.info('Cleared the permission audit log');
   }
 
   #onresponsive(e) {
-    Log.evt('responsive fired');
-    Log.info(`processID = ${e.processID}`);
+    this.#logFrameEvent(e, { processID: e.processID });
   }
 
   #onsizechanged(e) {
-    Log.evt('sizechanged fired');
-    Log.info(
-      `oldWidth = ${e.oldWidth}, oldHeight = ${e.oldHeight}, newWidth = ${e.newWidth}, newHeight = ${e.newHeight}`
-    );
+    this.#logFrameEvent(e, {
+      oldWidth: e.oldWidth,
+      oldHeight: e.oldHeight,
+      newWidth: e.newWidth,
+      newHeight: e.newHeight,
+    });
   }
 
   #onunresponsive(e) {
-    Log.evt('unresponsive fired');
-    Log.info(`processID = ${e.processID}`);
+    this.#logFrameEvent(e, { processID: e.processID });
   }
 
   #onzoomchange(e) {
-    Log.evt('zoomchange fired');
-    Log.info(
-      `oldZoomFactor = ${e.oldZoomFactor}, newZoomFactor = ${e.newZoomFactor}`
-    );
+    this.#logFrameEvent(e, {
+      oldZoomFactor: e.oldZoomFactor,
+      newZoomFactor: e.newZoomFactor,
+    });
   }
 
   #contextMenusOnShow(e) {
-    Log.evt('contextMenus.onShow fired');
+    this.#log.event('contextMenus.onShow fired', {
+      source: { event: 'contextMenus.onShow' },
+    });
     if ($('#context_menus_on_show_prevent_default_chk').checked)
       e.preventDefault();
   }
 
   #contextMenusOnClicked(e) {
-    Log.evt('contextMenus.onClicked fired');
-    Log.info(JSON.stringify(e));
+    this.#log.event('contextMenus.onClicked fired', {
+      source: { event: 'contextMenus.onClicked' },
+      payload: e,
+    });
   }
 
   #setIfValid(object, keyName, keyValue, splitDelimiter = null) {
@@ -1029,7 +2174,7 @@ class ControlledFrameController {
       enabled: $('#context_menus_create_properties_enabled_chk').checked,
       onclick: info => {
         let infoJSON = JSON.stringify(info);
-        Log.info(`context menu item clicked: ${infoJSON}`);
+        this.#log.info(`context menu item clicked: ${infoJSON}`);
         $('#context_menus_on_click_result').innerText = infoJSON;
       },
     };
@@ -1047,7 +2192,7 @@ class ControlledFrameController {
       let documentUrlPatterns = documentUrlPatternsValue.split(',');
       for (const pattern of documentUrlPatterns) {
         if (!isValidUrl(pattern)) {
-          Log.err(`invalid URL for documentUrlPatterns: ${pattern}`);
+          this.#log.error(`invalid URL for documentUrlPatterns: ${pattern}`);
           return;
         }
       }
@@ -1061,7 +2206,7 @@ class ControlledFrameController {
       let targetUrlPatterns = targetUrlPatternsValue.split(',');
       for (const pattern of targetUrlPatterns) {
         if (!isValidUrl(pattern)) {
-          Log.err(`invalid URL for targetUrlPatterns: ${pattern}`);
+          this.#log.error(`invalid URL for targetUrlPatterns: ${pattern}`);
           return;
         }
       }
@@ -1071,61 +2216,47 @@ class ControlledFrameController {
     return createProperties;
   }
 
-  #contextMenusCreate(e) {
-    if (
-      typeof this.controlledFrame.contextMenus !== 'object' ||
-      typeof this.controlledFrame.contextMenus.create !== 'function'
-    ) {
-      Log.warn('contextMenus.create: API undefined');
+  async #contextMenusCreate(e) {
+    let createProperties = this.#readContextMenusCreateProperties();
+    let contextMenuID;
+    try {
+      contextMenuID = await this.#frame.contextMenusCreate(createProperties);
+    } catch (err) {
+      this.#logApiError(err);
       return;
     }
-    let createProperties = this.#readContextMenusCreateProperties();
-    let callback = () => {
-      Log.info(`contextMenus.create callback called`);
-    };
-    let contextMenuID = this.controlledFrame.contextMenus.create(
-      createProperties,
-      callback
-    );
-    Log.info(`contextMenus.create = ${contextMenuID}`);
+    this.#log.info(`contextMenus.create = ${contextMenuID}`);
     $('#context_menus_create_result').innerText = `id = ${contextMenuID}`;
   }
 
-  #contextMenusRemove(e) {
-    if (typeof this.controlledFrame.contextMenus.remove !== 'function') {
-      Log.warn('contextMenus.remove: API undefined');
-      return;
-    }
-
+  async #contextMenusRemove(e) {
     let menuItemId = $('#context_menus_remove_in').value;
-    let callback = () => {
-      Log.info(`contextMenus.remove(${menuItemId}) completed`);
-    };
-    this.controlledFrame.contextMenus.remove(menuItemId, callback);
+    try {
+      await this.#frame.contextMenusRemove(menuItemId);
+      this.#log.info(`contextMenus.remove(${menuItemId}) completed`);
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
-  #contextMenusRemoveAll(e) {
-    if (typeof this.controlledFrame.contextMenus.removeAll !== 'function') {
-      Log.warn('contextMenus.removeAll: API undefined');
-      return;
+  async #contextMenusRemoveAll(e) {
+    try {
+      await this.#frame.contextMenusRemoveAll();
+      this.#log.info('contextMenus.removeAll completed');
+    } catch (err) {
+      this.#logApiError(err);
     }
-    let callback = () => {
-      Log.info('contextMenus.removeAll completed');
-    };
-    this.controlledFrame.contextMenus.removeAll(callback);
   }
 
-  #contextMenusUpdate(e) {
-    if (typeof this.controlledFrame.contextMenus.update !== 'function') {
-      Log.warn('contextMenus.update: API undefined');
-      return;
-    }
+  async #contextMenusUpdate(e) {
     let id = $('#context_menus_update_in').value;
     let updateProperties = this.#readContextMenusCreateProperties();
-    let callback = () => {
-      Log.info(`contextMenus.update(${id}) completed`);
-    };
-    this.controlledFrame.contextMenus.update(id, updateProperties, callback);
+    try {
+      await this.#frame.contextMenusUpdate(id, updateProperties);
+      this.#log.info(`contextMenus.update(${id}) completed`);
+    } catch (err) {
+      this.#logApiError(err);
+    }
   }
 
   #readRequestFilter() {
@@ -1144,40 +2275,257 @@ class ControlledFrameController {
     return filter;
   }
 
-  #readBlockingResponse() {
-    let blockingResponse = {};
-    let password = $('#blocking_response_auth_credentials_password').value;
-    if (password.length !== 0)
-      blockingResponse.authCredentials.password = password;
-    let username = $('#blocking_response_auth_credentials_username').value;
-    if (username.length !== 0)
-      blockingResponse.authCredentials.username = username;
-    blockingResponse.cancel = $('#blocking_response_cancel').checked;
-    let redirectUrl = $('#blocking_response_redirect_url').value;
-    if (redirectUrl !== 0 && isValidUrl(redirectUrl))
-      blockingResponse.redirectUrl = redirectUrl;
-    let requestHeaders = $('#blocking_response_request_headers').value;
-    if (requestHeaders.length !== 0) {
-      try {
-        requestHeaders = JSON.parse(requestHeaders);
-        if (requestHeaders && typeof requestHeaders === 'object')
-          blockingResponse.requestHeaders = requestHeaders;
-      } catch (e) {}
-    }
-    let responseHeaders = $('#blocking_response_response_headers').value;
-    if (responseHeaders.length !== 0) {
-      try {
-        responseHeaders = JSON.parse(responseHeaders);
-        if (responseHeaders && typeof responseHeaders === 'object')
-          blockingResponse.responseHeaders = responseHeaders;
-      } catch (e) {}
-    }
-    return blockingResponse;
+  #readBlockingResponseForm() {
+    return {
+      cancel: $('#blocking_response_cancel').checked,
+      redirectUrl: $('#blocking_response_redirect_url').value,
+      requestHeaders: $('#blocking_response_request_headers').value,
+      responseHeaders: $('#blocking_response_response_headers').value,
+      username: $('#blocking_response_auth_credentials_username').value,
+      password: $('#blocking_response_auth_credentials_password').value,
+    };
+  }
+
+  // Reads the BlockingResponse for |eventName| from the form. If the form is
+  // not valid for the event, the error is logged and an empty response is
+  // returned so that the request is not left blocked.
+  #readBlockingResponse(eventName) {
+    try {
+      return buildBlockingResponse(eventName, this.#readBlockingResponseForm());
+    } catch (err) {
+      this.#logApiError(err);
+      return {};
+    }
+  }
+
+  #validateBlockingResponse(e) {
+    let eventName = $('#blocking_response_event').value;
+    try {
+      let response = buildBlockingResponse(
+        eventName,
+        this.#readBlockingResponseForm()
+      );
+      $('#blocking_response_result').innerText =
+        `${eventName}: ${JSON.stringify(response)}`;
+    } catch (err) {
+      $('#blocking_response_result').innerText = `${eventName}: ${err.message}`;
+    }
+  }
+
+  // Adds |callback| through the listener registry, so that it is listed in
+  // the registered listeners and can be removed again.
+  // Blocking listeners are only added if the event supports the requested
+  // blocking mode and the BlockingResponse form is valid for it.
+  #addWebRequestListener(eventName, callback, filter, extraInfoSpec) {
+    let entry;
+    try {
+      if (getBlockingMode(eventName, extraInfoSpec) !== null) {
+        buildBlockingResponse(eventName, this.#readBlockingResponseForm());
+      }
+      entry = this.#webRequestListeners.add(
+        eventName,
+        callback,
+        filter,
+        extraInfoSpec
+      );
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    this.#log.info(`Added ${eventName} event handler, id = ${entry.id}`);
+  }
+
+  #removeWebRequestListener(id) {
+    let entry = this.#webRequestListeners.get(id);
+    try {
+      this.#webRequestListeners.remove(id);
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    this.#log.info(
+      `request.${entry.eventName}.removeListener(id = ${id}) completed`
+    );
+  }
+
+  #removeAllWebRequestListeners(e) {
+    try {
+      this.#webRequestListeners.removeAll();
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    this.#log.info('Removed all registered web request event handlers');
+  }
+
+  #hasWebRequestListener(id) {
+    let entry = this.#webRequestListeners.get(id);
+    try {
+      let hasListener = this.#webRequestListeners.hasListener(id);
+      this.#log.info(
+        `request.${entry.eventName}.hasListener(id = ${id}) = ${hasListener}`
+      );
+    } catch (err) {
+      this.#logApiError(err);
+    }
+  }
+
+  #hasWebRequestListeners(eventName) {
+    try {
+      let hasListeners = this.#webRequestListeners.hasListeners(eventName);
+      this.#log.info(`request.${eventName}.hasListeners() = ${hasListeners}`);
+    } catch (err) {
+      this.#logApiError(err);
+    }
+  }
+
+  // Lists the registered web request listeners, each with buttons to query
+  // and remove it.
+  #refreshWebRequestListeners(entries) {
+    let resultEl = $('#request_listeners_result');
+    resultEl.replaceChildren();
+    if (entries.length === 0) {
+      resultEl.innerText = 'No listeners registered';
+      return;
+    }
+    for (const entry of entries) {
+      let row = document.createElement('div');
+      let description = document.createElement('code');
+      description.innerText = `${entry.id}: ${entry.eventName}\n` +
+        `  filter = ${JSON.stringify(entry.filter)}\n` +
+        `  extraInfoSpec = ${JSON.stringify(entry.extraInfoSpec)}\n`;
+      row.appendChild(description);
+      let buttons = [
+        ['hasListener', () => this.#hasWebRequestListener(entry.id)],
+        ['hasListeners', () => this.#hasWebRequestListeners(entry.eventName)],
+        ['removeListener', () => this.#removeWebRequestListener(entry.id)],
+      ];
+      for (const [label, handler] of buttons) {
+        let button = document.createElement('button');
+        button.innerText = label;
+        button.addEventListener('click', handler);
+        row.appendChild(button);
+      }
+      resultEl.appendChild(row);
+    }
+  }
+
+  // Request rules
+  // Every tab's <controlledframe> has its own engine, which gets the loaded
+  // ruleset, so the rules apply to background tabs too.
+  #loadTabRequestRules(tab, ruleset) {
+    try {
+      tab.requestRules?.load(ruleset);
+    } catch (err) {
+      this.#logApiError(err);
+    }
+  }
+
+  #loadRequestRules(e) {
+    let ruleset = $('#request_rules_in').value;
+    let count;
+    try {
+      count = parseRuleset(ruleset).length;
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    this.#requestRuleset = ruleset;
+    for (const tab of this.#tabs.tabs) this.#loadTabRequestRules(tab, ruleset);
+    this.#log.info(`Loaded ${count} request rules`);
+    this.#refreshRequestRules();
+  }
+
+  #clearRequestRules(e) {
+    this.#requestRuleset = null;
+    for (const tab of this.#tabs.tabs) tab.requestRules?.clear();
+    this.#log.info('Cleared request rules');
+    this.#refreshRequestRules();
+  }
+
+  // Shows the rules and listeners of the active tab's engine.
+  #refreshRequestRules() {
+    let requestRules = this.#tabs.activeTab.requestRules;
+    let listeners = requestRules.listeners.map(
+      entry => `${entry.eventName}: filter = ${JSON.stringify(entry.filter)}`
+    );
+    $('#request_rules_result').innerText =
+      `${requestRules.rules.length} rules\n` + listeners.join('\n');
+  }
+
+  // Navigation guard
+  // Every frame is guarded, not only the active one.
+  #attachNavigationGuard(controlledFrame) {
+    try {
+      this.#navigationGuard.attach(controlledFrame);
+    } catch (err) {
+      this.#logApiError(err);
+    }
+  }
+
+  #loadNavigationPolicy(e) {
+    try {
+      this.#navigationGuard.load($('#navigation_guard_in').value);
+    } catch (err) {
+      this.#logApiError(err);
+      return;
+    }
+    let { allow, block } = this.#navigationGuard.policy;
+    this.#log.info(
+      `Loaded navigation policy: ${allow.length} allowed and ` +
+        `${block.length} blocked patterns`
+    );
+    $('#navigation_guard_result').replaceChildren();
+  }
+
+  #clearNavigationPolicy(e) {
+    this.#navigationGuard.clear();
+    this.#log.info('Cleared navigation policy');
+    $('#navigation_guard_result').replaceChildren();
+  }
+
+  #onNavigationBlocked(details, reason) {
+    this.#log.warn(`Blocked ${details.type} navigation to ${details.url}`, {
+      payload: { url: details.url, type: details.type, reason },
+    });
+    let row = document.createElement('div');
+    row.innerText = `${details.type} ${details.url}`;
+    row.title = reason;
+    $('#navigation_guard_result').prepend(row);
+  }
+
+  #checkConsoleAlerts(tab, entry) {
+    for (const rule of matchConsoleAlertRules(this.#consoleAlertRules, entry)) {
+      this.#log.warn(
+        `Console alert "${rule.name}" in ${tab.name}: ` +
+          `${entry.level} ${entry.message}`,
+        {
+          source: { frameId: tab.id, event: 'consolemessage' },
+          payload: { rule: rule.name, entry },
+        }
+      );
+      for (const listener of this.#consoleAlertListeners) {
+        try {
+          listener({ rule: rule.name, tab, entry });
+        } catch (err) {
+          this.#log.error(
+            `Console alert listener failed: ${err.message ?? err}`
+          );
+        }
+      }
+    }
+  }
+
+  #onRequestRuleMatch(tab, rule, details) {
+    this.#log.info(
+      `request rule ${rule.id} (${rule.action.type}) matched ${details.url}`,
+      { source: { frameId: tab.id }, payload: details }
+    );
   }
 
   #addOnAuthRequired(e) {
     if (typeof this.controlledFrame.request.onAuthRequired !== 'object') {
-      Log.warn('request.onAuthRequired: API undefined');
+      this.#log.warn('request.onAuthRequired: API undefined');
       return;
     }
 
@@ -1187,28 +2535,29 @@ class ControlledFrameController {
       if (option.selected) extraInfoSpec.push(option.value);
     }
     let callback = (details, asyncCallback) => {
-      Log.evt('onAuthRequired fired');
-      Log.info(`details = ${JSON.stringify(details)}`);
+      this.#logRequestEvent('onAuthRequired', details);
       if (extraInfoSpec.includes('blocking')) {
-        Log.info('Responding with BlockingResponse response');
-        return this.#readBlockingResponse();
+        this.#log.info('Responding with BlockingResponse response');
+        return this.#readBlockingResponse('onAuthRequired');
       }
       if (extraInfoSpec.includes('asyncBlocking')) {
-        Log.info('Asynchronously responding with BlockingResponse response');
-        asyncCallback(this.#readBlockingResponse);
+        this.#log.info(
+          'Asynchronously responding with BlockingResponse response'
+        );
+        asyncCallback(this.#readBlockingResponse('onAuthRequired'));
       }
     };
-    this.controlledFrame.request.onAuthRequired.addListener(
+    this.#addWebRequestListener(
+      'onAuthRequired',
       callback,
       filter,
       extraInfoSpec
     );
-    Log.info('Added onAuthRequired event handler');
   }
 
   #addOnBeforeRedirect(e) {
     if (typeof this.controlledFrame.request.onBeforeRedirect !== 'object') {
-      Log.warn('request.onBeforeRedirect: API undefined');
+      this.#log.warn('request.onBeforeRedirect: API undefined');
       return;
     }
 
@@ -1218,22 +2567,19 @@ class ControlledFrameController {
       if (option.selected) extraInfoSpec.push(option.value);
     }
     let callback = details => {
-      Log.evt('onBeforeRedirect fired');
-      Log.info(`details = ${JSON.stringify(details)}`);
-      Log.info('Responding with BlockingResponse response');
-      return this.#readBlockingResponse();
+      this.#logRequestEvent('onBeforeRedirect', details);
     };
-    this.controlledFrame.request.onBeforeRedirect.addListener(
+    this.#addWebRequestListener(
+      'onBeforeRedirect',
       callback,
       filter,
       extraInfoSpec
     );
-    Log.info('Added onBeforeRedirect event handler');
   }
 
   #addOnBeforeRequest(e) {
     if (typeof this.controlledFrame.request.onBeforeRequest !== 'object') {
-      Log.warn('request.onBeforeRequest: API undefined');
+      this.#log.warn('request.onBeforeRequest: API undefined');
       return;
     }
 
@@ -1243,23 +2589,23 @@ class ControlledFrameController {
       if (option.selected) extraInfoSpec.push(option.value);
     }
     let callback = details => {
-      Log.evt('onBeforeRequest fired');
-      Log.info(`details = ${JSON.stringify(details)}`);
-      Log.info('Responding with BlockingResponse response');
-      if (extraInfoSpec.includes('blocking'))
-        return this.#readBlockingResponse();
+      this.#logRequestEvent('onBeforeRequest', details);
+      if (extraInfoSpec.includes('blocking')) {
+        this.#log.info('Responding with BlockingResponse response');
+        return this.#readBlockingResponse('onBeforeRequest');
+      }
     };
-    this.controlledFrame.request.onBeforeRequest.addListener(
+    this.#addWebRequestListener(
+      'onBeforeRequest',
       callback,
       filter,
       extraInfoSpec
     );
-    Log.info('Added onBeforeRequest event handler');
   }
 
   #addOnBeforeSendHeaders(e) {
     if (typeof this.controlledFrame.request.onBeforeSendHeaders !== 'object') {
-      Log.warn('request.onBeforeSendHeaders: API undefined');
+      this.#log.warn('request.onBeforeSendHeaders: API undefined');
       return;
     }
 
@@ -1269,23 +2615,23 @@ class ControlledFrameController {
       if (option.selected) extraInfoSpec.push(option.value);
     }
     let callback = details => {
-      Log.evt('onBeforeSendHeaders fired');
-      Log.info(`details = ${JSON.stringify(details)}`);
-      Log.info('Responding with BlockingResponse response');
-      if (extraInfoSpec.includes('blocking'))
-        return this.#readBlockingResponse();
+      this.#logRequestEvent('onBeforeSendHeaders', details);
+      if (extraInfoSpec.includes('blocking')) {
+        this.#log.info('Responding with BlockingResponse response');
+        return this.#readBlockingResponse('onBeforeSendHeaders');
+      }
     };
-    this.controlledFrame.request.onBeforeSendHeaders.addListener(
+    this.#addWebRequestListener(
+      'onBeforeSendHeaders',
       callback,
       filter,
       extraInfoSpec
     );
-    Log.info('Added onBeforeSendHeaders event handler');
   }
 
   #addOnCompleted(e) {
     if (typeof this.controlledFrame.request.onCompleted !== 'object') {
-      Log.warn('request.onCompleted: API undefined');
+      this.#log.warn('request.onCompleted: API undefined');
       return;
     }
 
@@ -1295,20 +2641,19 @@ class ControlledFrameController {
       if (option.selected) extraInfoSpec.push(option.value);
     }
     let callback = details => {
-      Log.evt('onCompleted fired');
-      Log.info(`details = ${JSON.stringify(details)}`);
+      this.#logRequestEvent('onCompleted', details);
     };
-    this.controlledFrame.request.onCompleted.addListener(
+    this.#addWebRequestListener(
+      'onCompleted',
       callback,
       filter,
       extraInfoSpec
     );
-    Log.info('Added onCompleted event handler');
   }
 
   #addOnErrorOccurred(e) {
     if (typeof this.controlledFrame.request.onErrorOccurred !== 'object') {
-      Log.warn('request.onErrorOccurred: API undefined');
+      this.#log.warn('request.onErrorOccurred: API undefined');
       return;
     }
 
@@ -1318,20 +2663,19 @@ class ControlledFrameController {
       if (option.selected) extraInfoSpec.push(option.value);
     }
     let callback = details => {
-      Log.evt('onErrorOccurred fired');
-      Log.info(`details = ${JSON.stringify(details)}`);
+      this.#logRequestEvent('onErrorOccurred', details);
     };
-    this.controlledFrame.request.onErrorOccurred.addListener(
+    this.#addWebRequestListener(
+      'onErrorOccurred',
       callback,
       filter,
       extraInfoSpec
     );
-    Log.info('Added onErrorOccurred event handler');
   }
 
   #addOnHeadersReceived(e) {
     if (typeof this.controlledFrame.request.onHeadersReceived !== 'object') {
-      Log.warn('request.onHeadersReceived: API undefined');
+      this.#log.warn('request.onHeadersReceived: API undefined');
       return;
     }
 
@@ -1341,23 +2685,23 @@ class ControlledFrameController {
       if (option.selected) extraInfoSpec.push(option.value);
     }
     let callback = details => {
-      Log.evt('onHeadersReceived fired');
-      Log.info(`details = ${JSON.stringify(details)}`);
-      Log.info('Responding with BlockingResponse response');
-      if (extraInfoSpec.includes('blocking'))
-        return this.#readBlockingResponse();
+      this.#logRequestEvent('onHeadersReceived', details);
+      if (extraInfoSpec.includes('blocking')) {
+        this.#log.info('Responding with BlockingResponse response');
+        return this.#readBlockingResponse('onHeadersReceived');
+      }
     };
-    this.controlledFrame.request.onHeadersReceived.addListener(
+    this.#addWebRequestListener(
+      'onHeadersReceived',
       callback,
       filter,
       extraInfoSpec
     );
-    Log.info('Added onHeadersReceived event handler');
   }
 
   #addOnResponseStarted(e) {
     if (typeof this.controlledFrame.request.onResponseStarted !== 'object') {
-      Log.warn('request.onResponseStarted: API undefined');
+      this.#log.warn('request.onResponseStarted: API undefined');
       return;
     }
 
@@ -1367,20 +2711,19 @@ class ControlledFrameController {
       if (option.selected) extraInfoSpec.push(option.value);
     }
     let callback = details => {
-      Log.evt('onResponseStarted fired');
-      Log.info(`details = ${JSON.stringify(details)}`);
+      this.#logRequestEvent('onResponseStarted', details);
     };
-    this.controlledFrame.request.onResponseStarted.addListener(
+    this.#addWebRequestListener(
+      'onResponseStarted',
       callback,
       filter,
       extraInfoSpec
     );
-    Log.info('Added onResponseStarted event handler');
   }
 
   #addOnSendHeaders(e) {
     if (typeof this.controlledFrame.request.onSendHeaders !== 'object') {
-      Log.warn('request.onSendHeaders: API undefined');
+      this.#log.warn('request.onSendHeaders: API undefined');
       return;
     }
 
@@ -1390,20 +2733,46 @@ class ControlledFrameController {
       if (option.selected) extraInfoSpec.push(option.value);
     }
     let callback = details => {
-      Log.evt('onSendHeaders fired');
-      Log.info(`details = ${JSON.stringify(details)}`);
+      this.#logRequestEvent('onSendHeaders', details);
     };
-    this.controlledFrame.request.onSendHeaders.addListener(
+    this.#addWebRequestListener(
+      'onSendHeaders',
       callback,
       filter,
       extraInfoSpec
     );
-    Log.info('Added onSendHeaders event handler');
   }
 
   static controlledFrame;
-  #addedContentScripts = new Array();
+  #activeFrameListeners = new Array();
+  #addressBar;
+  #consoleAlertListeners = new Array();
+  #consoleAlertRules = parseConsoleAlertRules([]);
+  #consolePanel;
+  #contentScripts = contentScripts;
+  #controlsInitialized = false;
+  #dialogPolicy = parseDialogPolicy(DEFAULT_DIALOG_POLICY);
+  #dialogPrompt = new DialogPrompt();
+  #frame;
+  #log = logger.withSource(() => ({
+    frameId: this.#tabs?.activeTab?.id ?? null,
+  }));
+  #navigationGuard = new NavigationGuard(
+    this.#onNavigationBlocked.bind(this)
+  );
+  #networkPanel;
+  #newWindowPolicy = parseNewWindowPolicy(DEFAULT_NEW_WINDOW_POLICY);
+  #permissionPolicy = new PermissionPolicy();
+  #permissionPrompt = new PermissionPrompt($('#permission_prompts'));
+  #requestRuleset = null;
+  #rpcEventListeners = new Map();
+  #rpcHandlers = new Map();
+  #scriptLibrary = new ScriptLibrary();
+  #scriptResultView = new ScriptResultView($('#execute_script_result'));
+  #tabs;
   #urlParams;
+  #visualRegression = new VisualRegression();
+  #webRequestListeners;
 }
 
 export { ControlledFrameController };
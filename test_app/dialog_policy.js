@@ -0,0 +1,171 @@
+import { ALL_URLS, matchPatternToRegExp, validateMatchPattern } from './match_pattern.js';
+
+/**
+ * Decides how alert(), confirm() and prompt() dialogs from a
+ * <controlledframe> are answered.
+ *
+ * A policy is JSON data:
+ *
+ *   {
+ *     "mode": "interactive",
+ *     "answers": [{
+ *       "urlPatterns": ["https://shop.example.com/*"],
+ *       "messageTypes": ["prompt"],
+ *       "messageText": "^Quantity",
+ *       "action": "ok",
+ *       "response": "2"
+ *     }]
+ *   }
+ *
+ * The first scripted answer whose conditions all match the dialog answers it.
+ * urlPatterns are match patterns checked against the URL of the page that
+ * opened the dialog, messageTypes are "alert", "confirm" or "prompt", and
+ * messageText is a regular expression searched for in the message. All
+ * conditions are optional. Dialogs without a scripted answer are handled by
+ * the mode: shown to the user ("interactive"), accepted with the default
+ * prompt text ("auto-accept"), or dismissed ("auto-dismiss").
+ */
+
+export const DialogMode = {
+  INTERACTIVE: 'interactive',
+  AUTO_ACCEPT: 'auto-accept',
+  AUTO_DISMISS: 'auto-dismiss',
+};
+
+export const DialogAction = {
+  OK: 'ok',
+  CANCEL: 'cancel',
+};
+
+export const MESSAGE_TYPES = ['alert', 'confirm', 'prompt'];
+
+export const DEFAULT_DIALOG_POLICY = {
+  mode: DialogMode.INTERACTIVE,
+  answers: [],
+};
+
+export class DialogPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DialogPolicyError';
+  }
+}
+
+function parseAnswer(answer, index) {
+  const where = `answers[${index}]`;
+  if (!answer || typeof answer !== 'object') {
+    throw new DialogPolicyError(`${where} must be an object`);
+  }
+  if (!Object.values(DialogAction).includes(answer.action)) {
+    throw new DialogPolicyError(
+      `${where}.action must be one of ` +
+      Object.values(DialogAction).join(', '));
+  }
+  if (answer.response !== undefined && typeof answer.response !== 'string') {
+    throw new DialogPolicyError(`${where}.response must be a string`);
+  }
+
+  let urlPatterns = null;
+  if (answer.urlPatterns !== undefined) {
+    if (!Array.isArray(answer.urlPatterns)) {
+      throw new DialogPolicyError(`${where}.urlPatterns must be an array`);
+    }
+    for (const pattern of answer.urlPatterns) {
+      const error = validateMatchPattern(pattern);
+      if (error) {
+        throw new DialogPolicyError(`${where}.urlPatterns: ${error}`);
+      }
+    }
+    if (!answer.urlPatterns.includes(ALL_URLS)) {
+      urlPatterns = answer.urlPatterns.map(matchPatternToRegExp);
+    }
+  }
+
+  let messageTypes = null;
+  if (answer.messageTypes !== undefined) {
+    if (!Array.isArray(answer.messageTypes) ||
+        !answer.messageTypes.every(type => MESSAGE_TYPES.includes(type))) {
+      throw new DialogPolicyError(
+        `${where}.messageTypes must be an array of ` +
+        MESSAGE_TYPES.join(', '));
+    }
+    messageTypes = answer.messageTypes;
+  }
+
+  let messageText = null;
+  if (answer.messageText !== undefined) {
+    try {
+      messageText = new RegExp(answer.messageText);
+    } catch (e) {
+      throw new DialogPolicyError(`${where}.messageText: ${e.message}`);
+    }
+  }
+
+  return {
+    action: answer.action,
+    response: answer.response,
+    urlPatterns,
+    messageTypes,
+    messageText,
+  };
+}
+
+// Validates |policy|, a policy object or its JSON, and returns it in a form
+// resolveDialogAnswer() accepts. Throws a DialogPolicyError describing the
+// first problem.
+export function parseDialogPolicy(policy) {
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (e) {
+      throw new DialogPolicyError(`policy is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!policy || typeof policy !== 'object') {
+    throw new DialogPolicyError('policy must be an object');
+  }
+  const mode = policy.mode ?? DEFAULT_DIALOG_POLICY.mode;
+  if (!Object.values(DialogMode).includes(mode)) {
+    throw new DialogPolicyError(
+      `mode must be one of ${Object.values(DialogMode).join(', ')}`);
+  }
+  const answers = policy.answers ?? [];
+  if (!Array.isArray(answers)) {
+    throw new DialogPolicyError('policy.answers must be an array');
+  }
+  return { mode, answers: answers.map(parseAnswer) };
+}
+
+// Returns how |policy| (from parseDialogPolicy()) answers a dialog, as
+// { action, response }, or null if the user has to answer it.
+export function resolveDialogAnswer(policy, {
+  url,
+  messageType,
+  messageText,
+  defaultPromptText = '',
+}) {
+  for (const answer of policy.answers) {
+    if (answer.urlPatterns &&
+        !answer.urlPatterns.some(regExp => regExp.test(url))) {
+      continue;
+    }
+    if (answer.messageTypes && !answer.messageTypes.includes(messageType)) {
+      continue;
+    }
+    if (answer.messageText && !answer.messageText.test(messageText)) {
+      continue;
+    }
+    return {
+      action: answer.action,
+      response: answer.response ?? defaultPromptText,
+    };
+  }
+  switch (policy.mode) {
+    case DialogMode.AUTO_ACCEPT:
+      return { action: DialogAction.OK, response: defaultPromptText };
+    case DialogMode.AUTO_DISMISS:
+      return { action: DialogAction.CANCEL };
+    default:
+      return null;
+  }
+}
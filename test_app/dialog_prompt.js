@@ -0,0 +1,80 @@
+import { DialogAction } from './dialog_policy.js';
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Shows alert(), confirm() and prompt() dialogs from a <controlledframe> over
+ * the frame, the way a browser would: alerts only have OK, confirms have OK
+ * and Cancel, and prompts also have a text field. Enter answers OK and
+ * Escape answers Cancel.
+ */
+export class DialogPrompt {
+  // Shows the dialog over |container|, the element containing the frame.
+  // Resolves with { action, response } once the user answers.
+  ask(container, { messageType, messageText, defaultPromptText = '', url }) {
+    return new Promise(resolve => {
+      const overlay = document.createElement('div');
+      overlay.className = 'js-dialog-overlay';
+      const box = document.createElement('form');
+      box.className = 'js-dialog';
+
+      const title = document.createElement('div');
+      title.className = 'js-dialog-title';
+      const host = hostOf(url);
+      title.innerText = host ? `${host} says` : 'This page says';
+      const message = document.createElement('div');
+      message.className = 'js-dialog-message';
+      message.innerText = messageText;
+      box.append(title, message);
+
+      let input = null;
+      if (messageType === 'prompt') {
+        input = document.createElement('input');
+        input.type = 'text';
+        input.value = defaultPromptText;
+        box.appendChild(input);
+      }
+
+      const buttons = document.createElement('div');
+      buttons.className = 'js-dialog-buttons';
+      const ok = document.createElement('button');
+      ok.type = 'submit';
+      ok.innerText = 'OK';
+      buttons.appendChild(ok);
+      if (messageType !== 'alert') {
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.innerText = 'Cancel';
+        cancel.addEventListener('click', () => answer(DialogAction.CANCEL));
+        buttons.appendChild(cancel);
+      }
+      box.appendChild(buttons);
+
+      const answer = action => {
+        overlay.remove();
+        resolve({
+          action,
+          response: action === DialogAction.OK ? (input?.value ?? '') : '',
+        });
+      };
+      box.addEventListener('submit', e => {
+        e.preventDefault();
+        answer(DialogAction.OK);
+      });
+      box.addEventListener('keydown', e => {
+        if (e.key !== 'Escape') return;
+        answer(messageType === 'alert' ? DialogAction.OK : DialogAction.CANCEL);
+      });
+
+      overlay.appendChild(box);
+      container.appendChild(overlay);
+      (input ?? ok).focus();
+    });
+  }
+}
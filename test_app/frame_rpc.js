@@ -0,0 +1,521 @@
+import { TimeoutError, toScript, withTimeout } from './common.js';
+import { contentScripts } from './content_script_manager.js';
+import { ControlledFrameAdapter } from './controlledframe_adapter.js';
+import { logger } from './logger.js';
+
+/**
+ * A two-way request/response and event channel between the app and the page
+ * in a <controlledframe>.
+ *
+ * A content script installs a bridge in every top-level document. The bridge
+ * adds window.controlledFrameHost to the page, which has the same methods as
+ * FrameRpcChannel:
+ *
+ *   request(method, params, { timeoutMs }) resolves with the result of the
+ *       other side's handler for |method|, or rejects with an Error whose
+ *       name is "RpcError" and whose code is one of RpcErrorCode.
+ *   handle(method, handler) answers requests for |method| with the return
+ *       value of |handler|(params), which may be a promise.
+ *   on(event, listener) / off(event, listener) subscribe to events.
+ *   emit(event, data) sends an event if the other side subscribed to it.
+ *
+ * The page is told that controlledFrameHost exists with a
+ * "controlledframehostready" event on window.
+ *
+ * Messages travel with postMessage() between the app and the bridge, which
+ * relays them to and from the page's main world. The bridge only takes a
+ * window the page can't reach, the app's, as the other end, and keeps it for
+ * the life of the document. The app only sends to, and only accepts messages
+ * from, the origin of the frame's last committed top-level URL, and the
+ * channel reconnects after every navigation. Requests
+ * pending when the frame navigates away are rejected. Pages whose Content
+ * Security Policy blocks inline scripts get the bridge but not
+ * controlledFrameHost.
+ */
+
+const CHANNEL = 'controlledframe-rpc';
+const CONTENT_SCRIPT_NAME = 'frame-rpc-bridge';
+
+contentScripts.reserve(CONTENT_SCRIPT_NAME, 'frame RPC channel');
+
+export const DEFAULT_RPC_TIMEOUT_MS = 10 * 1000;
+
+// The type of each message on the channel.
+export const RpcMessageType = {
+  CONNECT: 'connect',
+  READY: 'ready',
+  REQUEST: 'request',
+  RESPONSE: 'response',
+  EVENT: 'event',
+  SUBSCRIBE: 'subscribe',
+  UNSUBSCRIBE: 'unsubscribe',
+};
+
+export const RpcErrorCode = {
+  NOT_CONNECTED: 'not-connected',
+  TIMEOUT: 'timeout',
+  NAVIGATED: 'navigated',
+  NO_HANDLER: 'no-handler',
+  HANDLER_FAILED: 'handler-failed',
+};
+
+export class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+  }
+}
+
+// Runs in the page's main world. Defines window.controlledFrameHost, which
+// talks to the bridge through window.postMessage().
+function installClient(channel, defaultTimeoutMs) {
+  if (window.controlledFrameHost) return;
+
+  let nextId = 1;
+  const pending = new Map();
+  const handlers = new Map();
+  const listeners = new Map();
+  const hostSubscriptions = new Set();
+
+  const send = message => window.postMessage(
+    { ...message, channel, direction: 'to-host' }, location.origin);
+  const rpcError = (code, message) =>
+    Object.assign(new Error(message), { name: 'RpcError', code });
+
+  window.addEventListener('message', async e => {
+    const message = e.data;
+    if (e.source !== window || message?.channel !== channel ||
+        message.direction !== 'to-page') {
+      return;
+    }
+    switch (message.type) {
+      case 'connect':
+        for (const event of listeners.keys()) {
+          send({ type: 'subscribe', event });
+        }
+        break;
+      case 'request': {
+        const handler = handlers.get(message.method);
+        if (!handler) {
+          send({
+            type: 'response',
+            id: message.id,
+            error: {
+              code: 'no-handler',
+              message: `No handler for ${message.method}`,
+            },
+          });
+          return;
+        }
+        try {
+          const result = await handler(message.params);
+          send({ type: 'response', id: message.id, result });
+        } catch (err) {
+          send({
+            type: 'response',
+            id: message.id,
+            error: {
+              code: 'handler-failed',
+              message: String(err?.message ?? err),
+            },
+          });
+        }
+        break;
+      }
+      case 'response': {
+        const request = pending.get(message.id);
+        if (!request) return;
+        pending.delete(message.id);
+        clearTimeout(request.timer);
+        if (message.error) {
+          request.reject(rpcError(message.error.code, message.error.message));
+        } else {
+          request.resolve(message.result);
+        }
+        break;
+      }
+      case 'event':
+        for (const listener of listeners.get(message.event) ?? []) {
+          listener(message.data);
+        }
+        break;
+      case 'subscribe':
+        hostSubscriptions.add(message.event);
+        break;
+      case 'unsubscribe':
+        hostSubscriptions.delete(message.event);
+        break;
+    }
+  });
+
+  window.controlledFrameHost = {
+    request(method, params, { timeoutMs = defaultTimeoutMs } = {}) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(rpcError(
+            'timeout', `${method}: timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+        pending.set(id, { resolve, reject, timer });
+        send({ type: 'request', id, method, params });
+      });
+    },
+    handle(method, handler) {
+      handlers.set(method, handler);
+    },
+    on(event, listener) {
+      if (!listeners.has(event)) {
+        listeners.set(event, new Set());
+        send({ type: 'subscribe', event });
+      }
+      listeners.get(event).add(listener);
+    },
+    off(event, listener) {
+      const eventListeners = listeners.get(event);
+      if (!eventListeners?.delete(listener) || eventListeners.size > 0) return;
+      listeners.delete(event);
+      send({ type: 'unsubscribe', event });
+    },
+    emit(event, data) {
+      if (hostSubscriptions.has(event)) send({ type: 'event', event, data });
+    },
+  };
+  window.dispatchEvent(new Event('controlledframehostready'));
+}
+
+// Runs in the content script's isolated world. Relays messages between the
+// app, which connects with a "connect" message, and the page's main world.
+function installBridge(channel, clientCode) {
+  if (window.__frameRpcBridgeInstalled) return;
+  window.__frameRpcBridgeInstalled = true;
+
+  let host = null;
+  let hostOrigin = null;
+  let queue = [];
+
+  const toPage = message => window.postMessage(
+    { ...message, channel, direction: 'to-page' }, location.origin);
+  const toHost = message => {
+    if (!host) {
+      queue.push(message);
+      return;
+    }
+    host.postMessage({ ...message, channel }, hostOrigin);
+  };
+
+  // The windows up the chain of parents and openers of |start|.
+  const ancestors = start => {
+    const windows = [];
+    let current = start;
+    while (current && !windows.includes(current) && windows.length < 100) {
+      windows.push(current);
+      current = current.parent !== current ? current.parent : current.opener;
+    }
+    return windows;
+  };
+
+  // Whether |source| is related to the page: its chain of parents and openers
+  // meets the page's own. That covers the page's frames, the windows it
+  // opened, the page that opened it and all of their frames, but not the
+  // app, which embeds the page from outside.
+  const reachableFromPage = source => {
+    const related = ancestors(window);
+    return ancestors(source).some(current => related.includes(current));
+  };
+
+  window.addEventListener('message', e => {
+    const message = e.data;
+    if (message?.channel !== channel) return;
+    if (e.source === window) {
+      if (message.direction !== 'to-host') return;
+      const { direction, ...rest } = message;
+      toHost(rest);
+      return;
+    }
+    // Only the app may connect, and only once per document: later connects
+    // are accepted from the same window alone, so nothing can take over the
+    // channel.
+    if (message.type === 'connect') {
+      if (host ? e.source !== host : reachableFromPage(e.source)) return;
+      host = e.source;
+      hostOrigin = e.origin;
+      toHost({ type: 'ready', url: location.href });
+      for (const queued of queue) toHost(queued);
+      queue = [];
+    }
+    if (e.source === host) toPage(message);
+  });
+
+  const script = document.createElement('script');
+  script.textContent = clientCode;
+  (document.head ?? document.documentElement).appendChild(script);
+  script.remove();
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch (_) {
+    return 'null';
+  }
+}
+
+export class FrameRpcChannel {
+  // |handlers| maps method names to the handlers answering the page's
+  // requests. It may be shared by several channels.
+  constructor({
+    handlers = new Map(),
+    timeoutMs = DEFAULT_RPC_TIMEOUT_MS,
+  } = {}) {
+    this.handlers = handlers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get connected() {
+    return this.#connected;
+  }
+
+  // The origin messages are exchanged with, or 'null' if the frame's
+  // committed URL has an opaque origin.
+  get origin() {
+    return this.#origin;
+  }
+
+  // Starts the channel with |controlledFrame| and connects to the page it
+  // has loaded, if any.
+  async attach(controlledFrame) {
+    // The old <controlledframe> may already be gone.
+    await this.detach().catch(() => {});
+    this.#controlledFrame = controlledFrame;
+    this.#frame = new ControlledFrameAdapter(controlledFrame);
+    this.#origin = originOf(controlledFrame.src);
+    controlledFrame.addEventListener('loadcommit', this.#onLoadCommit);
+    controlledFrame.addEventListener('contentload', this.#onContentLoad);
+    window.addEventListener('message', this.#onMessage);
+    const code = toScript(
+      installBridge, CHANNEL, toScript(installClient, CHANNEL, this.timeoutMs));
+    const script = {
+      name: CONTENT_SCRIPT_NAME,
+      matches: ['<all_urls>'],
+      js: { code },
+      run_at: 'document_start',
+    };
+    await this.#frame.addContentScripts([script]);
+    contentScripts.track(controlledFrame, script);
+    // Content scripts only run on future navigations.
+    await this.#frame.executeScript({ code });
+    this.#connect();
+  }
+
+  async detach() {
+    const controlledFrame = this.#controlledFrame;
+    if (!controlledFrame) return;
+    this.#disconnect(RpcErrorCode.NOT_CONNECTED, 'The channel was closed');
+    this.#controlledFrame = null;
+    controlledFrame.removeEventListener('loadcommit', this.#onLoadCommit);
+    controlledFrame.removeEventListener('contentload', this.#onContentLoad);
+    window.removeEventListener('message', this.#onMessage);
+    const frame = this.#frame;
+    this.#frame = null;
+    await frame.removeContentScripts([CONTENT_SCRIPT_NAME]);
+    contentScripts.untrack(controlledFrame, CONTENT_SCRIPT_NAME);
+  }
+
+  // Sends a request for |method| to the page, waiting for it to connect
+  // first. Resolves with the result of the page's handler, or rejects with an
+  // RpcError.
+  async request(method, params, { timeoutMs = this.timeoutMs } = {}) {
+    if (!this.#controlledFrame) {
+      throw new RpcError(
+        RpcErrorCode.NOT_CONNECTED, 'The channel is not attached to a frame');
+    }
+    const id = this.#nextId++;
+    try {
+      await withTimeout(this.#ready, timeoutMs, method);
+      const response = new Promise((resolve, reject) => {
+        this.#pending.set(id, { resolve, reject });
+      });
+      this.#send({ type: RpcMessageType.REQUEST, id, method, params });
+      return await withTimeout(response, timeoutMs, method);
+    } catch (err) {
+      if (err instanceof TimeoutError) {
+        throw new RpcError(RpcErrorCode.TIMEOUT, err.message);
+      }
+      throw err;
+    } finally {
+      this.#pending.delete(id);
+    }
+  }
+
+  // Answers the page's requests for |method| with |handler|(params, channel).
+  handle(method, handler) {
+    this.handlers.set(method, handler);
+  }
+
+  // Calls |listener|(data, channel) whenever the page emits |event|.
+  on(event, listener) {
+    if (!this.#listeners.has(event)) {
+      this.#listeners.set(event, new Set());
+      if (this.#connected) {
+        this.#send({ type: RpcMessageType.SUBSCRIBE, event });
+      }
+    }
+    this.#listeners.get(event).add(listener);
+  }
+
+  off(event, listener) {
+    const listeners = this.#listeners.get(event);
+    if (!listeners?.delete(listener) || listeners.size > 0) return;
+    this.#listeners.delete(event);
+    if (this.#connected) {
+      this.#send({ type: RpcMessageType.UNSUBSCRIBE, event });
+    }
+  }
+
+  // Sends |event| to the page if it subscribed to it. Returns whether it was
+  // sent.
+  emit(event, data) {
+    if (!this.#connected || !this.#pageSubscriptions.has(event)) return false;
+    this.#send({ type: RpcMessageType.EVENT, event, data });
+    return true;
+  }
+
+  #connect() {
+    if (this.#origin === 'null' || !this.#controlledFrame?.contentWindow) {
+      return;
+    }
+    this.#send({ type: RpcMessageType.CONNECT });
+  }
+
+  // Rejects pending requests and waits for the next page to connect.
+  #disconnect(code, message) {
+    this.#connected = false;
+    this.#pageSubscriptions.clear();
+    for (const { reject } of this.#pending.values()) {
+      reject(new RpcError(code, message));
+    }
+    this.#pending.clear();
+    this.#ready = new Promise(resolve => {
+      this.#resolveReady = resolve;
+    });
+  }
+
+  #send(message) {
+    this.#controlledFrame?.contentWindow?.postMessage(
+      { ...message, channel: CHANNEL }, this.#origin);
+  }
+
+  // Same-document navigations, such as history.pushState(), commit without
+  // a contentload, and keep the bridge that is already there, so connect right
+  // away. A new document may not have its bridge yet; it is connected again
+  // on contentload.
+  #onLoadCommit = e => {
+    if (e.isTopLevel === false) return;
+    const origin = originOf(e.url);
+    this.#disconnect(
+      RpcErrorCode.NAVIGATED, `The frame navigated to ${e.url}`);
+    this.#origin = origin;
+    this.#connect();
+  };
+
+  #onContentLoad = () => {
+    if (!this.#connected) this.#connect();
+  };
+
+  #onMessage = e => {
+    const message = e.data;
+    if (!this.#controlledFrame ||
+        e.source !== this.#controlledFrame.contentWindow ||
+        message?.channel !== CHANNEL) {
+      return;
+    }
+    if (e.origin !== this.#origin) {
+      logger.warn(
+        `frame rpc: dropped a message from ${e.origin}, ` +
+          `expected ${this.#origin}`,
+        {
+          source: { event: 'message' },
+          payload: { origin: e.origin, expected: this.#origin, message },
+        }
+      );
+      return;
+    }
+    switch (message.type) {
+      case RpcMessageType.READY:
+        this.#connected = true;
+        for (const event of this.#listeners.keys()) {
+          this.#send({ type: RpcMessageType.SUBSCRIBE, event });
+        }
+        this.#resolveReady();
+        break;
+      case RpcMessageType.REQUEST:
+        this.#answer(message);
+        break;
+      case RpcMessageType.RESPONSE: {
+        const request = this.#pending.get(message.id);
+        if (!request) return;
+        if (message.error) {
+          request.reject(
+            new RpcError(message.error.code, message.error.message));
+        } else {
+          request.resolve(message.result);
+        }
+        break;
+      }
+      case RpcMessageType.EVENT:
+        for (const listener of this.#listeners.get(message.event) ?? []) {
+          listener(message.data, this);
+        }
+        break;
+      case RpcMessageType.SUBSCRIBE:
+        this.#pageSubscriptions.add(message.event);
+        break;
+      case RpcMessageType.UNSUBSCRIBE:
+        this.#pageSubscriptions.delete(message.event);
+        break;
+    }
+  };
+
+  async #answer({ id, method, params }) {
+    const handler = this.handlers.get(method);
+    if (!handler) {
+      this.#send({
+        type: RpcMessageType.RESPONSE,
+        id,
+        error: {
+          code: RpcErrorCode.NO_HANDLER,
+          message: `No handler for ${method}`,
+        },
+      });
+      return;
+    }
+    try {
+      const result = await handler(params, this);
+      this.#send({ type: RpcMessageType.RESPONSE, id, result });
+    } catch (err) {
+      this.#send({
+        type: RpcMessageType.RESPONSE,
+        id,
+        error: {
+          code: RpcErrorCode.HANDLER_FAILED,
+          message: String(err?.message ?? err),
+        },
+      });
+    }
+  }
+
+  #connected = false;
+  #controlledFrame = null;
+  #frame = null;
+  #listeners = new Map();
+  #nextId = 1;
+  #origin = 'null';
+  #pageSubscriptions = new Set();
+  #pending = new Map();
+  #resolveReady = null;
+  #ready = new Promise(resolve => {
+    this.#resolveReady = resolve;
+  });
+}
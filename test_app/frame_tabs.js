@@ -0,0 +1,311 @@
+import { EVENT_FIELDS, serializeEvent } from './automation_protocol.js';
+import { ConsoleRecorder } from './console_recorder.js';
+import { ControlledFrameAdapter } from './controlledframe_adapter.js';
+import { NavigationHistory } from './navigation_history.js';
+import { NetworkRecorder } from './network_recorder.js';
+import { RequestRuleEngine } from './request_rules.js';
+import { WebRequestListenerRegistry } from './web_request_registry.js';
+
+/**
+ * Keeps several <controlledframe> elements, each in its own tab with a name,
+ * a partition, a state summary and an event log. One tab is active at a time.
+ *
+ * Tabs are shown one at a time or side by side. A floating tab, used for
+ * popups opened from a frame, is shown in a resizable panel above the others
+ * whatever the layout.
+ *
+ * Each FrameTab also sets up the API state of its frame: the adapter, the web
+ * request listener registry, the request rule engine, the network and console
+ * recorders and the navigation history. ControlledFrameController shows the
+ * active tab's state and hears about every tab's through the frame callbacks.
+ */
+
+const MAX_LOG_ENTRIES = 200;
+
+export const FrameLayout = {
+  TABS: 'tabs',
+  SIDE_BY_SIDE: 'side-by-side',
+};
+
+export class FrameTab {
+  // |callbacks| may have any of
+  //
+  //   onWebRequestListenersChange(tab, entries)
+  //   onRequestRuleMatch(tab, rule, details)
+  //   onNetworkRecord(tab, record)
+  //   onConsoleEntry(tab, entry, isNew)
+  //   onNavigationChange(tab)
+  //   onError(tab, error)
+  //
+  // which report changes to the API state of the tab's <controlledframe>.
+  constructor(id, name, partition, floating = false, callbacks = {}) {
+    this.id = id;
+    this.name = name;
+    this.partition = partition;
+    this.floating = floating;
+    this.controlledFrame = null;
+    this.state = {
+      url: '',
+      loading: false,
+      zoomFactor: null,
+      lastError: null,
+    };
+
+    // The API state of the <controlledframe>, set up by setFrame().
+    this.frame = null;
+    this.webRequestListeners = null;
+    this.requestRules = null;
+    this.networkRecorder = null;
+    this.consoleRecorder = null;
+    this.navigationHistory = null;
+
+    // Owned by ControlledFrameController.
+    this.rpcChannel = null;
+
+    this.#callbacks = callbacks;
+
+    this.tabButton = document.createElement('button');
+    this.tabButton.className = 'frame-tab-button';
+    this.tabButton.setAttribute('role', 'tab');
+
+    this.pane = document.createElement('div');
+    this.pane.className = 'frame-tab';
+    this.pane.classList.toggle('floating', floating);
+    this.#header = document.createElement('div');
+    this.#header.className = 'frame-tab-header';
+    this.#frameContainer = document.createElement('div');
+    this.#frameContainer.className = 'frame-tab-frame';
+    this.#log = document.createElement('div');
+    this.#log.className = 'frame-tab-log';
+    this.pane.append(this.#header, this.#frameContainer, this.#log);
+    this.closeButton = null;
+    if (floating) {
+      this.closeButton = document.createElement('button');
+      this.closeButton.className = 'frame-tab-close';
+      this.closeButton.innerText = '\u00d7';
+      this.closeButton.title = 'Close';
+      this.pane.prepend(this.closeButton);
+    }
+    this.render();
+  }
+
+  // Replaces the tab's <controlledframe> with |controlledFrame| and sets up
+  // its API state. The listener registry and request rules start empty, while
+  // the recorders and the navigation history carry on from the old frame.
+  setFrame(controlledFrame) {
+    for (const eventName of Object.keys(EVENT_FIELDS)) {
+      this.controlledFrame?.removeEventListener(eventName, this.#onFrameEvent);
+      controlledFrame.addEventListener(eventName, this.#onFrameEvent);
+    }
+    this.controlledFrame = controlledFrame;
+    // Also drops anything shown over the old frame, such as its dialogs.
+    this.#frameContainer.replaceChildren(controlledFrame);
+    this.state = { url: '', loading: false, zoomFactor: null, lastError: null };
+    this.#attachApiState(controlledFrame);
+    this.render();
+  }
+
+  // Sets the size of the tab's <controlledframe> in CSS pixels. Missing or
+  // zero dimensions keep the default size.
+  setFrameSize(width, height) {
+    this.controlledFrame.style.width = width > 0 ? `${width}px` : '';
+    this.controlledFrame.style.height = height > 0 ? `${height}px` : '';
+  }
+
+  render() {
+    this.tabButton.innerText = this.name;
+    this.tabButton.title = this.partition;
+    let { url, loading, zoomFactor, lastError } = this.state;
+    let summary = `${this.name} [${this.partition}] ${loading ? 'loading' : 'idle'}`;
+    if (zoomFactor !== null) summary += `, zoom ${zoomFactor}`;
+    if (lastError) summary += `, error: ${lastError}`;
+    this.#header.innerText = `${summary}\n${url}`;
+  }
+
+  #attachApiState(controlledFrame) {
+    this.frame = new ControlledFrameAdapter(controlledFrame);
+    this.webRequestListeners = new WebRequestListenerRegistry(
+      controlledFrame,
+      entries => this.#notify('onWebRequestListenersChange', entries)
+    );
+    this.requestRules = new RequestRuleEngine(
+      controlledFrame,
+      (rule, details) => this.#notify('onRequestRuleMatch', rule, details)
+    );
+    this.networkRecorder ??= new NetworkRecorder(
+      record => this.#notify('onNetworkRecord', record));
+    this.consoleRecorder ??= new ConsoleRecorder(
+      (entry, isNew) => this.#notify('onConsoleEntry', entry, isNew));
+    this.navigationHistory ??= new NavigationHistory(
+      () => this.#notify('onNavigationChange'));
+    for (const recorder of [
+      this.networkRecorder, this.consoleRecorder, this.navigationHistory,
+    ]) {
+      try {
+        recorder.attach(controlledFrame);
+      } catch (err) {
+        this.#notify('onError', err);
+      }
+    }
+  }
+
+  #notify(callback, ...args) {
+    this.#callbacks[callback]?.(this, ...args);
+  }
+
+  #appendLog(e) {
+    let params = serializeEvent(e);
+    delete params.timeStamp;
+    let entry = document.createElement('div');
+    let time = new Date().toISOString().slice(11, 23);
+    entry.innerText = `${time} ${e.type} ${JSON.stringify(params)}`;
+    this.#log.appendChild(entry);
+    while (this.#log.childElementCount > MAX_LOG_ENTRIES) {
+      this.#log.firstElementChild.remove();
+    }
+    this.#log.scrollTop = this.#log.scrollHeight;
+  }
+
+  #onFrameEvent = e => {
+    this.#appendLog(e);
+    let isTopLevel = e.isTopLevel !== false;
+    switch (e.type) {
+      case 'loadstart':
+        if (!isTopLevel) break;
+        this.state.loading = true;
+        this.state.lastError = null;
+        this.state.url = e.url;
+        break;
+      case 'loadcommit':
+        if (isTopLevel) this.state.url = e.url;
+        break;
+      case 'loadstop':
+        this.state.loading = false;
+        break;
+      case 'loadabort':
+        if (!isTopLevel) break;
+        this.state.loading = false;
+        this.state.lastError = `${e.reason} (${e.url})`;
+        break;
+      case 'exit':
+        this.state.loading = false;
+        this.state.lastError = `process exited: ${e.reason}`;
+        break;
+      case 'zoomchange':
+        this.state.zoomFactor = e.newZoomFactor;
+        break;
+      default:
+        return;
+    }
+    this.render();
+  };
+
+  #callbacks;
+  #frameContainer;
+  #header;
+  #log;
+}
+
+export class FrameTabManager {
+  // |onActivate| is called with the tab whenever the active tab changes, and
+  // |onCloseRequest| with the tab when the close button of a floating tab is
+  // clicked. |frameCallbacks| are given to every tab; see FrameTab.
+  constructor(
+    tabStrip,
+    container,
+    onActivate = null,
+    onCloseRequest = null,
+    frameCallbacks = {}
+  ) {
+    this.tabStrip = tabStrip;
+    this.container = container;
+    this.onActivate = onActivate;
+    this.onCloseRequest = onCloseRequest;
+    this.frameCallbacks = frameCallbacks;
+    this.setLayout(FrameLayout.TABS);
+  }
+
+  get tabs() {
+    return [...this.#tabs.values()];
+  }
+
+  get activeTab() {
+    return this.#tabs.get(this.#activeId) ?? null;
+  }
+
+  get(id) {
+    return this.#tabs.get(id);
+  }
+
+  // Adds a tab without a <controlledframe>. Use FrameTab.setFrame() to give
+  // it one.
+  create(name, partition, { floating = false } = {}) {
+    let id = this.#nextId++;
+    let tab = new FrameTab(
+      id,
+      name || `frame-${id}`,
+      partition || `persist:frame-${id}`,
+      floating,
+      this.frameCallbacks
+    );
+    tab.tabButton.addEventListener('click', () => this.activate(id));
+    tab.closeButton?.addEventListener('click', e => {
+      e.stopPropagation();
+      if (this.onCloseRequest) this.onCloseRequest(tab);
+    });
+    if (floating) {
+      // Cascade floating panels so that they don't hide each other.
+      let offset = this.tabs.filter(t => t.floating).length % 5;
+      tab.pane.style.setProperty('--floating-offset', offset);
+    }
+    // In the side by side layout, clicking a frame's header or log makes it
+    // active.
+    tab.pane.addEventListener('click', () => {
+      if (this.#activeId !== id) this.activate(id);
+    });
+    this.#tabs.set(id, tab);
+    this.tabStrip.appendChild(tab.tabButton);
+    this.container.appendChild(tab.pane);
+    return tab;
+  }
+
+  activate(id) {
+    let tab = this.#tabs.get(id);
+    if (!tab) return;
+    this.#activeId = id;
+    for (const t of this.#tabs.values()) {
+      t.pane.classList.toggle('active', t === tab);
+      t.tabButton.classList.toggle('active', t === tab);
+      t.tabButton.setAttribute('aria-selected', t === tab);
+    }
+    if (this.onActivate) this.onActivate(tab);
+  }
+
+  // Removes tab |id| and its <controlledframe>. If it was active, the tab
+  // before it becomes active.
+  close(id) {
+    let tab = this.#tabs.get(id);
+    if (!tab) return null;
+    let ids = [...this.#tabs.keys()];
+    let index = ids.indexOf(id);
+    tab.tabButton.remove();
+    tab.pane.remove();
+    this.#tabs.delete(id);
+    if (this.#activeId === id) {
+      this.#activeId = null;
+      let next = ids[index - 1] ?? ids[index + 1];
+      if (next !== undefined) this.activate(next);
+    }
+    return tab;
+  }
+
+  setLayout(layout) {
+    for (const value of Object.values(FrameLayout)) {
+      this.container.classList.toggle(value, value === layout);
+    }
+  }
+
+  #activeId = null;
+  #nextId = 1;
+  #tabs = new Map();
+}
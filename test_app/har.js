@@ -0,0 +1,142 @@
+import { RequestState } from './network_recorder.js';
+
+/**
+ * Converts the records and pages of a NetworkRecorder to a HAR 1.2 log.
+ * See http://www.softwareishard.com/blog/har-12-spec/.
+ *
+ * Each hop of a redirect chain becomes its own entry, with the 3xx response
+ * and redirectURL set, as browsers do. Values the web request events do not
+ * expose, such as body sizes and DNS/connect timings, are -1.
+ */
+
+export const HAR_VERSION = '1.2';
+const CREATOR = { name: 'IWA Controlled Frame Test', version: '1.0.0' };
+
+function toIsoString(timeStamp) {
+  return new Date(timeStamp).toISOString();
+}
+
+function findHeaderValue(headers, name) {
+  const header = (headers ?? []).find(
+    h => h.name.toLowerCase() === name.toLowerCase());
+  return header?.value ?? null;
+}
+
+// Splits "HTTP/1.1 200 OK" into its version and reason phrase.
+function parseStatusLine(statusLine) {
+  const match = /^(\S+)\s+\d+\s*(.*)$/.exec(statusLine ?? '');
+  return {
+    httpVersion: match?.[1] ?? '',
+    statusText: match?.[2] ?? '',
+  };
+}
+
+function toHarHeaders(headers) {
+  return (headers ?? []).map(h => ({ name: h.name, value: h.value ?? '' }));
+}
+
+function toHarQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(
+      ([name, value]) => ({ name, value }));
+  } catch (_) {
+    return [];
+  }
+}
+
+// Derives HAR timings from the timestamps of the web request stages. The
+// time between onBeforeRequest and sending the headers is reported as
+// "blocked", as it includes time spent in blocking listeners.
+function toHarTimings(hop, fallbackEndTime) {
+  const t = hop.timings;
+  const start = t.onBeforeRequest;
+  const sent = t.onSendHeaders ?? t.onBeforeSendHeaders ?? start;
+  const responseStart = t.onResponseStarted ?? t.onHeadersReceived ??
+    t.onBeforeRedirect ?? t.onAuthRequired ?? sent;
+  const end = t.onCompleted ?? t.onBeforeRedirect ?? t.onErrorOccurred ??
+    fallbackEndTime ?? responseStart;
+  return {
+    blocked: Math.max(0, sent - start),
+    dns: -1,
+    connect: -1,
+    send: 0,
+    wait: Math.max(0, responseStart - sent),
+    receive: Math.max(0, end - responseStart),
+    ssl: -1,
+  };
+}
+
+function toHarEntry(record, hop, isLastHop) {
+  const { httpVersion, statusText } = parseStatusLine(hop.statusLine);
+  const timings = toHarTimings(hop, isLastHop ? record.endTime : null);
+  const entry = {
+    startedDateTime: toIsoString(hop.timings.onBeforeRequest ?? record.startTime),
+    time: timings.blocked + timings.send + timings.wait + timings.receive,
+    request: {
+      method: hop.method,
+      url: hop.url,
+      httpVersion,
+      cookies: [],
+      headers: toHarHeaders(hop.requestHeaders),
+      queryString: toHarQueryString(hop.url),
+      headersSize: -1,
+      bodySize: -1,
+    },
+    response: {
+      status: hop.statusCode ?? 0,
+      statusText,
+      httpVersion,
+      cookies: [],
+      headers: toHarHeaders(hop.responseHeaders),
+      content: {
+        size: -1,
+        mimeType: findHeaderValue(hop.responseHeaders, 'content-type') ??
+          'x-unknown',
+      },
+      redirectURL: hop.redirectUrl ?? '',
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings,
+    _requestId: record.requestId,
+    _resourceType: record.type,
+    _fromCache: hop.fromCache,
+  };
+  if (record.pageref !== null) {
+    entry.pageref = record.pageref;
+  }
+  if (hop.ip) {
+    entry.serverIPAddress = hop.ip;
+  }
+  if (isLastHop && record.state === RequestState.ERROR) {
+    entry.response._error = record.error;
+  }
+  return entry;
+}
+
+// Returns a HAR 1.2 object for |records| and |pages| as kept by a
+// NetworkRecorder.
+export function buildHar(records, pages) {
+  const entries = records.flatMap(record => record.hops.map(
+    (hop, i) => toHarEntry(record, hop, i === record.hops.length - 1)));
+  entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: CREATOR,
+      browser: { name: 'Controlled Frame', version: navigator.userAgent },
+      pages: pages.map(page => ({
+        startedDateTime: toIsoString(page.startTime),
+        id: page.id,
+        title: page.url,
+        pageTimings: {
+          onContentLoad: -1,
+          onLoad: page.loadTime === null ? -1 : page.loadTime - page.startTime,
+        },
+      })),
+      entries,
+    },
+  };
+}
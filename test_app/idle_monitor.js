@@ -0,0 +1,225 @@
+import { toScript } from './common.js';
+import { reserveMessagePrefix } from './console_recorder.js';
+import { contentScripts } from './content_script_manager.js';
+import { ControlledFrameAdapter } from './controlledframe_adapter.js';
+
+/**
+ * Resets a <controlledframe> after a period without user input, e.g. for a
+ * kiosk shared by several people.
+ *
+ * A content script reports input in the embedded page through console
+ * messages. After |idleTimeoutMs| without input, onWarning is called; if
+ * there is still no input |warningMs| later, all browsing data of the frame's
+ * partition is cleared and the frame navigates to |homeUrl|.
+ */
+
+const CONTENT_SCRIPT_NAME = 'idle-monitor';
+const MESSAGE_PREFIX = '__idle_monitor__';
+
+contentScripts.reserve(CONTENT_SCRIPT_NAME, 'idle monitor');
+reserveMessagePrefix(MESSAGE_PREFIX);
+
+export const DEFAULT_IDLE_OPTIONS = {
+  idleTimeoutMs: 5 * 60 * 1000,
+  warningMs: 30 * 1000,
+  homeUrl: 'https://google.com',
+  // The page reports input at most this often, to keep the console quiet.
+  reportIntervalMs: 5 * 1000,
+};
+
+export const CLEAR_DATA_TYPES = [
+  'appcache',
+  'cache',
+  'cookies',
+  'fileSystems',
+  'indexedDB',
+  'localStorage',
+  'persistentCookies',
+  'sessionCookies',
+  'webSQL',
+];
+
+// Returns a message describing the first problem with the timing and home
+// URL in |options|, or null if they can be used. The times must be positive,
+// and the home URL an http or https URL.
+export function validateIdleOptions({ idleTimeoutMs, warningMs, homeUrl }) {
+  if (!Number.isFinite(idleTimeoutMs) || idleTimeoutMs <= 0) {
+    return 'the idle timeout must be a positive number';
+  }
+  if (!Number.isFinite(warningMs) || warningMs <= 0) {
+    return 'the warning time must be a positive number';
+  }
+  let url;
+  try {
+    url = new URL(homeUrl);
+  } catch (_) {
+    return `the home URL "${homeUrl}" is not valid`;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return `the home URL ${homeUrl} is not an http or https URL`;
+  }
+  return null;
+}
+
+// Clears all browsing data of |controlledFrame|'s partition.
+export async function clearAllData(controlledFrame) {
+  const types = Object.fromEntries(CLEAR_DATA_TYPES.map(type => [type, true]));
+  await new ControlledFrameAdapter(controlledFrame).clearData(
+    { since: 0 }, types);
+}
+
+export const ResetReason = {
+  IDLE: 'idle',
+  MANUAL: 'manual',
+};
+
+// Runs inside the embedded page. Reports user input as console messages, at
+// most once per |intervalMs|.
+function installActivityReporter(prefix, intervalMs) {
+  if (window.__idleMonitorInstalled) return;
+  window.__idleMonitorInstalled = true;
+
+  let lastReport = 0;
+  const report = e => {
+    if (!e.isTrusted || e.timeStamp - lastReport < intervalMs) return;
+    lastReport = e.timeStamp;
+    console.debug(prefix + e.type);
+  };
+  for (const type of [
+    'pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll',
+  ]) {
+    document.addEventListener(type, report, { capture: true, passive: true });
+  }
+}
+
+export class IdleMonitor {
+  // |onWarning| is called with the milliseconds left before the reset, and
+  // |onActive| when input arrives after a warning. |onReset| is called with
+  // the log entry of each reset.
+  constructor({
+    onWarning = null,
+    onActive = null,
+    onReset = null,
+    ...options
+  } = {}) {
+    this.options = { ...DEFAULT_IDLE_OPTIONS, ...options };
+    this.onWarning = onWarning;
+    this.onActive = onActive;
+    this.onReset = onReset;
+  }
+
+  get running() {
+    return this.#controlledFrame !== null;
+  }
+
+  get warning() {
+    return this.#resetTimer !== null;
+  }
+
+  // Reset log entries: { time, reason, idleMs, url, homeUrl, error }.
+  get resets() {
+    return [...this.#resets];
+  }
+
+  // Starts monitoring |controlledFrame|. Call again with the new element
+  // whenever the monitored <controlledframe> changes. If that fails, the
+  // monitor is left stopped.
+  async attach(controlledFrame) {
+    await this.detach();
+    this.#controlledFrame = controlledFrame;
+    this.#frame = new ControlledFrameAdapter(controlledFrame);
+    controlledFrame.addEventListener('consolemessage', this.#onConsoleMessage);
+    this.touch();
+    const code = toScript(
+      installActivityReporter, MESSAGE_PREFIX, this.options.reportIntervalMs);
+    const script = {
+      name: CONTENT_SCRIPT_NAME,
+      matches: ['<all_urls>'],
+      js: { code },
+      run_at: 'document_start',
+      all_frames: true,
+    };
+    try {
+      await this.#frame.addContentScripts([script]);
+      contentScripts.track(controlledFrame, script);
+      // Content scripts only run on future navigations.
+      await this.#frame.executeScript({ code, allFrames: true });
+    } catch (err) {
+      await this.detach().catch(() => {});
+      throw err;
+    }
+  }
+
+  async detach() {
+    this.#clearTimers();
+    const controlledFrame = this.#controlledFrame;
+    if (!controlledFrame) return;
+    this.#controlledFrame = null;
+    controlledFrame.removeEventListener(
+      'consolemessage', this.#onConsoleMessage);
+    await this.#frame.removeContentScripts([CONTENT_SCRIPT_NAME]);
+    contentScripts.untrack(controlledFrame, CONTENT_SCRIPT_NAME);
+    this.#frame = null;
+  }
+
+  // Records user activity and restarts the idle timeout.
+  touch() {
+    const wasWarning = this.warning;
+    this.#clearTimers();
+    this.#lastActivity = Date.now();
+    if (wasWarning && this.onActive) this.onActive();
+    if (!this.#controlledFrame) return;
+    this.#idleTimer = setTimeout(
+      () => this.#warn(), this.options.idleTimeoutMs);
+  }
+
+  // Clears all browsing data of the frame and navigates it to the home URL.
+  // Resolves with the log entry of the reset.
+  async reset(reason = ResetReason.MANUAL) {
+    this.#clearTimers();
+    const entry = {
+      time: new Date().toISOString(),
+      reason,
+      idleMs: Date.now() - this.#lastActivity,
+      url: this.#controlledFrame?.src ?? null,
+      homeUrl: this.options.homeUrl,
+      error: null,
+    };
+    try {
+      await clearAllData(this.#controlledFrame);
+      this.#controlledFrame.src = this.options.homeUrl;
+    } catch (err) {
+      entry.error = err?.message ?? String(err);
+    }
+    this.#resets.push(entry);
+    if (this.onReset) this.onReset(entry);
+    this.touch();
+    return entry;
+  }
+
+  #warn() {
+    this.#idleTimer = null;
+    this.#resetTimer = setTimeout(
+      () => this.reset(ResetReason.IDLE), this.options.warningMs);
+    if (this.onWarning) this.onWarning(this.options.warningMs);
+  }
+
+  #clearTimers() {
+    clearTimeout(this.#idleTimer);
+    clearTimeout(this.#resetTimer);
+    this.#idleTimer = null;
+    this.#resetTimer = null;
+  }
+
+  #onConsoleMessage = e => {
+    if (!e.message?.startsWith(MESSAGE_PREFIX)) return;
+    this.touch();
+  };
+
+  #controlledFrame = null;
+  #frame = null;
+  #idleTimer = null;
+  #lastActivity = Date.now();
+  #resetTimer = null;
+  #resets = [];
+}
@@ -1,5 +1,22 @@
-import { $, Log, ttPolicy } from './common.js';
+import {
+  AutomationServer,
+  BroadcastChannelTransport,
+  PostMessageTransport,
+  WebSocketTransport,
+} from './automation_protocol.js';
+import { $, downloadFile, ttPolicy } from './common.js';
+import { ConformanceRunner } from './conformance_runner.js';
 import { ControlledFrameController } from './controlledframe_api.js';
+import {
+  DEFAULT_IDLE_OPTIONS,
+  IdleMonitor,
+  ResetReason,
+  clearAllData,
+  validateIdleOptions,
+} from './idle_monitor.js';
+import { LogView } from './log_view.js';
+import { logger } from './logger.js';
+import { SessionPlayer, SessionRecorder } from './session_recorder.js';
 
 /**
  * Service worker
@@ -7,7 +24,7 @@ import { ControlledFrameController } from './controlledframe_api.js';
 if ('serviceWorker' in navigator) {
   const sanitized = ttPolicy.createScriptURL('/sw.js');
   navigator.serviceWorker.register(sanitized).then(registration => {
-    Log.info('Registered Service Worker');
+    logger.info('Registered Service Worker');
     $('#update_sw_btn').onclick = () => {
       registration.update();
     };
@@ -19,13 +36,371 @@ if ('serviceWorker' in navigator) {
  * Page initialization
  */
 document.addEventListener('DOMContentLoaded', init);
-Log.info('DOMContentLoaded event listener registered');
+logger.info('DOMContentLoaded event listener registered');
 
 let controller = null;
 function init() {
+  new LogView(logger);
   controller = new ControlledFrameController();
   $('#reset_controlledframe_btn').addEventListener(
     'click',
     controller.CreateControlledFrameTag.bind(controller)
   );
+  $('#frame_tab_create_btn').addEventListener('click', () => {
+    controller.CreateFrameTab(
+      $('#frame_tab_name_in').value || undefined,
+      $('#frame_tab_partition_in').value || undefined
+    );
+  });
+  $('#frame_tab_close_btn').addEventListener('click', () => {
+    controller.CloseFrameTab();
+  });
+  $('#frame_layout_in').addEventListener('change', e => {
+    controller.SetFrameLayout(e.target.value);
+  });
+  $('#run_conformance_btn').addEventListener('click', runConformanceTests);
+  let urlParams = new URLSearchParams(window.location.search);
+  if (urlParams.has('conformance')) {
+    runConformanceTests();
+  }
+  startAutomationServer(urlParams);
+  initSessionRecording();
+  initIdleMonitor(urlParams);
+}
+
+/**
+ * Automation protocol
+ */
+let automationServer = null;
+let relayTransport = null;
+
+// Accepts commands over BroadcastChannel and postMessage() right away. Other
+// origins that may use postMessage() are listed in ?automation_origin=, comma
+// separated, and are only trusted once the user allows them.
+// ?automation_relay= connects to a WebSocket relay on localhost.
+function startAutomationServer(urlParams) {
+  automationServer = new AutomationServer(controller);
+  automationServer.attach(controller.controlledFrame);
+  controller.AddActiveFrameListener(
+    automationServer.attach.bind(automationServer)
+  );
+  controller.AddConsoleAlertListener(({ rule, tab, entry }) => {
+    automationServer.notify('console.alert', { rule, frame: tab.name, entry });
+  });
+
+  let channel = automationServer.addTransport(new BroadcastChannelTransport());
+  let postMessageTransport = automationServer.addTransport(
+    new PostMessageTransport([window.location.origin]));
+  let renderStatus = () => {
+    $('#automation_status').innerText =
+      `BroadcastChannel: ${channel.name}\n` +
+      `postMessage origins: ${postMessageTransport.allowedOrigins.join(', ')}`;
+  };
+  renderStatus();
+  if (urlParams.has('automation_origin')) {
+    for (const origin of urlParams.get('automation_origin').split(',')) {
+      askToTrustOrigin(origin.trim(), () => {
+        postMessageTransport.allowedOrigins.push(origin.trim());
+        renderStatus();
+      });
+    }
+  }
+
+  $('#automation_relay_btn').addEventListener('click', () => {
+    connectAutomationRelay($('#automation_relay_in').value);
+  });
+  if (urlParams.has('automation_relay')) {
+    $('#automation_relay_in').value = urlParams.get('automation_relay');
+    connectAutomationRelay(urlParams.get('automation_relay'));
+  }
+}
+
+// Asks the user whether |origin| may drive the app with postMessage(), and
+// calls |onAllow| if they agree. An origin gets full control of the app, so
+// it is never trusted from the URL alone.
+function askToTrustOrigin(origin, onAllow) {
+  let valid;
+  try {
+    valid = origin !== 'null' && new URL(origin).origin === origin;
+  } catch (_) {
+    valid = false;
+  }
+  if (!valid) {
+    logger.error(`Automation: ${origin} is not a valid origin`);
+    return;
+  }
+  let row = document.createElement('div');
+  row.innerText = `Allow ${origin} to control this app? `;
+  let allow = document.createElement('button');
+  allow.innerText = 'Allow';
+  allow.addEventListener('click', () => {
+    row.remove();
+    onAllow();
+    logger.info(`Automation: allowed postMessage() from ${origin}`);
+  });
+  let deny = document.createElement('button');
+  deny.innerText = 'Deny';
+  deny.addEventListener('click', () => row.remove());
+  row.append(allow, deny);
+  $('#automation_origin_prompts').append(row);
+}
+
+function connectAutomationRelay(url) {
+  if (relayTransport) {
+    automationServer.removeTransport(relayTransport);
+  }
+  try {
+    relayTransport = automationServer.addTransport(new WebSocketTransport(url));
+  } catch (err) {
+    relayTransport = null;
+    logger.error(`Automation relay: ${err.message}`);
+  }
+}
+
+/**
+ * Conformance tests
+ */
+async function runConformanceTests() {
+  const runner = new ConformanceRunner(controller);
+  logger.info(`Running ${runner.testCases.length} conformance tests`);
+  $('#conformance_result').innerText = 'Running...';
+  const report = await runner.run((result, count) => {
+    $('#conformance_result').innerText =
+      `${count}/${runner.testCases.length}: ${result.kind} ${result.name} = ${result.status}`;
+  });
+  const tap = ConformanceRunner.toTap(report);
+
+  // Headless harnesses can read the report from the console, where the
+  // ConsoleSink prints the TAP stream, or from window.conformanceReport.
+  logger.info('Conformance TAP report', { payload: tap });
+  window.conformanceReport = report;
+
+  const { total, pass, fail, skip } = report.summary;
+  const skipped = Object.entries(skip).map(([reason, n]) => `${reason}: ${n}`);
+  $('#conformance_result').innerText =
+    `total: ${total}, pass: ${pass}, fail: ${fail}\nskip: ${skipped.join(', ') || 0}`;
+  logger.info(`Conformance tests finished: ${pass} passed, ${fail} failed`);
+  $('#conformance_json_btn').onclick = () => {
+    downloadFile('conformance.json', JSON.stringify(report, null, 2));
+  };
+  $('#conformance_tap_btn').onclick = () => {
+    downloadFile('conformance.tap', tap, 'text/plain');
+  };
+}
+
+/**
+ * Session recording
+ */
+let sessionRecorder = null;
+
+function initSessionRecording() {
+  $('#session_record_btn').addEventListener('click', toggleSessionRecording);
+  $('#session_checkpoint_btn').addEventListener('click', async () => {
+    if (!sessionRecorder) {
+      logger.warn('Start recording a session before adding checkpoints');
+      return;
+    }
+    await sessionRecorder.addCheckpoint($('#session_checkpoint_in').value);
+  });
+  $('#session_download_btn').addEventListener('click', () => {
+    downloadFile('session.json', $('#session_json_in').value);
+  });
+  $('#session_replay_btn').addEventListener('click', replaySession);
+  // A recording belongs to the element it was started on. That element lives
+  // on in its tab, so stop the recorder to remove its listeners and content
+  // script.
+  controller.AddActiveFrameListener(() => {
+    if (sessionRecorder) {
+      logger.warn('Active Controlled Frame changed, session recording stopped');
+      sessionRecorder.stop().catch(err => {
+        logger.error(`Session recording: ${err.message ?? err}`);
+      });
+      sessionRecorder = null;
+      $('#session_record_btn').innerText = 'Record';
+      $('#session_record_status').innerText = '';
+    }
+  });
+}
+
+async function toggleSessionRecording() {
+  try {
+    if (!sessionRecorder) {
+      const recorder = new SessionRecorder(controller.controlledFrame, {
+        captureScreenshots: $('#session_screenshots_chk').checked,
+      });
+      await recorder.start();
+      sessionRecorder = recorder;
+      $('#session_record_btn').innerText = 'Stop';
+      $('#session_record_status').innerText = 'Recording...';
+      logger.info('Session recording started');
+      return;
+    }
+    const session = await sessionRecorder.stop();
+    sessionRecorder = null;
+    $('#session_record_btn').innerText = 'Record';
+    $('#session_record_status').innerText = `${session.steps.length} steps`;
+    $('#session_json_in').value = JSON.stringify(session, null, 2);
+    logger.info(`Session recording stopped, ${session.steps.length} steps`);
+  } catch (err) {
+    logger.error(`Session recording: ${err.message ?? err}`);
+  }
+}
+
+async function replaySession() {
+  const player = new SessionPlayer(controller.controlledFrame, {
+    compareScreenshots: $('#session_screenshots_chk').checked,
+  });
+  $('#session_replay_result').innerText = 'Replaying...';
+  let report;
+  try {
+    report = await player.replay(
+      $('#session_json_in').value,
+      (result, step) => {
+        const message = result.message ? `: ${result.message}` : '';
+        logger.info(
+          `replay step ${result.index} ${step.type} = ${result.status}${message}`
+        );
+      }
+    );
+  } catch (err) {
+    $('#session_replay_result').innerText = '';
+    logger.error(`Session replay: ${err.message ?? err}`);
+    return;
+  }
+  window.sessionReplayReport = report;
+  const { total, pass, fail } = report.summary;
+  $('#session_replay_result').innerText =
+    `total: ${total}, pass: ${pass}, fail: ${fail}`;
+}
+
+/**
+ * Idle sessions
+ */
+let idleMonitor = null;
+let idleCountdown = null;
+
+// ?idle_timeout= (seconds) starts monitoring on load, with the home URL from
+// ?idle_home=.
+function initIdleMonitor(urlParams) {
+  idleMonitor = new IdleMonitor({
+    onWarning: showIdleWarning,
+    onActive: hideIdleWarning,
+    onReset: entry => {
+      hideIdleWarning();
+      logIdleReset(entry);
+      resetBackgroundTabs();
+    },
+  });
+  $('#idle_timeout_in').value = DEFAULT_IDLE_OPTIONS.idleTimeoutMs / 1000;
+  $('#idle_warning_in').value = DEFAULT_IDLE_OPTIONS.warningMs / 1000;
+  $('#idle_home_in').value = DEFAULT_IDLE_OPTIONS.homeUrl;
+  if (urlParams.has('idle_timeout')) {
+    $('#idle_timeout_in').value = urlParams.get('idle_timeout');
+    $('#idle_home_in').value =
+      urlParams.get('idle_home') ?? $('#idle_home_in').value;
+    $('#idle_enabled_chk').checked = true;
+  }
+
+  $('#idle_apply_btn').addEventListener('click', applyIdleSettings);
+  $('#idle_reset_btn').addEventListener('click', () => {
+    if (!idleMonitor.running) {
+      logger.warn('Turn on idle session monitoring to reset the session');
+      return;
+    }
+    idleMonitor.reset(ResetReason.MANUAL);
+  });
+  $('#idle_continue_btn').addEventListener('click', () => idleMonitor.touch());
+  // The monitor follows the active frame.
+  controller.AddActiveFrameListener(controlledFrame => {
+    if (idleMonitor.running) attachIdleMonitor(controlledFrame);
+  });
+  applyIdleSettings();
+}
+
+// The monitor resets the active tab. Every other tab is cleared and closed,
+// so that nothing of the previous session is left in the background.
+async function resetBackgroundTabs() {
+  for (const tab of controller.GetFrameTabs()) {
+    if (tab.controlledFrame === controller.controlledFrame) continue;
+    try {
+      await clearAllData(tab.controlledFrame);
+    } catch (err) {
+      logger.error(`Idle monitor: ${err.message ?? err}`);
+    }
+    controller.CloseFrameTab(tab.id);
+  }
+}
+
+// Invalid settings are reported and leave the monitor as it was.
+async function applyIdleSettings() {
+  const options = {
+    idleTimeoutMs: Number($('#idle_timeout_in').value) * 1000,
+    warningMs: Number($('#idle_warning_in').value) * 1000,
+    homeUrl: $('#idle_home_in').value,
+  };
+  const error = validateIdleOptions(options);
+  if (error) {
+    $('#idle_status').innerText = `Not applied: ${error}`;
+    logger.error(`Idle monitor: ${error}`);
+    return;
+  }
+  Object.assign(idleMonitor.options, options);
+  if (!$('#idle_enabled_chk').checked) {
+    hideIdleWarning();
+    try {
+      await idleMonitor.detach();
+    } catch (err) {
+      logger.error(`Idle monitor: ${err.message ?? err}`);
+    }
+    $('#idle_status').innerText = 'Off';
+    return;
+  }
+  await attachIdleMonitor(controller.controlledFrame);
+}
+
+async function attachIdleMonitor(controlledFrame) {
+  hideIdleWarning();
+  try {
+    await idleMonitor.attach(controlledFrame);
+    const { idleTimeoutMs, homeUrl } = idleMonitor.options;
+    $('#idle_status').innerText =
+      `Resets to ${homeUrl} after ${idleTimeoutMs / 1000}s without input`;
+  } catch (err) {
+    $('#idle_status').innerText = 'Off';
+    logger.error(`Idle monitor: ${err.message ?? err}`);
+  }
+}
+
+function showIdleWarning(remainingMs) {
+  const deadline = Date.now() + remainingMs;
+  const update = () => {
+    const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    $('#idle_warning_text').innerText =
+      `No activity detected. The session resets in ${seconds}s.`;
+  };
+  update();
+  clearInterval(idleCountdown);
+  idleCountdown = setInterval(update, 1000);
+  $('#idle_warning').classList.remove('hide');
+  logger.warn(`Idle session, resetting in ${remainingMs / 1000}s`);
+}
+
+function hideIdleWarning() {
+  clearInterval(idleCountdown);
+  idleCountdown = null;
+  $('#idle_warning').classList.add('hide');
+}
+
+function logIdleReset(entry) {
+  const line = `${entry.time} ${entry.reason} reset after ` +
+    `${Math.round(entry.idleMs / 1000)}s idle, ${entry.url} -> ` +
+    `${entry.homeUrl}${entry.error ? ` failed: ${entry.error}` : ''}`;
+  const row = document.createElement('div');
+  row.innerText = line;
+  $('#idle_resets').prepend(row);
+  if (entry.error) {
+    logger.error(`Session reset: ${line}`);
+  } else {
+    logger.info(`Session reset: ${line}`);
+  }
 }
@@ -1,10 +1,56 @@
 #!/usr/bin/env python3
+"""Serves the test app and a deterministic fixture server for its tests.
 
+The test app is served from this directory on APP_PORT. The fixture server on
+FIXTURE_PORT answers scripted routes so that tests loaded into a
+<controlledframe> never depend on the internet:
+
+  /pages/<name>                       plain HTML page titled <name>
+  /redirect?status=301|302&hops=N&to=/pages/x
+                                      chain of N redirects ending at |to|
+  /status?code=N                      empty page with status N
+  /auth/basic?user=U&password=P       401 Basic challenge until authorized
+  /auth/digest?user=U&password=P      401 Digest challenge until authorized
+  /headers?header=Name:Value&...      page with the given response headers
+  /slow?delay=MS                      page sent after MS milliseconds
+  /stall?timeout=S                    never responds, closes after S seconds
+  /reset                              resets the connection
+  /popup?url=URL                      page that opens URL in a new window
+  /dialog?type=alert|confirm|prompt&message=M
+                                      page that shows a JavaScript dialog
+  /permission?type=geolocation|media|notifications|pointerLock|download
+                                      page that requests a permission
+
+Numeric parameters that aren't integers in range get a 400 response.
+"""
+
+import base64
+import hashlib
+import html
 import http.server
-import socketserver
+import os
+import secrets
+import socket
+import struct
+import sys
 import threading
+import time
+from urllib.parse import parse_qs, quote, urlparse
+
+HOST = "localhost"
+APP_PORT = 8000
+FIXTURE_PORT = 8001
+
+AUTH_REALM = "controlled-frame-fixtures"
+DEFAULT_USER = "user"
+DEFAULT_PASSWORD = "password"
+
 
 class HttpRequestHandler(http.server.SimpleHTTPRequestHandler):
+  def __init__(self, *args, **kwargs):
+    directory = os.path.dirname(os.path.abspath(__file__))
+    super().__init__(*args, directory=directory, **kwargs)
+
   def end_headers(self):
     # self.send_headers()
     http.server.SimpleHTTPRequestHandler.end_headers(self)
@@ -12,21 +58,264 @@ class HttpRequestHandler(http.server.SimpleHTTPRequestHandler):
   def send_headers(self):
     self.send_header("Service-Worker-Allowed", "/")
 
-handler = HttpRequestHandler
 
-HOST = "localhost"
-PORT = 8000
-server = socketserver.ThreadingTCPServer((HOST, PORT), handler)
+def html_page(title, body="", script=""):
+  title = html.escape(title)
+  if script:
+    script = "<script>\n" + script + "\n</script>"
+  return ("<!DOCTYPE html>\n<html>\n<head><meta charset=\"utf-8\">"
+          "<title>" + title + "</title></head>\n<body>\n<h1>" + title +
+          "</h1>\n" + body + "\n" + script + "\n</body>\n</html>\n")
+
+
+# Scripts for /permission, keyed by the <controlledframe> permission type.
+PERMISSION_SCRIPTS = {
+  "geolocation":
+    "navigator.geolocation.getCurrentPosition(\n"
+    "  () => report('granted'), () => report('denied'));",
+  "media":
+    "navigator.mediaDevices.getUserMedia({audio: true, video: true})\n"
+    "  .then(() => report('granted'), () => report('denied'));",
+  "notifications":
+    "Notification.requestPermission().then(report);",
+  "pointerLock":
+    "document.body.requestPointerLock();\n"
+    "document.addEventListener('pointerlockchange',\n"
+    "  () => report('granted'));\n"
+    "document.addEventListener('pointerlockerror', () => report('denied'));",
+  "download":
+    "const link = document.createElement('a');\n"
+    "link.href = '/headers?header=Content-Disposition:attachment';\n"
+    "link.download = 'fixture.html';\n"
+    "link.click();\n"
+    "report('requested');",
+}
+
+
+class BadRequest(Exception):
+  """A query parameter of a fixture route is invalid."""
+
+
+class FixtureRequestHandler(http.server.BaseHTTPRequestHandler):
+  # Keep connections short-lived so /stall and /reset only affect one request.
+  protocol_version = "HTTP/1.0"
+
+  def do_GET(self):
+    url = urlparse(self.path)
+    self.query = parse_qs(url.query)
+    routes = {
+      "/redirect": self.redirect,
+      "/status": self.status,
+      "/auth/basic": self.auth_basic,
+      "/auth/digest": self.auth_digest,
+      "/headers": self.headers_route,
+      "/slow": self.slow,
+      "/stall": self.stall,
+      "/reset": self.reset,
+      "/popup": self.popup,
+      "/dialog": self.dialog,
+      "/permission": self.permission,
+    }
+    if url.path in routes:
+      try:
+        routes[url.path]()
+      except BadRequest as e:
+        self.send_page(400, "bad request", html.escape(str(e)))
+    elif url.path.startswith("/pages/"):
+      self.send_page(200, url.path[len("/pages/"):] or "index")
+    elif url.path == "/":
+      self.send_page(200, "fixtures", "<pre>" + html.escape(__doc__) + "</pre>")
+    else:
+      self.send_page(404, "not found")
+
+  def param(self, name, default=None):
+    values = self.query.get(name)
+    return values[0] if values else default
+
+  # Raises BadRequest unless parameter |name| is an integer from |minimum| to
+  # |maximum|.
+  def int_param(self, name, default, minimum, maximum):
+    value = self.param(name, default)
+    try:
+      number = int(value)
+    except ValueError:
+      raise BadRequest("%s must be an integer, got %r" % (name, value))
+    if not minimum <= number <= maximum:
+      raise BadRequest("%s must be from %d to %d, got %d" % (
+          name, minimum, maximum, number))
+    return number
+
+  def send_page(self, code, title, body="", script="", headers=()):
+    content = html_page(title, body, script).encode("utf-8")
+    self.send_response(code)
+    self.send_header("Content-Type", "text/html; charset=utf-8")
+    self.send_header("Content-Length", str(len(content)))
+    self.send_header("Cache-Control", "no-store")
+    for name, value in headers:
+      self.send_header(name, value)
+    self.end_headers()
+    self.wfile.write(content)
+
+  # Routes
+  def redirect(self):
+    status = self.int_param("status", "302", 300, 399)
+    hops = self.int_param("hops", "1", 1, 20)
+    target = self.param("to", "/pages/redirected")
+    if hops > 1:
+      location = "/redirect?status=%d&hops=%d&to=%s" % (
+          status, hops - 1, quote(target, safe="/"))
+    else:
+      location = target
+    self.send_page(status, "redirect", headers=[("Location", location)])
+
+  def status(self):
+    code = self.int_param("code", "200", 200, 599)
+    self.send_page(code, "status " + str(code))
+
+  def auth_basic(self):
+    user = self.param("user", DEFAULT_USER)
+    password = self.param("password", DEFAULT_PASSWORD)
+    expected = "Basic " + base64.b64encode(
+        (user + ":" + password).encode("utf-8")).decode("ascii")
+    if self.headers.get("Authorization") == expected:
+      self.send_page(200, "authorized")
+      return
+    self.send_page(401, "unauthorized", headers=[
+      ("WWW-Authenticate", 'Basic realm="%s"' % AUTH_REALM)])
+
+  def auth_digest(self):
+    user = self.param("user", DEFAULT_USER)
+    password = self.param("password", DEFAULT_PASSWORD)
+    if self.check_digest(user, password):
+      self.send_page(200, "authorized")
+      return
+    challenge = 'Digest realm="%s", qop="auth", nonce="%s", opaque="%s"' % (
+        AUTH_REALM, secrets.token_hex(16), secrets.token_hex(16))
+    self.send_page(401, "unauthorized",
+                   headers=[("WWW-Authenticate", challenge)])
+
+  def check_digest(self, user, password):
+    authorization = self.headers.get("Authorization", "")
+    if not authorization.startswith("Digest "):
+      return False
+    fields = {}
+    for part in authorization[len("Digest "):].split(","):
+      name, _, value = part.strip().partition("=")
+      fields[name] = value.strip('"')
+    if fields.get("username") != user:
+      return False
+
+    def md5(value):
+      return hashlib.md5(value.encode("utf-8")).hexdigest()
+
+    ha1 = md5("%s:%s:%s" % (user, AUTH_REALM, password))
+    ha2 = md5("GET:%s" % fields.get("uri", ""))
+    expected = md5(":".join([ha1, fields.get("nonce", ""),
+                             fields.get("nc", ""), fields.get("cnonce", ""),
+                             fields.get("qop", ""), ha2]))
+    return fields.get("response") == expected
+
+  def headers_route(self):
+    headers = []
+    for header in self.query.get("header", []):
+      name, _, value = header.partition(":")
+      headers.append((name.strip(), value.strip()))
+    body = "<ul>" + "".join(
+        "<li>%s: %s</li>" % (html.escape(name), html.escape(value))
+        for name, value in headers) + "</ul>"
+    self.send_page(200, "headers", body, headers=headers)
+
+  def slow(self):
+    delay = self.int_param("delay", "2000", 0, 60000)
+    time.sleep(delay / 1000)
+    self.send_page(200, "slow")
+
+  def stall(self):
+    timeout = self.int_param("timeout", "300", 0, 3600)
+    time.sleep(timeout)
+    self.close_connection = True
+
+  def reset(self):
+    self.server.aborted.add(self.connection)
+    self.close_connection = True
+
+  def popup(self):
+    target = self.param("url", "/pages/popup")
+    body = '<a id="link" href="%s" target="_blank">open</a>' % (
+        html.escape(target))
+    script = "window.open(%s, %s);" % (
+        quote_js(target), quote_js(self.param("name", "fixture-popup")))
+    self.send_page(200, "popup", body, script)
+
+  def dialog(self):
+    dialog_type = self.param("type", "alert")
+    if dialog_type not in ("alert", "confirm", "prompt"):
+      self.send_page(400, "unknown dialog type")
+      return
+    message = self.param("message", dialog_type)
+    script = ("const result = %s(%s);\n"
+              "document.title = 'dialog result: ' + result;") % (
+        dialog_type, quote_js(message))
+    self.send_page(200, "dialog", script=script)
+
+  def permission(self):
+    permission = self.param("type", "geolocation")
+    if permission not in PERMISSION_SCRIPTS:
+      self.send_page(400, "unknown permission type")
+      return
+    script = ("function report(result) {\n"
+              "  document.title = 'permission result: ' + result;\n"
+              "}\n" + PERMISSION_SCRIPTS[permission])
+    self.send_page(200, "permission", script=script)
+
+
+def quote_js(value):
+  return "'" + value.replace("\\", "\\\\").replace("'", "\\'").replace(
+      "<", "\\x3c") + "'"
+
+
+class FixtureServer(http.server.ThreadingHTTPServer):
+  """Resets the connections in |aborted| instead of closing them."""
+
+  def __init__(self, *args, **kwargs):
+    super().__init__(*args, **kwargs)
+    self.aborted = set()
+
+  def shutdown_request(self, request):
+    if request not in self.aborted:
+      super().shutdown_request(request)
+      return
+    self.aborted.discard(request)
+    # SO_LINGER with a zero timeout makes close() send a RST, but only if
+    # the socket isn't shut down first, as the base class does.
+    request.setsockopt(socket.SOL_SOCKET, socket.SO_LINGER,
+                       struct.pack("ii", 1, 0))
+    request.close()
+
+
+def serve(handler, port):
+  server = FixtureServer((HOST, port), handler)
+  server.daemon_threads = True
+  thread = threading.Thread(target=server.serve_forever)
+  thread.daemon = True
+  thread.start()
+  return server
 
-print("Hosting a server at " + HOST + ":" + str(PORT))
-with server:
-    server_thread = threading.Thread(target=server.serve_forever())
-    server_thread.daemon = True
-    server_thread.start()
 
 def main():
-  print('hello')
-  pass
+  app_port = int(sys.argv[1]) if len(sys.argv) > 1 else APP_PORT
+  fixture_port = int(sys.argv[2]) if len(sys.argv) > 2 else FIXTURE_PORT
+  servers = [serve(HttpRequestHandler, app_port),
+             serve(FixtureRequestHandler, fixture_port)]
+  print("Hosting the test app at http://%s:%d" % (HOST, app_port))
+  print("Hosting the fixture server at http://%s:%d" % (HOST, fixture_port))
+  try:
+    while True:
+      time.sleep(3600)
+  except KeyboardInterrupt:
+    for server in servers:
+      server.shutdown()
+
 
 if __name__ == '__main__':
   main()
@@ -0,0 +1,231 @@
+import { $, downloadFile } from './common.js';
+import { IndexedDbSink, JsonlSink, LOG_LEVELS, toJsonl } from './logger.js';
+
+/**
+ * Renders the entries of a Logger in #log, newest first, filtered by level,
+ * frame and event name. Only the rows that are scrolled into view exist in
+ * the DOM, so the view stays fast with the full ring buffer in it. Clicking
+ * a row shows the whole entry in #log_details.
+ *
+ * The view also owns the download sinks: a JsonlSink behind the Download
+ * JSONL button and, while "Save to IndexedDB" is checked, an IndexedDbSink
+ * whose entries survive reloads of the app.
+ */
+
+// Height of a row in pixels, which must match .log-entry in style.css.
+const ROW_HEIGHT = 18;
+
+// Rows rendered above and below the visible ones, so that scrolling doesn't
+// show blank space before the next render.
+const OVERSCAN_ROWS = 10;
+
+const PERSIST_KEY = 'controlledframe-log-persist';
+
+function formatTime(time) {
+  return new Date(time).toISOString().slice(11, 23);
+}
+
+export class LogView {
+  constructor(logger) {
+    this.logger = logger;
+    this.jsonlSink = new JsonlSink();
+    this.indexedDbSink = new IndexedDbSink();
+    // Entries logged before the view existed are downloadable too.
+    for (const entry of logger.entries) this.jsonlSink.write(entry);
+    logger.addSink(this.jsonlSink);
+    logger.addListener(this.update.bind(this));
+
+    for (const level of LOG_LEVELS) {
+      $(`#log_level_${level}_chk`).addEventListener(
+        'change',
+        this.#refilter.bind(this)
+      );
+    }
+    $('#log_frame_in').addEventListener('change', this.#refilter.bind(this));
+    $('#log_event_in').addEventListener('input', this.#refilter.bind(this));
+    $('#log').addEventListener('scroll', this.#renderRows.bind(this));
+    $('#log_rows').addEventListener('click', this.#selectRow.bind(this));
+    $('#log_capacity_in').value = logger.capacity;
+    $('#log_capacity_in').addEventListener(
+      'change',
+      this.#setCapacity.bind(this)
+    );
+    $('#log_persist_chk').checked = localStorage.getItem(PERSIST_KEY) === '1';
+    $('#log_persist_chk').addEventListener(
+      'change',
+      this.#updatePersistence.bind(this)
+    );
+    $('#log_clear_btn').addEventListener('click', this.clear.bind(this));
+    $('#log_export_btn').addEventListener('click', () => {
+      this.jsonlSink.download();
+    });
+    $('#log_saved_btn').addEventListener(
+      'click',
+      this.downloadSaved.bind(this)
+    );
+    this.#updatePersistence();
+    this.render();
+  }
+
+  // Called by the logger for every new entry, and with null when entries are
+  // removed. Rendering is batched to once per animation frame.
+  update(entry) {
+    if (this.#renderPending) return;
+    this.#renderPending = true;
+    requestAnimationFrame(() => {
+      this.#renderPending = false;
+      this.render();
+    });
+  }
+
+  // Clears the logger and the JSONL sink. Entries saved in IndexedDB are
+  // kept.
+  clear() {
+    this.logger.clear();
+    this.jsonlSink.clear();
+    this.#selectedId = null;
+    this.render();
+  }
+
+  // Downloads the entries saved in IndexedDB, including those of earlier
+  // sessions. Failing to read them is logged.
+  async downloadSaved() {
+    let entries;
+    try {
+      entries = await this.indexedDbSink.list();
+    } catch (err) {
+      this.logger.error(`Reading the saved log failed: ${err?.message ?? err}`);
+      return;
+    }
+    const timeStamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(
+      `controlledframe_saved_log_${timeStamp}.jsonl`,
+      toJsonl(entries),
+      'application/jsonl'
+    );
+  }
+
+  render() {
+    this.#renderFrames();
+    this.#entries = this.#filteredEntries().reverse();
+    $('#log_rows').style.height = `${this.#entries.length * ROW_HEIGHT}px`;
+    $('#log_count').innerText =
+      `${this.#entries.length} / ${this.logger.entries.length} entries`;
+    this.#renderRows();
+    this.#renderDetails();
+  }
+
+  #refilter() {
+    $('#log').scrollTop = 0;
+    this.render();
+  }
+
+  #filteredEntries() {
+    const levels = LOG_LEVELS.filter(
+      level => $(`#log_level_${level}_chk`).checked);
+    const frameId = $('#log_frame_in').value;
+    const event = $('#log_event_in').value.toLowerCase();
+    return this.logger.entries.filter(entry =>
+      levels.includes(entry.level) &&
+      (frameId === '' || String(entry.source.frameId) === frameId) &&
+      (event === '' ||
+        (entry.source.event ?? '').toLowerCase().includes(event))
+    );
+  }
+
+  // Lists the frames that have entries in the frame filter, keeping the
+  // selection.
+  #renderFrames() {
+    const select = $('#log_frame_in');
+    const selected = select.value;
+    const frameIds = new Set();
+    for (const entry of this.logger.entries) {
+      if (entry.source.frameId !== null) frameIds.add(entry.source.frameId);
+    }
+    const all = document.createElement('option');
+    all.value = '';
+    all.innerText = 'all frames';
+    const options = [...frameIds].sort((a, b) => a - b).map(frameId => {
+      const option = document.createElement('option');
+      option.value = String(frameId);
+      option.innerText = `frame ${frameId}`;
+      return option;
+    });
+    select.replaceChildren(all, ...options);
+    select.value =
+      options.some(option => option.value === selected) ? selected : '';
+  }
+
+  // Renders the rows in and around the scrolled-to part of #log.
+  #renderRows() {
+    const log = $('#log');
+    const first = Math.max(
+      0, Math.floor(log.scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+    const last = Math.min(
+      this.#entries.length,
+      Math.ceil((log.scrollTop + log.clientHeight) / ROW_HEIGHT) +
+        OVERSCAN_ROWS
+    );
+    const rows = [];
+    for (let i = first; i < last; i++) {
+      rows.push(this.#renderRow(this.#entries[i], i));
+    }
+    $('#log_rows').replaceChildren(...rows);
+  }
+
+  #renderRow(entry, index) {
+    const row = document.createElement('div');
+    row.className = `log-entry log-${entry.level}`;
+    if (entry.id === this.#selectedId) row.classList.add('log-selected');
+    row.style.top = `${index * ROW_HEIGHT}px`;
+    row.dataset.id = entry.id;
+    const time = document.createElement('span');
+    time.className = 'log-time';
+    time.innerText = formatTime(entry.timestamp);
+    const source = document.createElement('span');
+    source.className = 'log-source';
+    source.innerText = [
+      entry.source.frameId === null ? '' : `frame ${entry.source.frameId}`,
+      entry.source.event ?? '',
+    ].filter(part => part).join(' ');
+    const message = document.createElement('span');
+    message.className = 'log-message';
+    message.innerText = entry.message;
+    row.append(time, source, message);
+    return row;
+  }
+
+  #renderDetails() {
+    const entry = this.#entries.find(entry => entry.id === this.#selectedId);
+    $('#log_details').innerText = entry ? JSON.stringify(entry, null, 2) : '';
+  }
+
+  #selectRow(e) {
+    const row = e.target.closest('.log-entry');
+    if (!row) return;
+    const id = Number(row.dataset.id);
+    this.#selectedId = id === this.#selectedId ? null : id;
+    this.#renderRows();
+    this.#renderDetails();
+  }
+
+  #setCapacity() {
+    const capacity = Number($('#log_capacity_in').value);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      $('#log_capacity_in').value = this.logger.capacity;
+      return;
+    }
+    this.logger.capacity = capacity;
+  }
+
+  #updatePersistence() {
+    const persist = $('#log_persist_chk').checked;
+    localStorage.setItem(PERSIST_KEY, persist ? '1' : '0');
+    this.logger.removeSink(this.indexedDbSink);
+    if (persist) this.logger.addSink(this.indexedDbSink);
+  }
+
+  #entries = [];
+  #renderPending = false;
+  #selectedId = null;
+}
@@ -0,0 +1,317 @@
+import {
+  IndexedDbConnection,
+  downloadFile,
+  promisifyRequest,
+} from './common.js';
+
+/**
+ * Structured logging.
+ *
+ * Every entry is
+ *
+ *   { id, timestamp, level, source: { frameId, event }, message, payload }
+ *
+ * where timestamp is in milliseconds since the epoch, source says which frame
+ * and which event the entry is about (either may be null), and payload is an
+ * optional JSON-serializable object with the details.
+ *
+ * A Logger keeps its most recent entries in a ring buffer, for views to read,
+ * and passes every entry to its sinks. A sink is any object with a
+ * write(entry) method: ConsoleSink prints to the developer console,
+ * IndexedDbSink stores entries across reloads and JsonlSink collects them for
+ * download as JSON Lines.
+ */
+
+export const LogLevel = {
+  EVENT: 'event',
+  INFO: 'info',
+  WARNING: 'warning',
+  ERROR: 'error',
+};
+
+export const LOG_LEVELS = Object.values(LogLevel);
+
+export const DEFAULT_LOG_CAPACITY = 5000;
+
+// The logging methods of Logger and of withSource() loggers.
+const LEVEL_METHODS = [
+  ['event', LogLevel.EVENT],
+  ['info', LogLevel.INFO],
+  ['warn', LogLevel.WARNING],
+  ['error', LogLevel.ERROR],
+];
+
+// A fixed-size buffer that drops its oldest item when a new one doesn't fit.
+export class RingBuffer {
+  constructor(capacity) {
+    this.#items = new Array(capacity);
+  }
+
+  get capacity() {
+    return this.#items.length;
+  }
+
+  // Changing the capacity keeps the newest items that fit.
+  set capacity(capacity) {
+    const items = this.toArray().slice(-capacity);
+    this.#items = new Array(capacity);
+    this.#start = 0;
+    this.#size = 0;
+    for (const item of items) this.push(item);
+  }
+
+  get size() {
+    return this.#size;
+  }
+
+  // The |index|th oldest item.
+  at(index) {
+    if (index < 0 || index >= this.#size) return undefined;
+    return this.#items[(this.#start + index) % this.#items.length];
+  }
+
+  push(item) {
+    const capacity = this.#items.length;
+    if (capacity === 0) return;
+    if (this.#size < capacity) {
+      this.#items[(this.#start + this.#size) % capacity] = item;
+      this.#size++;
+    } else {
+      this.#items[this.#start] = item;
+      this.#start = (this.#start + 1) % capacity;
+    }
+  }
+
+  // The items, oldest first.
+  toArray() {
+    return Array.from({ length: this.#size }, (_, i) => this.at(i));
+  }
+
+  clear() {
+    this.#items = new Array(this.#items.length);
+    this.#start = 0;
+    this.#size = 0;
+  }
+
+  #items;
+  #size = 0;
+  #start = 0;
+}
+
+// Returns |entries| as JSON Lines, one entry per line.
+export function toJsonl(entries) {
+  return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+}
+
+export class Logger {
+  constructor({ capacity = DEFAULT_LOG_CAPACITY, sinks = [] } = {}) {
+    this.#entries = new RingBuffer(capacity);
+    this.#sinks = [...sinks];
+    for (const [name, level] of LEVEL_METHODS) {
+      this[name] = (message, details) => this.log(level, message, details);
+    }
+  }
+
+  // How many entries are kept.
+  get capacity() {
+    return this.#entries.capacity;
+  }
+
+  set capacity(capacity) {
+    this.#entries.capacity = capacity;
+    this.#notify(null);
+  }
+
+  // The kept entries, oldest first.
+  get entries() {
+    return this.#entries.toArray();
+  }
+
+  get sinks() {
+    return [...this.#sinks];
+  }
+
+  addSink(sink) {
+    this.#sinks.push(sink);
+  }
+
+  removeSink(sink) {
+    this.#sinks = this.#sinks.filter(s => s !== sink);
+  }
+
+  // Calls |listener| with every new entry, and with null when entries are
+  // removed.
+  addListener(listener) {
+    this.#listeners.push(listener);
+  }
+
+  removeListener(listener) {
+    this.#listeners = this.#listeners.filter(l => l !== listener);
+  }
+
+  // Adds an entry. |source| may give frameId and event; |payload| is an
+  // object with the details. Returns the entry.
+  log(level, message, { source = {}, payload = null } = {}) {
+    const entry = {
+      id: this.#nextId++,
+      timestamp: Date.now(),
+      level,
+      source: { frameId: source.frameId ?? null, event: source.event ?? null },
+      message: String(message),
+      payload,
+    };
+    this.#entries.push(entry);
+    for (const sink of this.#sinks) {
+      try {
+        sink.write(entry);
+      } catch (err) {
+        console.error('log sink failed', err);
+      }
+    }
+    this.#notify(entry);
+    return entry;
+  }
+
+  // Returns an object with the event(), info(), warn() and error() methods
+  // of this logger that fill in the parts of the source the caller leaves
+  // out from |source|, or from the object |source| returns if it is a
+  // function.
+  withSource(source) {
+    const logger = {};
+    for (const [name, level] of LEVEL_METHODS) {
+      logger[name] = (message, details = {}) => this.log(level, message, {
+        ...details,
+        source: {
+          ...(typeof source === 'function' ? source() : source),
+          ...details.source,
+        },
+      });
+    }
+    return logger;
+  }
+
+  clear() {
+    this.#entries.clear();
+    this.#notify(null);
+  }
+
+  #notify(entry) {
+    for (const listener of this.#listeners) listener(entry);
+  }
+
+  #entries;
+  #listeners = [];
+  #nextId = 1;
+  #sinks;
+}
+
+/**
+ * Sinks
+ */
+
+// Prints entries to the developer console, prefixed with their level.
+export class ConsoleSink {
+  write({ level, message, payload }) {
+    const text = `${level.toUpperCase()}: ${message}`;
+    const args = payload === null ? [text] : [text, payload];
+    switch (level) {
+      case LogLevel.WARNING:
+        console.warn(...args);
+        break;
+      case LogLevel.ERROR:
+        console.error(...args);
+        break;
+      default:
+        console.log(...args);
+    }
+  }
+}
+
+const DB_NAME = 'controlledframe-log';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Stores entries in IndexedDB, keeping the newest |maxEntries|. Writes are
+// batched into one transaction per task. Entries are stored as their JSON,
+// since payloads such as events can't be cloned into IndexedDB as they are.
+export class IndexedDbSink {
+  constructor({ maxEntries = 50000 } = {}) {
+    this.maxEntries = maxEntries;
+  }
+
+  write(entry) {
+    this.#queue.push(JSON.parse(JSON.stringify(entry)));
+    if (this.#queue.length > 1) return;
+    setTimeout(() => {
+      this.#flush().catch(err => console.error('log sink failed', err));
+    });
+  }
+
+  // Resolves with the stored entries, oldest first.
+  async list() {
+    await this.#flush();
+    return this.#run('readonly', store => store.getAll());
+  }
+
+  async clear() {
+    this.#queue = [];
+    await this.#run('readwrite', store => store.clear());
+  }
+
+  async #flush() {
+    const entries = this.#queue;
+    if (entries.length === 0) return;
+    this.#queue = [];
+    const db = await this.#db.open();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    for (const entry of entries) store.add(entry);
+    const excess = await promisifyRequest(store.count()) - this.maxEntries;
+    if (excess > 0) {
+      const keys = await promisifyRequest(store.getAllKeys(null, excess));
+      store.delete(IDBKeyRange.bound(keys[0], keys[keys.length - 1]));
+    }
+  }
+
+  #run(mode, operation) {
+    return this.#db.run(STORE_NAME, mode, operation);
+  }
+
+  #db = new IndexedDbConnection(DB_NAME, DB_VERSION, db => {
+    db.createObjectStore(STORE_NAME, { autoIncrement: true });
+  });
+  #queue = [];
+}
+
+// Collects the newest |maxEntries| entries for download as JSON Lines.
+export class JsonlSink {
+  constructor({ maxEntries = 20000 } = {}) {
+    this.#entries = new RingBuffer(maxEntries);
+  }
+
+  write(entry) {
+    this.#entries.push(entry);
+  }
+
+  toJsonl() {
+    return toJsonl(this.#entries.toArray());
+  }
+
+  download(filename = null) {
+    const timeStamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(
+      filename ?? `controlledframe_log_${timeStamp}.jsonl`,
+      this.toJsonl(),
+      'application/jsonl'
+    );
+  }
+
+  clear() {
+    this.#entries.clear();
+  }
+
+  #entries;
+}
+
+// The app's logger. Pages add the sinks and views they want.
+export const logger = new Logger({ sinks: [new ConsoleSink()] });
@@ -0,0 +1,110 @@
+/**
+ * URL match patterns, as used by RequestFilter.urls and
+ * ContentScriptDetails.matches: "<all_urls>" or <scheme>://<host><path>, where
+ * scheme is "*", "http", "https", "file", "ftp" or "ws(s)", host is "*",
+ * "*.<domain>" or a host name with an optional port, and path may contain "*"
+ * wildcards.
+ */
+
+export const ALL_URLS = '<all_urls>';
+
+const SCHEMES = ['*', 'http', 'https', 'file', 'ftp', 'ws', 'wss'];
+const PATTERN_REGEXP = /^([^:]+):\/\/([^/]*)(\/.*)$/;
+
+function escapeRegExp(str) {
+  return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns an error message describing why |pattern| is not a valid match
+// pattern, or null if it is valid.
+export function validateMatchPattern(pattern) {
+  if (typeof pattern !== 'string') {
+    return `match pattern must be a string, got ${typeof pattern}`;
+  }
+  if (pattern === ALL_URLS) {
+    return null;
+  }
+  const match = PATTERN_REGEXP.exec(pattern);
+  if (!match) {
+    return `"${pattern}" is not of the form <scheme>://<host><path>`;
+  }
+  const [, scheme, host] = match;
+  if (!SCHEMES.includes(scheme)) {
+    return `"${pattern}" has unsupported scheme "${scheme}"`;
+  }
+  if (scheme !== 'file' && host.length === 0) {
+    return `"${pattern}" is missing a host`;
+  }
+  if (host.includes('*') && host !== '*' &&
+      !(host.startsWith('*.') && !host.slice(2).includes('*'))) {
+    return `"${pattern}" may only use "*" as the whole host or as a "*." prefix`;
+  }
+  return null;
+}
+
+export function isValidMatchPattern(pattern) {
+  return validateMatchPattern(pattern) === null;
+}
+
+// Converts a valid match pattern to a RegExp that matches whole URLs.
+export function matchPatternToRegExp(pattern) {
+  if (pattern === ALL_URLS) {
+    return /^(https?|file|ftp|wss?):\/\//;
+  }
+  const error = validateMatchPattern(pattern);
+  if (error) {
+    throw new TypeError(error);
+  }
+  const [, scheme, host, path] = PATTERN_REGEXP.exec(pattern);
+  const schemeSource = scheme === '*' ? 'https?' : escapeRegExp(scheme);
+  let hostSource;
+  if (host === '*') {
+    hostSource = '[^/]*';
+  } else if (host.startsWith('*.')) {
+    hostSource = `([^/]*\\.)?${escapeRegExp(host.slice(2))}`;
+  } else {
+    hostSource = escapeRegExp(host);
+  }
+  // A pattern without a port matches any port.
+  if (host !== '*' && !host.includes(':')) {
+    hostSource += '(:\\d+)?';
+  }
+  const pathSource = path.split('*').map(escapeRegExp).join('.*');
+  return new RegExp(`^${schemeSource}://${hostSource}${pathSource}$`);
+}
+
+// Returns true if |url| matches any of |patterns|.
+export function matchesAny(url, patterns) {
+  return patterns.some(pattern => matchPatternToRegExp(pattern).test(url));
+}
+
+// Returns an error message describing why |glob| is not a valid URL glob, as
+// used by ContentScriptDetails.include_globs and exclude_globs, or null if it
+// is valid. Globs match whole URLs; "*" matches any run of characters and "?"
+// any one character.
+export function validateGlob(glob) {
+  if (typeof glob !== 'string') {
+    return `glob must be a string, got ${typeof glob}`;
+  }
+  if (glob.length === 0) {
+    return 'glob must not be empty';
+  }
+  if (/\s/.test(glob)) {
+    return `"${glob}" must not contain whitespace`;
+  }
+  return null;
+}
+
+// Converts a valid glob to a RegExp that matches whole URLs.
+export function globToRegExp(glob) {
+  const error = validateGlob(glob);
+  if (error) {
+    throw new TypeError(error);
+  }
+  const source = glob.split(/([*?])/).map(part => {
+    if (part === '*') return '.*';
+    if (part === '?') return '.';
+    return escapeRegExp(part);
+  }).join('');
+  return new RegExp(`^${source}$`);
+}
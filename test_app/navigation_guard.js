@@ -0,0 +1,200 @@
+import { ControlledFrameAdapter } from './controlledframe_adapter.js';
+import { logger } from './logger.js';
+import { matchPatternToRegExp, validateMatchPattern } from './match_pattern.js';
+import { WebRequestListenerRegistry } from './web_request_registry.js';
+
+/**
+ * Restricts where <controlledframe> elements can navigate.
+ *
+ * A policy is JSON data with two lists of match patterns:
+ *
+ *   {
+ *     "allow": ["https://*.example.com/*"],
+ *     "block": ["https://example.com/admin/*"]
+ *   }
+ *
+ * A URL matching a "block" pattern is blocked. If "allow" has any patterns,
+ * a URL matching none of them is blocked too. Both lists are optional.
+ *
+ * The guard checks main_frame and sub_frame requests with a blocking
+ * onBeforeRequest listener, which covers navigations started by the page as
+ * well as src changes. The app can check a URL itself before setting src.
+ * Blocked top-level navigations are replaced with a block page loaded with
+ * loadDataWithBaseUrl(); blocked subframes show the browser's error page.
+ */
+
+export const DEFAULT_NAVIGATION_POLICY = {
+  allow: [],
+  block: [],
+};
+
+export class NavigationPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NavigationPolicyError';
+  }
+}
+
+function parsePatterns(patterns, name) {
+  if (patterns === undefined) return [];
+  if (!Array.isArray(patterns)) {
+    throw new NavigationPolicyError(`"${name}" must be an array`);
+  }
+  return patterns.map(pattern => {
+    const error = validateMatchPattern(pattern);
+    if (error) {
+      throw new NavigationPolicyError(`"${name}": ${error}`);
+    }
+    return { pattern, regExp: matchPatternToRegExp(pattern) };
+  });
+}
+
+// Validates |policy|, a policy object or its JSON, and returns it in a form
+// NavigationGuard uses. Throws a NavigationPolicyError describing the first
+// problem.
+export function parseNavigationPolicy(policy) {
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (e) {
+      throw new NavigationPolicyError(`policy is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!policy || typeof policy !== 'object') {
+    throw new NavigationPolicyError('policy must be an object');
+  }
+  return {
+    allow: parsePatterns(policy.allow, 'allow'),
+    block: parsePatterns(policy.block, 'block'),
+  };
+}
+
+function escapeHtml(str) {
+  return str.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// Returns a data: URL of the page shown instead of blocked |url|.
+export function buildBlockPage(url, reason) {
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Blocked</title>
+<style>
+  body { font-family: sans-serif; margin: 4em auto; max-width: 40em; }
+  code { overflow-wrap: anywhere; }
+</style>
+</head>
+<body>
+<h1>This page is blocked</h1>
+<p><code>${escapeHtml(url)}</code></p>
+<p>${escapeHtml(reason)}</p>
+</body>
+</html>`;
+  return `data:text/html;charset=utf-8,${encodeURIComponent(html)}`;
+}
+
+export class NavigationGuard {
+  // |onBlock| is called with the request details and the reason whenever a
+  // navigation is blocked.
+  constructor(onBlock = null) {
+    this.onBlock = onBlock;
+  }
+
+  get policy() {
+    return this.#policy;
+  }
+
+  get enabled() {
+    return this.#policy.allow.length > 0 || this.#policy.block.length > 0;
+  }
+
+  // Replaces the policy with |policy|. If it is invalid, throws a
+  // NavigationPolicyError and keeps the old policy.
+  load(policy) {
+    this.#policy = parseNavigationPolicy(policy);
+  }
+
+  clear() {
+    this.#policy = parseNavigationPolicy(DEFAULT_NAVIGATION_POLICY);
+  }
+
+  // Returns why |url| is blocked, or null if it is allowed. Only http(s) and
+  // ws(s) URLs are checked, as those are the ones onBeforeRequest sees.
+  check(url) {
+    if (!/^(https?|wss?):/.test(url)) return null;
+    const blocked = this.#policy.block.find(({ regExp }) => regExp.test(url));
+    if (blocked) {
+      return `It matches the blocked pattern ${blocked.pattern}.`;
+    }
+    if (this.#policy.allow.length > 0 &&
+        !this.#policy.allow.some(({ regExp }) => regExp.test(url))) {
+      return 'It is not on the list of allowed sites.';
+    }
+    return null;
+  }
+
+  // Starts guarding |controlledFrame|. Throws ApiUndefinedError if the
+  // request.* events are not available.
+  attach(controlledFrame) {
+    if (this.#frames.has(controlledFrame)) return;
+    const registry = new WebRequestListenerRegistry(controlledFrame);
+    registry.add(
+      'onBeforeRequest',
+      details => this.#onBeforeRequest(controlledFrame, details),
+      { urls: ['<all_urls>'], types: ['main_frame', 'sub_frame'] },
+      ['blocking']
+    );
+    const onLoadAbort = e => this.#onLoadAbort(controlledFrame, e);
+    controlledFrame.addEventListener('loadabort', onLoadAbort);
+    this.#frames.set(controlledFrame, {
+      registry,
+      onLoadAbort,
+      pendingBlock: null,
+    });
+  }
+
+  detach(controlledFrame) {
+    const state = this.#frames.get(controlledFrame);
+    if (!state) return;
+    state.registry.removeAll();
+    controlledFrame.removeEventListener('loadabort', state.onLoadAbort);
+    this.#frames.delete(controlledFrame);
+  }
+
+  // Shows the block page for |url| in |controlledFrame|, keeping |url| as the
+  // frame's visible URL.
+  showBlockPage(controlledFrame, url, reason) {
+    return new ControlledFrameAdapter(controlledFrame).call(
+      'loadDataWithBaseUrl', buildBlockPage(url, reason), url, url);
+  }
+
+  #onBeforeRequest(controlledFrame, details) {
+    const reason = this.check(details.url);
+    if (!reason) return {};
+    // Once the cancelled navigation has aborted, the block page replaces it.
+    if (details.type === 'main_frame') {
+      this.#frames.get(controlledFrame).pendingBlock = {
+        url: details.url,
+        reason,
+      };
+    }
+    if (this.onBlock) this.onBlock(details, reason);
+    return { cancel: true };
+  }
+
+  async #onLoadAbort(controlledFrame, e) {
+    const state = this.#frames.get(controlledFrame);
+    const block = state.pendingBlock;
+    if (e.isTopLevel === false || !block || e.url !== block.url) return;
+    state.pendingBlock = null;
+    try {
+      await this.showBlockPage(controlledFrame, block.url, block.reason);
+    } catch (err) {
+      logger.error(`navigation guard: block page failed: ${err.message ?? err}`);
+    }
+  }
+
+  #frames = new Map();
+  #policy = parseNavigationPolicy(DEFAULT_NAVIGATION_POLICY);
+}
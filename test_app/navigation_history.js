@@ -0,0 +1,178 @@
+/**
+ * Keeps a model of a <controlledframe>'s session history, built from its
+ * navigation events, and the progress of the current load.
+ *
+ * The events don't say whether a top-level loadcommit added an entry, went
+ * back or forward, or reloaded. Traversals started by the app are announced
+ * with expectTraversal(); any other commit to a new URL adds an entry after
+ * the current one and drops the forward entries, like a link click does. A
+ * commit to the current entry's URL is taken as a reload. Traversals the page
+ * makes itself, e.g. with history.back(), can't be told apart from new
+ * navigations; reconcile() with canGoBack() and canGoForward() trims entries
+ * the frame doesn't have.
+ */
+
+// How far along a load is after each of its events, from 0 to 1.
+const LOAD_PROGRESS = {
+  loadstart: 0.1,
+  loadredirect: 0.3,
+  loadcommit: 0.6,
+  contentload: 0.8,
+  loadstop: 1,
+};
+
+const EVENT_TYPES = [
+  'loadstart',
+  'loadredirect',
+  'loadcommit',
+  'loadabort',
+  'contentload',
+  'loadstop',
+];
+
+export class NavigationHistory {
+  // |onChange| is called with no arguments every time the history or the
+  // load state changes.
+  constructor(onChange = null) {
+    this.onChange = onChange;
+  }
+
+  // Starts following the events of |controlledFrame|, with an empty history.
+  attach(controlledFrame) {
+    for (const type of EVENT_TYPES) {
+      this.#controlledFrame?.removeEventListener(type, this.#onEvent);
+      controlledFrame.addEventListener(type, this.#onEvent);
+    }
+    this.#controlledFrame = controlledFrame;
+    this.clear();
+  }
+
+  // Entries are { url, committedAt }, oldest first.
+  get entries() {
+    return [...this.#entries];
+  }
+
+  get currentIndex() {
+    return this.#currentIndex;
+  }
+
+  get current() {
+    return this.#entries[this.#currentIndex] ?? null;
+  }
+
+  // Entries before the current one, nearest first, with the relativeIndex to
+  // pass to go().
+  get backEntries() {
+    return this.#entries.slice(0, Math.max(this.#currentIndex, 0))
+      .map((entry, i) => ({ ...entry, relativeIndex: i - this.#currentIndex }))
+      .reverse();
+  }
+
+  // Entries after the current one, nearest first, with the relativeIndex to
+  // pass to go().
+  get forwardEntries() {
+    return this.#entries.slice(this.#currentIndex + 1)
+      .map((entry, i) => ({ ...entry, relativeIndex: i + 1 }));
+  }
+
+  // { loading, progress, url, error } of the latest top-level load. url is
+  // the URL being loaded, following redirects.
+  get load() {
+    return { ...this.#load };
+  }
+
+  // Tells the model that the app called go(|relativeIndex|), back() (-1) or
+  // forward() (1), so that the next top-level commit moves through the
+  // existing entries instead of adding one.
+  expectTraversal(relativeIndex) {
+    this.#pendingTraversal = relativeIndex;
+  }
+
+  // Forgets an expected traversal, e.g. because go() failed.
+  cancelTraversal() {
+    this.#pendingTraversal = null;
+  }
+
+  // Drops entries that the frame reports it can't go back or forward to.
+  reconcile({ canGoBack, canGoForward }) {
+    let changed = false;
+    if (canGoForward === false &&
+        this.#currentIndex < this.#entries.length - 1) {
+      this.#entries.splice(this.#currentIndex + 1);
+      changed = true;
+    }
+    if (canGoBack === false && this.#currentIndex > 0) {
+      this.#entries.splice(0, this.#currentIndex);
+      this.#currentIndex = 0;
+      changed = true;
+    }
+    if (changed) this.#notify();
+  }
+
+  clear() {
+    this.#entries = [];
+    this.#currentIndex = -1;
+    this.#pendingTraversal = null;
+    this.#load = { loading: false, progress: 0, url: null, error: null };
+    this.#notify();
+  }
+
+  #commit(url) {
+    const entry = { url, committedAt: new Date().toISOString() };
+    const traversal = this.#pendingTraversal;
+    this.#pendingTraversal = null;
+    if (traversal !== null) {
+      const index = this.#currentIndex + traversal;
+      if (index >= 0 && index < this.#entries.length) {
+        this.#currentIndex = index;
+        this.#entries[index] = entry;
+        return;
+      }
+    }
+    if (this.current?.url === url) {
+      this.#entries[this.#currentIndex] = entry;
+      return;
+    }
+    this.#entries.splice(this.#currentIndex + 1, Infinity, entry);
+    this.#currentIndex = this.#entries.length - 1;
+  }
+
+  #onEvent = e => {
+    if (e.isTopLevel === false) return;
+    switch (e.type) {
+      case 'loadstart':
+        this.#load = { loading: true, progress: 0, url: e.url, error: null };
+        break;
+      case 'loadredirect':
+        this.#load.url = e.newUrl;
+        break;
+      case 'loadcommit':
+        this.#load.url = e.url;
+        this.#commit(e.url);
+        break;
+      case 'loadabort':
+        this.#pendingTraversal = null;
+        this.#load.loading = false;
+        this.#load.error = `${e.reason} (${e.url})`;
+        break;
+      case 'loadstop':
+        this.#load.loading = false;
+        break;
+    }
+    if (this.#load.loading || e.type === 'loadstop') {
+      this.#load.progress =
+        Math.max(this.#load.progress, LOAD_PROGRESS[e.type] ?? 0);
+    }
+    this.#notify();
+  };
+
+  #notify() {
+    if (this.onChange) this.onChange();
+  }
+
+  #controlledFrame = null;
+  #currentIndex = -1;
+  #entries = [];
+  #load = { loading: false, progress: 0, url: null, error: null };
+  #pendingTraversal = null;
+}
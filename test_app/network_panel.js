@@ -0,0 +1,169 @@
+import { $, downloadFile } from './common.js';
+import { buildHar } from './har.js';
+import { RequestState } from './network_recorder.js';
+
+/**
+ * Renders the records of a NetworkRecorder as a table with one row per
+ * request, and the details of the selected request below it. Rows can be
+ * filtered by resource type and state, and searched by URL, method, status
+ * and header text. All recorded traffic can be downloaded as a HAR file.
+ */
+
+function formatDuration(ms) {
+  return ms === null ? '' : `${Math.round(ms)} ms`;
+}
+
+function formatHeaders(headers) {
+  if (!headers) return '  (not recorded)';
+  return headers.map(h => `  ${h.name}: ${h.value ?? ''}`).join('\n');
+}
+
+function getStatusText(record) {
+  if (record.state === RequestState.ERROR) return record.error;
+  const hop = record.hops[record.hops.length - 1];
+  return hop.statusLine ?? (hop.statusCode ?? 'pending').toString();
+}
+
+// Returns the text that searches are matched against.
+function getSearchText(record) {
+  const parts = [record.method, record.type, record.error ?? ''];
+  for (const hop of record.hops) {
+    parts.push(hop.url, hop.statusLine ?? '');
+    for (const h of [...(hop.requestHeaders ?? []),
+                     ...(hop.responseHeaders ?? [])]) {
+      parts.push(`${h.name}: ${h.value ?? ''}`);
+    }
+  }
+  return parts.join('\n').toLowerCase();
+}
+
+export class NetworkPanel {
+  constructor(recorder) {
+    this.recorder = recorder;
+    $('#network_search_in').addEventListener('input', this.render.bind(this));
+    $('#network_type_in').addEventListener('change', this.render.bind(this));
+    $('#network_state_in').addEventListener('change', this.render.bind(this));
+    $('#network_clear_btn').addEventListener('click', this.clear.bind(this));
+    $('#network_har_btn').addEventListener('click', this.exportHar.bind(this));
+  }
+
+  // Called by the recorder whenever a record changes. Rendering is batched to
+  // once per animation frame, as a single page load fires many events.
+  update(record) {
+    if (this.#renderPending) return;
+    this.#renderPending = true;
+    requestAnimationFrame(() => {
+      this.#renderPending = false;
+      this.render();
+    });
+  }
+
+  clear() {
+    this.recorder.clear();
+    this.#selectedRequestId = null;
+    this.render();
+  }
+
+  exportHar() {
+    const har = buildHar(this.recorder.records, this.recorder.pages);
+    const timeStamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(
+      `controlledframe_${timeStamp}.har`,
+      JSON.stringify(har, null, 2)
+    );
+  }
+
+  render() {
+    const search = $('#network_search_in').value.trim().toLowerCase();
+    const type = $('#network_type_in').value;
+    const state = $('#network_state_in').value;
+    const records = this.recorder.records.filter(record =>
+      (type === '' || record.type === type) &&
+      (state === '' || record.state === state) &&
+      (search === '' || getSearchText(record).includes(search))
+    );
+
+    const rows = records.map(record => this.#renderRow(record));
+    $('#network_rows').replaceChildren(...rows);
+    $('#network_count').innerText =
+      `${records.length} / ${this.recorder.records.length} requests`;
+    this.#renderDetails();
+  }
+
+  #renderRow(record) {
+    const row = document.createElement('tr');
+    row.className = `network-${record.state}`;
+    if (record.requestId === this.#selectedRequestId) {
+      row.classList.add('network-selected');
+    }
+    const redirects = record.hops.length - 1;
+    const cells = [
+      record.method,
+      record.hops[record.hops.length - 1].url,
+      record.type,
+      getStatusText(record),
+      redirects > 0 ? `${redirects}` : '',
+      formatDuration(
+        record.endTime === null ? null : record.endTime - record.startTime
+      ),
+    ];
+    for (const text of cells) {
+      const cell = document.createElement('td');
+      cell.innerText = text;
+      row.appendChild(cell);
+    }
+    row.addEventListener('click', () => {
+      this.#selectedRequestId = record.requestId;
+      this.render();
+    });
+    return row;
+  }
+
+  #renderDetails() {
+    const record = this.recorder.get(this.#selectedRequestId);
+    if (!record) {
+      $('#network_details').innerText = '';
+      return;
+    }
+
+    let text =
+      `Request ${record.requestId}: ${record.method} ${record.url}\n` +
+      `type = ${record.type}, frameId = ${record.frameId}, ` +
+      `state = ${record.state}\n`;
+    if (record.error) {
+      text += `error = ${record.error}\n`;
+    }
+    if (record.hops.length > 1) {
+      text += 'Redirect chain:\n';
+      for (const hop of record.hops) {
+        text += `  ${hop.statusCode ?? '...'} ${hop.url}\n`;
+      }
+    }
+
+    record.hops.forEach((hop, i) => {
+      text += `\n[${i + 1}/${record.hops.length}] ${hop.method} ${hop.url}\n`;
+      if (hop.statusLine) {
+        text += `status = ${hop.statusLine}`;
+        if (hop.fromCache) text += ' (from cache)';
+        if (hop.ip) text += `, ip = ${hop.ip}`;
+        text += '\n';
+      }
+      if (hop.redirectUrl) {
+        text += `redirectUrl = ${hop.redirectUrl}\n`;
+      }
+      if (hop.authChallenge) {
+        text += `auth challenge = ${JSON.stringify(hop.authChallenge)}\n`;
+      }
+      text += 'Timings:\n';
+      for (const [eventName, timeStamp] of Object.entries(hop.timings)) {
+        text += `  ${eventName} +${formatDuration(timeStamp - record.startTime)}\n`;
+      }
+      text += `Request headers:\n${formatHeaders(hop.requestHeaders)}\n`;
+      text += `Response headers:\n${formatHeaders(hop.responseHeaders)}\n`;
+    });
+    $('#network_details').innerText = text;
+  }
+
+  #renderPending = false;
+  #selectedRequestId = null;
+}
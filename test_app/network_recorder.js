@@ -0,0 +1,199 @@
+import { WebRequestListenerRegistry } from './web_request_registry.js';
+
+/**
+ * Records the request.* web request events of a <controlledframe> and groups
+ * them by requestId.
+ *
+ * Each request is one record. A request that is redirected keeps its
+ * requestId, so a record holds one "hop" per URL in its redirect chain, each
+ * with its own headers, status and per-stage timestamps.
+ *
+ * Top-level loadcommit events start a new page. Every record is tagged with
+ * the id of the page it belongs to in |pageref|.
+ */
+
+// Every web request event, in the order they fire for a request, with the
+// extraInfoSpec needed to see headers.
+export const WEB_REQUEST_EVENTS = [
+  ['onBeforeRequest', []],
+  ['onBeforeSendHeaders', ['requestHeaders', 'extraHeaders']],
+  ['onSendHeaders', ['requestHeaders', 'extraHeaders']],
+  ['onHeadersReceived', ['responseHeaders', 'extraHeaders']],
+  ['onAuthRequired', ['responseHeaders', 'extraHeaders']],
+  ['onBeforeRedirect', ['responseHeaders', 'extraHeaders']],
+  ['onResponseStarted', ['responseHeaders', 'extraHeaders']],
+  ['onCompleted', ['responseHeaders', 'extraHeaders']],
+  ['onErrorOccurred', ['extraHeaders']],
+];
+
+export const RequestState = {
+  PENDING: 'pending',
+  COMPLETE: 'complete',
+  ERROR: 'error',
+};
+
+function createHop(details) {
+  return {
+    url: details.url,
+    method: details.method,
+    requestHeaders: null,
+    responseHeaders: null,
+    statusCode: null,
+    statusLine: null,
+    redirectUrl: null,
+    authChallenge: null,
+    fromCache: false,
+    ip: null,
+    timings: {},
+  };
+}
+
+export class NetworkRecorder {
+  // |onChange| is called with the record every time it changes.
+  constructor(onChange = null) {
+    this.onChange = onChange;
+  }
+
+  // Starts recording the events of |controlledFrame|. Records from a
+  // previously attached frame are kept. Throws ApiUndefinedError if the
+  // request.* events are not available.
+  attach(controlledFrame) {
+    this.#registry?.removeAll();
+    this.#controlledFrame?.removeEventListener('loadcommit', this.#onLoadCommit);
+    this.#controlledFrame?.removeEventListener('loadstop', this.#onLoadStop);
+    this.#controlledFrame = controlledFrame;
+    controlledFrame.addEventListener('loadcommit', this.#onLoadCommit);
+    controlledFrame.addEventListener('loadstop', this.#onLoadStop);
+    this.#registry = new WebRequestListenerRegistry(controlledFrame);
+    for (const [eventName, extraInfoSpec] of WEB_REQUEST_EVENTS) {
+      this.#registry.add(
+        eventName,
+        details => this.#record(eventName, details),
+        { urls: ['<all_urls>'] },
+        extraInfoSpec
+      );
+    }
+  }
+
+  get records() {
+    return [...this.#records.values()];
+  }
+
+  get(requestId) {
+    return this.#records.get(requestId);
+  }
+
+  get pages() {
+    return [...this.#pages];
+  }
+
+  clear() {
+    this.#records.clear();
+    this.#pages = [];
+  }
+
+  #onLoadCommit = e => {
+    if (e.isTopLevel === false) return;
+    const page = {
+      id: `page_${this.#nextPageId++}`,
+      url: e.url,
+      startTime: Date.now(),
+      loadTime: null,
+    };
+    this.#pages.push(page);
+
+    // The main_frame request that led to this commit started before the
+    // page did, so move it over.
+    const mainFrameRecord = this.records.findLast(
+      record => record.type === 'main_frame' &&
+        record.hops[record.hops.length - 1].url === e.url
+    );
+    if (mainFrameRecord) {
+      mainFrameRecord.pageref = page.id;
+      page.startTime = Math.min(page.startTime, mainFrameRecord.startTime);
+    }
+  };
+
+  #onLoadStop = e => {
+    const page = this.#pages[this.#pages.length - 1];
+    if (page && page.loadTime === null) {
+      page.loadTime = Date.now();
+    }
+  };
+
+  #record(eventName, details) {
+    let record = this.#records.get(details.requestId);
+    if (!record) {
+      record = {
+        requestId: details.requestId,
+        method: details.method,
+        type: details.type,
+        frameId: details.frameId,
+        url: details.url,
+        pageref: this.#pages[this.#pages.length - 1]?.id ?? null,
+        state: RequestState.PENDING,
+        error: null,
+        startTime: details.timeStamp,
+        endTime: null,
+        hops: [createHop(details)],
+      };
+      this.#records.set(details.requestId, record);
+    }
+    let hop = record.hops[record.hops.length - 1];
+
+    switch (eventName) {
+      case 'onBeforeRequest':
+        // A request that was redirected starts again with the new URL.
+        if (hop.redirectUrl !== null) {
+          hop = createHop(details);
+          record.hops.push(hop);
+        }
+        break;
+      case 'onBeforeSendHeaders':
+      case 'onSendHeaders':
+        hop.requestHeaders = details.requestHeaders ?? hop.requestHeaders;
+        break;
+      case 'onAuthRequired':
+        hop.authChallenge = {
+          scheme: details.scheme,
+          realm: details.realm,
+          challenger: details.challenger,
+          isProxy: details.isProxy,
+        };
+        // Falls through to record the 401/407 response.
+      case 'onHeadersReceived':
+      case 'onResponseStarted':
+      case 'onCompleted':
+        hop.responseHeaders = details.responseHeaders ?? hop.responseHeaders;
+        hop.statusCode = details.statusCode ?? hop.statusCode;
+        hop.statusLine = details.statusLine ?? hop.statusLine;
+        hop.fromCache = details.fromCache ?? hop.fromCache;
+        hop.ip = details.ip ?? hop.ip;
+        break;
+      case 'onBeforeRedirect':
+        hop.responseHeaders = details.responseHeaders ?? hop.responseHeaders;
+        hop.statusCode = details.statusCode;
+        hop.statusLine = details.statusLine;
+        hop.redirectUrl = details.redirectUrl;
+        break;
+    }
+    hop.timings[eventName] = details.timeStamp;
+
+    if (eventName === 'onCompleted') {
+      record.state = RequestState.COMPLETE;
+      record.endTime = details.timeStamp;
+    } else if (eventName === 'onErrorOccurred') {
+      record.state = RequestState.ERROR;
+      record.error = details.error;
+      record.endTime = details.timeStamp;
+    }
+
+    if (this.onChange) this.onChange(record);
+  }
+
+  #controlledFrame = null;
+  #nextPageId = 1;
+  #pages = [];
+  #records = new Map();
+  #registry = null;
+}
@@ -0,0 +1,145 @@
+import { ALL_URLS, matchPatternToRegExp, validateMatchPattern } from './match_pattern.js';
+
+/**
+ * Decides what happens to a window opened from inside a <controlledframe>,
+ * e.g. by window.open() or a link with target="_blank".
+ *
+ * A policy is JSON data:
+ *
+ *   {
+ *     "defaultAction": "tab",
+ *     "rules": [
+ *       { "urlPatterns": ["https://accounts.example.com/*"], "action": "panel" },
+ *       { "urlPatterns": ["https://ads.example.com/*"], "action": "discard" },
+ *       { "dispositions": ["new_background_tab"], "action": "same-frame" }
+ *     ]
+ *   }
+ *
+ * The first rule whose conditions all match the new window decides; if none
+ * does, defaultAction applies. urlPatterns are match patterns checked against
+ * the target URL and dispositions are windowOpenDisposition values. Both are
+ * optional.
+ */
+
+export const NewWindowAction = {
+  // Closes the new window.
+  DISCARD: 'discard',
+  // Attaches the new window to a <controlledframe> in a new tab.
+  TAB: 'tab',
+  // Attaches the new window to a <controlledframe> in a floating panel.
+  PANEL: 'panel',
+  // Closes the new window and navigates the opener's frame to its URL.
+  SAME_FRAME: 'same-frame',
+};
+
+export const WINDOW_OPEN_DISPOSITIONS = [
+  'ignore',
+  'save_to_disk',
+  'current_tab',
+  'new_background_tab',
+  'new_foreground_tab',
+  'new_window',
+  'new_popup',
+];
+
+export const DEFAULT_NEW_WINDOW_POLICY = {
+  defaultAction: NewWindowAction.TAB,
+  rules: [],
+};
+
+export class NewWindowPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NewWindowPolicyError';
+  }
+}
+
+function validateAction(action, where) {
+  if (!Object.values(NewWindowAction).includes(action)) {
+    throw new NewWindowPolicyError(
+      `${where}: action must be one of ` +
+      Object.values(NewWindowAction).join(', '));
+  }
+}
+
+function parseRule(rule, index) {
+  const where = `rules[${index}]`;
+  if (!rule || typeof rule !== 'object') {
+    throw new NewWindowPolicyError(`${where} must be an object`);
+  }
+  validateAction(rule.action, where);
+
+  let urlPatterns = null;
+  if (rule.urlPatterns !== undefined) {
+    if (!Array.isArray(rule.urlPatterns)) {
+      throw new NewWindowPolicyError(`${where}.urlPatterns must be an array`);
+    }
+    for (const pattern of rule.urlPatterns) {
+      const error = validateMatchPattern(pattern);
+      if (error) {
+        throw new NewWindowPolicyError(`${where}.urlPatterns: ${error}`);
+      }
+    }
+    if (!rule.urlPatterns.includes(ALL_URLS)) {
+      urlPatterns = rule.urlPatterns.map(matchPatternToRegExp);
+    }
+  }
+
+  let dispositions = null;
+  if (rule.dispositions !== undefined) {
+    if (!Array.isArray(rule.dispositions)) {
+      throw new NewWindowPolicyError(`${where}.dispositions must be an array`);
+    }
+    for (const disposition of rule.dispositions) {
+      if (!WINDOW_OPEN_DISPOSITIONS.includes(disposition)) {
+        throw new NewWindowPolicyError(
+          `${where}.dispositions: unknown disposition "${disposition}"`);
+      }
+    }
+    dispositions = rule.dispositions;
+  }
+
+  return { action: rule.action, urlPatterns, dispositions };
+}
+
+// Validates |policy|, a policy object or its JSON, and returns it in a form
+// resolveNewWindowAction() accepts. Throws a NewWindowPolicyError describing
+// the first problem.
+export function parseNewWindowPolicy(policy) {
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (e) {
+      throw new NewWindowPolicyError(`policy is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!policy || typeof policy !== 'object') {
+    throw new NewWindowPolicyError('policy must be an object');
+  }
+  const defaultAction =
+    policy.defaultAction ?? DEFAULT_NEW_WINDOW_POLICY.defaultAction;
+  validateAction(defaultAction, 'defaultAction');
+  const rules = policy.rules ?? [];
+  if (!Array.isArray(rules)) {
+    throw new NewWindowPolicyError('policy.rules must be an array');
+  }
+  return { defaultAction, rules: rules.map(parseRule) };
+}
+
+// Returns the action |policy| (from parseNewWindowPolicy()) takes for a new
+// window to |targetUrl| opened with |windowOpenDisposition|.
+export function resolveNewWindowAction(
+    policy, targetUrl, windowOpenDisposition) {
+  for (const rule of policy.rules) {
+    if (rule.urlPatterns &&
+        !rule.urlPatterns.some(regExp => regExp.test(targetUrl))) {
+      continue;
+    }
+    if (rule.dispositions &&
+        !rule.dispositions.includes(windowOpenDisposition)) {
+      continue;
+    }
+    return rule.action;
+  }
+  return policy.defaultAction;
+}
@@ -0,0 +1,229 @@
+import { IndexedDbConnection } from './common.js';
+
+/**
+ * Decides permissionrequest events from a <controlledframe>.
+ *
+ * A policy is JSON data:
+ *
+ *   {
+ *     "defaults": { "geolocation": "prompt", "*": "deny" },
+ *     "origins": {
+ *       "https://maps.example.com": { "geolocation": "allow" },
+ *       "https://ads.example.com": { "*": "deny" }
+ *     }
+ *   }
+ *
+ * Each permission type, or "*" for every type, maps to "allow", "deny" or
+ * "prompt". For a request, the first of these that is set decides:
+ * origins[origin][type], origins[origin]["*"], defaults[type], defaults["*"].
+ * Without any of them the request is denied.
+ *
+ * The policy and an audit log of every decision are kept in IndexedDB, so
+ * they persist across restarts of the app.
+ */
+
+const DB_NAME = 'controlledframe-permissions';
+const DB_VERSION = 1;
+const POLICY_STORE = 'policy';
+const POLICY_KEY = 'policy';
+const AUDIT_STORE = 'audit';
+const ANY_PERMISSION = '*';
+
+export const PermissionDecision = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+  PROMPT: 'prompt',
+};
+
+// Who made a decision in the audit log.
+export const DecisionSource = {
+  POLICY: 'policy',
+  USER: 'user',
+};
+
+export const PERMISSION_TYPES = [
+  'media',
+  'geolocation',
+  'pointerLock',
+  'download',
+  'filesystem',
+  'fullscreen',
+  'hid',
+  'loadplugin',
+];
+
+export const DEFAULT_PERMISSION_POLICY = {
+  defaults: {
+    [ANY_PERMISSION]: PermissionDecision.PROMPT,
+  },
+  origins: {},
+};
+
+export class PermissionPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermissionPolicyError';
+  }
+}
+
+function parseDecisions(decisions, where) {
+  if (!decisions || typeof decisions !== 'object' ||
+      Array.isArray(decisions)) {
+    throw new PermissionPolicyError(`${where} must be an object`);
+  }
+  for (const [type, decision] of Object.entries(decisions)) {
+    if (type !== ANY_PERMISSION && !PERMISSION_TYPES.includes(type)) {
+      throw new PermissionPolicyError(
+        `${where}: unknown permission type "${type}"`);
+    }
+    if (!Object.values(PermissionDecision).includes(decision)) {
+      throw new PermissionPolicyError(
+        `${where}.${type} must be one of ` +
+        Object.values(PermissionDecision).join(', '));
+    }
+  }
+  return { ...decisions };
+}
+
+function parseOrigin(origin) {
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (_) {
+    throw new PermissionPolicyError(`"${origin}" is not a valid origin`);
+  }
+  if (url.origin !== origin) {
+    throw new PermissionPolicyError(
+      `"${origin}" is not an origin, did you mean "${url.origin}"?`);
+  }
+  return origin;
+}
+
+// Validates |policy|, a policy object or its JSON, and returns a copy of it.
+// Throws a PermissionPolicyError describing the first problem.
+export function parsePermissionPolicy(policy) {
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (e) {
+      throw new PermissionPolicyError(
+        `policy is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!policy || typeof policy !== 'object') {
+    throw new PermissionPolicyError('policy must be an object');
+  }
+  const origins = {};
+  for (const [origin, decisions] of Object.entries(policy.origins ?? {})) {
+    origins[parseOrigin(origin)] =
+      parseDecisions(decisions, `origins["${origin}"]`);
+  }
+  return {
+    defaults: parseDecisions(policy.defaults ?? {}, 'defaults'),
+    origins,
+  };
+}
+
+// Returns the origin of |url|, or null for URLs without one, such as
+// data: URLs.
+export function originOf(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? null : origin;
+  } catch (_) {
+    return null;
+  }
+}
+
+// The policy and audit log in IndexedDB. Audit entries are
+// { id, timestamp, frame, permission, origin, url, decision, source }.
+export class PermissionStore {
+  async getPolicy() {
+    return this.#db.run(POLICY_STORE, 'readonly',
+      store => store.get(POLICY_KEY));
+  }
+
+  async putPolicy(policy) {
+    await this.#db.run(POLICY_STORE, 'readwrite',
+      store => store.put(policy, POLICY_KEY));
+  }
+
+  async addAuditEntry(entry) {
+    return this.#db.run(AUDIT_STORE, 'readwrite', store => store.add(entry));
+  }
+
+  async listAuditEntries() {
+    return this.#db.run(AUDIT_STORE, 'readonly', store => store.getAll());
+  }
+
+  async clearAuditEntries() {
+    await this.#db.run(AUDIT_STORE, 'readwrite', store => store.clear());
+  }
+
+  #db = new IndexedDbConnection(DB_NAME, DB_VERSION, db => {
+    db.createObjectStore(POLICY_STORE);
+    db.createObjectStore(AUDIT_STORE, { keyPath: 'id', autoIncrement: true });
+  });
+}
+
+export class PermissionPolicy {
+  constructor(store = new PermissionStore()) {
+    this.store = store;
+  }
+
+  get policy() {
+    return this.#policy;
+  }
+
+  // Loads the stored policy. Falls back to the default policy if none was
+  // stored or the stored one is no longer valid.
+  async load() {
+    const stored = await this.store.getPolicy();
+    try {
+      this.#policy = parsePermissionPolicy(
+        stored ?? DEFAULT_PERMISSION_POLICY);
+    } catch (_) {
+      this.#policy = parsePermissionPolicy(DEFAULT_PERMISSION_POLICY);
+    }
+    return this.#policy;
+  }
+
+  // Validates and stores |policy|. Throws a PermissionPolicyError if it isn't
+  // valid.
+  async setPolicy(policy) {
+    const parsed = parsePermissionPolicy(policy);
+    await this.store.putPolicy(parsed);
+    this.#policy = parsed;
+    return parsed;
+  }
+
+  // Returns the decision for |permission| requested by |origin|, which may be
+  // null.
+  decide(permission, origin) {
+    const { defaults, origins } = this.#policy;
+    const forOrigin = (origin && origins[origin]) ?? {};
+    return forOrigin[permission] ?? forOrigin[ANY_PERMISSION] ??
+      defaults[permission] ?? defaults[ANY_PERMISSION] ??
+      PermissionDecision.DENY;
+  }
+
+  // Stores |decision| for |permission| requested by |origin|, so that it is
+  // made without asking next time.
+  async remember(permission, origin, decision) {
+    const policy = structuredClone(this.#policy);
+    policy.origins[origin] = {
+      ...policy.origins[origin],
+      [permission]: decision,
+    };
+    return this.setPolicy(policy);
+  }
+
+  // Adds |entry| to the audit log, with the current time.
+  async audit(entry) {
+    const timestamped = { timestamp: new Date().toISOString(), ...entry };
+    timestamped.id = await this.store.addAuditEntry(timestamped);
+    return timestamped;
+  }
+
+  #policy = parsePermissionPolicy(DEFAULT_PERMISSION_POLICY);
+}
@@ -0,0 +1,46 @@
+import { PermissionDecision } from './permission_policy.js';
+
+/**
+ * Asks the user about permission requests that the policy leaves to a
+ * prompt. Each request gets a bar above the frames with Allow and Deny
+ * buttons and an option to remember the answer for the origin.
+ */
+export class PermissionPrompt {
+  constructor(container) {
+    this.container = container;
+  }
+
+  // Shows a prompt for |permission| requested by |origin| in frame |frame|.
+  // Resolves with { decision, remember } once the user answers.
+  ask({ frame, permission, origin, url }) {
+    return new Promise(resolve => {
+      const bar = document.createElement('div');
+      bar.className = 'permission-prompt';
+
+      const text = document.createElement('span');
+      text.innerText =
+        `${frame}: ${origin ?? url ?? 'This page'} wants to use ${permission}`;
+      text.title = url ?? '';
+
+      const rememberLabel = document.createElement('label');
+      const remember = document.createElement('input');
+      remember.type = 'checkbox';
+      remember.disabled = !origin;
+      rememberLabel.append(remember, ' Remember');
+
+      const answer = decision => {
+        bar.remove();
+        resolve({ decision, remember: remember.checked });
+      };
+      const allow = document.createElement('button');
+      allow.innerText = 'Allow';
+      allow.addEventListener('click', () => answer(PermissionDecision.ALLOW));
+      const deny = document.createElement('button');
+      deny.innerText = 'Deny';
+      deny.addEventListener('click', () => answer(PermissionDecision.DENY));
+
+      bar.append(text, rememberLabel, allow, deny);
+      this.container.appendChild(bar);
+    });
+  }
+}
@@ -0,0 +1,412 @@
+import { ALL_URLS, matchPatternToRegExp, validateMatchPattern } from './match_pattern.js';
+import { WebRequestListenerRegistry } from './web_request_registry.js';
+
+/**
+ * Declarative request rules for a <controlledframe>.
+ *
+ * A ruleset is JSON data:
+ *
+ *   {
+ *     "rules": [{
+ *       "id": 1,
+ *       "priority": 2,
+ *       "condition": {
+ *         "urlPatterns": ["https://*.example.com/*"],
+ *         "resourceTypes": ["main_frame", "sub_frame"],
+ *         "requestMethods": ["GET"]
+ *       },
+ *       "action": { "type": "block" }
+ *     }]
+ *   }
+ *
+ * Action types are "block", "redirect" (with "redirectUrl"), "modifyHeaders"
+ * (with "requestHeaders" and/or "responseHeaders", each a list of
+ * {"header", "operation": "set" | "append" | "remove", "value"}) and "allow".
+ *
+ * For each request, the matching rule with the highest priority decides
+ * between block, redirect and allow; on a tie, allow wins over block and
+ * block over redirect. modifyHeaders rules apply unless a matching allow rule
+ * has the same or a higher priority; where several change the same header,
+ * the one with the highest priority wins. All conditions are optional; a rule
+ * without urlPatterns matches every URL.
+ *
+ * RequestRuleEngine compiles a ruleset into at most one listener each on
+ * request.onBeforeRequest, onBeforeSendHeaders and onHeadersReceived, with
+ * filters covering only the URLs and resource types the rules can match.
+ * Loading a new ruleset replaces those listeners on the same frame. An
+ * engine belongs to one <controlledframe>; use one engine per frame.
+ */
+
+export const ActionType = {
+  BLOCK: 'block',
+  REDIRECT: 'redirect',
+  MODIFY_HEADERS: 'modifyHeaders',
+  ALLOW: 'allow',
+};
+
+// Breaks ties between rules of the same priority: allow wins over block,
+// which wins over redirect.
+const ACTION_RANK = {
+  [ActionType.ALLOW]: 0,
+  [ActionType.BLOCK]: 1,
+  [ActionType.REDIRECT]: 2,
+  [ActionType.MODIFY_HEADERS]: 3,
+};
+
+const HEADER_OPERATIONS = ['set', 'append', 'remove'];
+const RESOURCE_TYPES = [
+  'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font',
+  'object', 'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket',
+  'other',
+];
+
+export class RulesetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RulesetError';
+  }
+}
+
+// Validates |ruleset| and returns its rules in a normalized form, sorted by
+// descending priority. Throws a RulesetError describing the first problem.
+export function parseRuleset(ruleset) {
+  if (typeof ruleset === 'string') {
+    try {
+      ruleset = JSON.parse(ruleset);
+    } catch (e) {
+      throw new RulesetError(`ruleset is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!ruleset || !Array.isArray(ruleset.rules)) {
+    throw new RulesetError('ruleset must be an object with a "rules" array');
+  }
+
+  const ids = new Set();
+  const rules = ruleset.rules.map((rule, i) => {
+    const label = `rules[${i}]`;
+    if (!Number.isInteger(rule?.id)) {
+      throw new RulesetError(`${label}: "id" must be an integer`);
+    }
+    if (ids.has(rule.id)) {
+      throw new RulesetError(`${label}: duplicate id ${rule.id}`);
+    }
+    ids.add(rule.id);
+    return {
+      id: rule.id,
+      priority: parsePriority(rule.priority, label),
+      condition: parseCondition(rule.condition ?? {}, label),
+      action: parseAction(rule.action, label),
+    };
+  });
+  return rules.sort((a, b) => b.priority - a.priority ||
+    ACTION_RANK[a.action.type] - ACTION_RANK[b.action.type]);
+}
+
+function parsePriority(priority, label) {
+  if (priority === undefined) {
+    return 1;
+  }
+  if (!Number.isInteger(priority) || priority < 1) {
+    throw new RulesetError(`${label}: "priority" must be a positive integer`);
+  }
+  return priority;
+}
+
+function parseStringList(value, name, label, allowed = null) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.length === 0 ||
+      !value.every(item => typeof item === 'string')) {
+    throw new RulesetError(
+      `${label}: "${name}" must be a non-empty array of strings`);
+  }
+  for (const item of value) {
+    if (allowed && !allowed.includes(item)) {
+      throw new RulesetError(`${label}: unknown ${name} entry "${item}"`);
+    }
+  }
+  return value;
+}
+
+function parseCondition(condition, label) {
+  const urlPatterns = parseStringList(
+    condition.urlPatterns, 'urlPatterns', label);
+  for (const pattern of urlPatterns ?? []) {
+    const error = validateMatchPattern(pattern);
+    if (error) {
+      throw new RulesetError(`${label}: ${error}`);
+    }
+  }
+  const requestMethods = parseStringList(
+    condition.requestMethods, 'requestMethods', label);
+  return {
+    urlPatterns: urlPatterns ?? [ALL_URLS],
+    urlRegExps: (urlPatterns ?? [ALL_URLS]).map(matchPatternToRegExp),
+    resourceTypes: parseStringList(
+      condition.resourceTypes, 'resourceTypes', label, RESOURCE_TYPES),
+    requestMethods: requestMethods?.map(method => method.toUpperCase()) ?? null,
+  };
+}
+
+function parseHeaderOperations(operations, name, label) {
+  if (operations === undefined) {
+    return [];
+  }
+  if (!Array.isArray(operations)) {
+    throw new RulesetError(`${label}: "${name}" must be an array`);
+  }
+  return operations.map((operation, i) => {
+    const opLabel = `${label}.${name}[${i}]`;
+    if (typeof operation?.header !== 'string' || operation.header === '') {
+      throw new RulesetError(`${opLabel}: "header" must be a header name`);
+    }
+    if (!HEADER_OPERATIONS.includes(operation.operation)) {
+      throw new RulesetError(
+        `${opLabel}: "operation" must be one of ${HEADER_OPERATIONS.join(', ')}`);
+    }
+    if (operation.operation !== 'remove' &&
+        typeof operation.value !== 'string') {
+      throw new RulesetError(`${opLabel}: "value" must be a string`);
+    }
+    return {
+      header: operation.header,
+      operation: operation.operation,
+      value: operation.value,
+    };
+  });
+}
+
+function parseAction(action, label) {
+  if (!Object.values(ActionType).includes(action?.type)) {
+    throw new RulesetError(`${label}: "action.type" must be one of ` +
+      Object.values(ActionType).join(', '));
+  }
+  const parsed = { type: action.type };
+  if (action.type === ActionType.REDIRECT) {
+    let url;
+    try {
+      url = new URL(action.redirectUrl);
+    } catch (_) {
+      throw new RulesetError(`${label}: "action.redirectUrl" must be a URL`);
+    }
+    parsed.redirectUrl = url.href;
+  }
+  if (action.type === ActionType.MODIFY_HEADERS) {
+    parsed.requestHeaders = parseHeaderOperations(
+      action.requestHeaders, 'requestHeaders', label);
+    parsed.responseHeaders = parseHeaderOperations(
+      action.responseHeaders, 'responseHeaders', label);
+    if (parsed.requestHeaders.length === 0 &&
+        parsed.responseHeaders.length === 0) {
+      throw new RulesetError(`${label}: modifyHeaders needs requestHeaders ` +
+        'or responseHeaders');
+    }
+  }
+  return parsed;
+}
+
+function ruleMatches(rule, details) {
+  const { urlRegExps, resourceTypes, requestMethods } = rule.condition;
+  if (resourceTypes && !resourceTypes.includes(details.type)) {
+    return false;
+  }
+  if (requestMethods && !requestMethods.includes(details.method)) {
+    return false;
+  }
+  return urlRegExps.some(regExp => regExp.test(details.url));
+}
+
+// Applies header |operations| to a copy of the HttpHeaders array |headers|.
+export function applyHeaderOperations(headers, operations) {
+  let result = (headers ?? []).map(h => ({ ...h }));
+  for (const { header, operation, value } of operations) {
+    const sameName = h => h.name.toLowerCase() === header.toLowerCase();
+    switch (operation) {
+      case 'set':
+        result = result.filter(h => !sameName(h));
+        result.push({ name: header, value });
+        break;
+      case 'append': {
+        const existing = result.find(sameName);
+        if (existing) {
+          existing.value = `${existing.value}, ${value}`;
+        } else {
+          result.push({ name: header, value });
+        }
+        break;
+      }
+      case 'remove':
+        result = result.filter(h => !sameName(h));
+        break;
+    }
+  }
+  return result;
+}
+
+// Builds the RequestFilter for a listener serving |rules|: the union of their
+// URL patterns, and of their resource types if every rule restricts them.
+function buildFilter(rules) {
+  const urls = new Set();
+  const types = new Set();
+  let allTypesRestricted = true;
+  for (const rule of rules) {
+    rule.condition.urlPatterns.forEach(pattern => urls.add(pattern));
+    if (rule.condition.resourceTypes) {
+      rule.condition.resourceTypes.forEach(type => types.add(type));
+    } else {
+      allTypesRestricted = false;
+    }
+  }
+  const filter = { urls: urls.has(ALL_URLS) ? [ALL_URLS] : [...urls] };
+  if (allTypesRestricted) {
+    filter.types = [...types];
+  }
+  return filter;
+}
+
+export class RequestRuleEngine {
+  // |onMatch| is called with the rule and request details every time a rule
+  // changes a request.
+  constructor(controlledFrame, onMatch = null) {
+    this.onMatch = onMatch;
+    this.#registry = new WebRequestListenerRegistry(controlledFrame);
+  }
+
+  get rules() {
+    return this.#rules;
+  }
+
+  // The listeners currently registered for the loaded ruleset.
+  get listeners() {
+    return this.#registry.entries();
+  }
+
+  // Replaces the loaded ruleset with |ruleset|, a ruleset object or its JSON
+  // text. If it is invalid, throws a RulesetError, and if its listeners can't
+  // be added, the error; either way the old rules stay loaded.
+  load(ruleset) {
+    const rules = parseRuleset(ruleset);
+    const registry =
+      new WebRequestListenerRegistry(this.#registry.controlledFrame);
+    try {
+      this.#compile(rules, registry);
+    } catch (err) {
+      registry.removeAll();
+      throw err;
+    }
+    this.#registry.removeAll();
+    this.#registry = registry;
+    this.#rules = rules;
+  }
+
+  clear() {
+    this.#registry.removeAll();
+    this.#rules = [];
+  }
+
+  // Returns the outcome of the loaded rules for a request: the winning
+  // block/redirect/allow rule (or null), and the modifyHeaders rules that
+  // apply, highest priority first.
+  evaluate(details) {
+    const matching = this.#rules.filter(rule => ruleMatches(rule, details));
+    const decisive = matching.find(
+      rule => rule.action.type !== ActionType.MODIFY_HEADERS) ?? null;
+    const allowPriority = matching.find(
+      rule => rule.action.type === ActionType.ALLOW)?.priority ?? 0;
+    const modifyHeaders = matching.filter(
+      rule => rule.action.type === ActionType.MODIFY_HEADERS &&
+        rule.priority > allowPriority);
+    return { decisive, modifyHeaders };
+  }
+
+  // Adds the listeners for |rules| to |registry|.
+  #compile(rules, registry) {
+    const byType = type => rules.filter(r => r.action.type === type);
+    const navigationRules = [
+      ...byType(ActionType.BLOCK),
+      ...byType(ActionType.REDIRECT),
+    ];
+    const modifyRules = byType(ActionType.MODIFY_HEADERS);
+    const requestHeaderRules =
+      modifyRules.filter(r => r.action.requestHeaders.length > 0);
+    const responseHeaderRules =
+      modifyRules.filter(r => r.action.responseHeaders.length > 0);
+
+    if (navigationRules.length > 0) {
+      registry.add(
+        'onBeforeRequest',
+        this.#onBeforeRequest.bind(this),
+        buildFilter(navigationRules),
+        ['blocking']
+      );
+    }
+    if (requestHeaderRules.length > 0) {
+      registry.add(
+        'onBeforeSendHeaders',
+        this.#onBeforeSendHeaders.bind(this),
+        buildFilter(requestHeaderRules),
+        ['blocking', 'requestHeaders', 'extraHeaders']
+      );
+    }
+    if (responseHeaderRules.length > 0) {
+      registry.add(
+        'onHeadersReceived',
+        this.#onHeadersReceived.bind(this),
+        buildFilter(responseHeaderRules),
+        ['blocking', 'responseHeaders', 'extraHeaders']
+      );
+    }
+  }
+
+  #onBeforeRequest(details) {
+    const { decisive } = this.evaluate(details);
+    if (!decisive) {
+      return {};
+    }
+    switch (decisive.action.type) {
+      case ActionType.BLOCK:
+        this.#notifyMatch(decisive, details);
+        return { cancel: true };
+      case ActionType.REDIRECT:
+        // Don't redirect a request that already targets the redirect URL.
+        if (details.url === decisive.action.redirectUrl) {
+          return {};
+        }
+        this.#notifyMatch(decisive, details);
+        return { redirectUrl: decisive.action.redirectUrl };
+    }
+    return {};
+  }
+
+  #onBeforeSendHeaders(details) {
+    return this.#modifyHeaders(details, 'requestHeaders');
+  }
+
+  #onHeadersReceived(details) {
+    return this.#modifyHeaders(details, 'responseHeaders');
+  }
+
+  #modifyHeaders(details, key) {
+    const rules = this.evaluate(details).modifyHeaders.filter(
+      rule => rule.action[key].length > 0);
+    if (rules.length === 0) {
+      return {};
+    }
+    // Lower priorities go first, so that higher ones override what they did.
+    const ascending = [...rules].sort((a, b) => a.priority - b.priority);
+    let headers = details[key];
+    for (const rule of ascending) {
+      headers = applyHeaderOperations(headers, rule.action[key]);
+      this.#notifyMatch(rule, details);
+    }
+    return { [key]: headers };
+  }
+
+  #notifyMatch(rule, details) {
+    if (this.onMatch) this.onMatch(rule, details);
+  }
+
+  #registry;
+  #rules = [];
+}
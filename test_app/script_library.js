@@ -0,0 +1,48 @@
+import { IndexedDbConnection } from './common.js';
+
+/**
+ * Saved executeScript() snippets, kept in IndexedDB so that they survive
+ * reloads of the app. A snippet is { name, code, allFrames, updatedAt }.
+ */
+
+const DB_NAME = 'controlledframe-script-library';
+const DB_VERSION = 1;
+const STORE_NAME = 'snippets';
+
+export class ScriptLibrary {
+  async get(name) {
+    return this.#run('readonly', store => store.get(name));
+  }
+
+  // Saves |snippet|, replacing any snippet with the same name.
+  async put({ name, code, allFrames = false }) {
+    if (!name) {
+      throw new Error('snippets need a name');
+    }
+    const snippet = {
+      name,
+      code,
+      allFrames,
+      updatedAt: new Date().toISOString(),
+    };
+    await this.#run('readwrite', store => store.put(snippet));
+    return snippet;
+  }
+
+  async delete(name) {
+    await this.#run('readwrite', store => store.delete(name));
+  }
+
+  // Returns every snippet, sorted by name.
+  async list() {
+    return this.#run('readonly', store => store.getAll());
+  }
+
+  #run(mode, operation) {
+    return this.#db.run(STORE_NAME, mode, operation);
+  }
+
+  #db = new IndexedDbConnection(DB_NAME, DB_VERSION, db => {
+    db.createObjectStore(STORE_NAME, { keyPath: 'name' });
+  });
+}
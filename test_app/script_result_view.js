@@ -0,0 +1,78 @@
+/**
+ * Shows normalized executeScript() results (see script_results.js) as a
+ * collapsible tree: one section per frame with its URL, and below it either
+ * the value, where arrays, objects, Maps and Sets can be expanded, or the
+ * exception with its stack.
+ */
+
+// Only this many levels of the tree start expanded.
+const EXPANDED_LEVELS = 1;
+
+export class ScriptResultView {
+  constructor(container) {
+    this.container = container;
+  }
+
+  render(results) {
+    this.container.replaceChildren(...results.map(result =>
+      this.#renderFrame(result, results.length)));
+  }
+
+  clear() {
+    this.container.replaceChildren();
+  }
+
+  #renderFrame({ frameIndex, url, value, exception }, frameCount) {
+    const section = document.createElement('details');
+    section.className = 'script-result';
+    section.open = true;
+    const summary = document.createElement('summary');
+    const label = frameCount > 1 ? `frame ${frameIndex}` : 'result';
+    summary.innerText = url ? `${label}: ${url}` : label;
+    section.appendChild(summary);
+    if (exception) {
+      section.classList.add('exception');
+      const message = document.createElement('div');
+      message.innerText = `Uncaught ${exception.name}: ${exception.message}`;
+      section.appendChild(message);
+      if (exception.stack) {
+        const stack = document.createElement('pre');
+        stack.innerText = exception.stack;
+        section.appendChild(stack);
+      }
+    } else {
+      section.appendChild(this.#renderValue(null, value, 0));
+    }
+    return section;
+  }
+
+  #renderValue(key, description, level) {
+    const prefix = key === null ? '' : `${key}: `;
+    if (!description.entries) {
+      const leaf = document.createElement('div');
+      leaf.className = `script-value ${description.type}`;
+      leaf.innerText = prefix + description.preview;
+      if (description.type === 'error' && description.value.stack) {
+        leaf.title = description.value.stack;
+      }
+      return leaf;
+    }
+    const node = document.createElement('details');
+    node.className = `script-value ${description.type}`;
+    node.open = level < EXPANDED_LEVELS;
+    const summary = document.createElement('summary');
+    summary.innerText = prefix + description.preview;
+    node.appendChild(summary);
+    for (const [entryKey, entry] of description.entries) {
+      node.appendChild(this.#renderValue(entryKey, entry, level + 1));
+    }
+    const hidden = description.size - description.entries.length;
+    if (hidden > 0) {
+      const more = document.createElement('div');
+      more.className = 'script-value truncated';
+      more.innerText = `… ${hidden} more`;
+      node.appendChild(more);
+    }
+    return node;
+  }
+}
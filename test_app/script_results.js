@@ -0,0 +1,189 @@
+/**
+ * Normalizes executeScript() results.
+ *
+ * executeScript() resolves with an array holding the structured clone of the
+ * script's last value in each frame it ran in. Values that can't be cloned,
+ * like DOM nodes and functions, and undefined come back as null or {}, and
+ * an exception in any frame leaves no trace of where it happened. Scripts
+ * given as code are therefore wrapped with wrapScript(), which runs them in
+ * each frame and returns a description of the value or the exception
+ * together with the frame's URL. normalizeScriptResults() turns either form
+ * into one ScriptResult per frame:
+ *
+ *   { frameIndex, url, value, exception }
+ *
+ * value is a ValueDescription (see describeValue()) and exception is
+ * { name, message, stack }; exactly one of them is not null. url is null for
+ * scripts given as a file, which can't be wrapped.
+ */
+
+export const DEFAULT_DESCRIBE_OPTIONS = {
+  // Nested objects deeper than this are described as "truncated".
+  maxDepth: 6,
+  // Only this many array items, or object, Map or Set entries, are kept.
+  maxEntries: 100,
+};
+
+// Returns a JSON-serializable ValueDescription of |value|:
+//
+//   { type, preview, value?, entries?, size? }
+//
+// type is a typeof result, or one of "null", "array", "object", "map", "set",
+// "date", "regexp", "error", "node", "promise", "circular" or "truncated".
+// preview is a short string to show for the value. Primitives also have
+// value, as a string for bigints, symbols and non-finite numbers. Arrays,
+// objects, Maps and Sets have entries, [key, ValueDescription] pairs, and
+// size, the number of entries before truncation.
+//
+// This function is also serialized into the embedded page by wrapScript(),
+// so it must not use anything outside its own body.
+export function describeValue(value, options = {}) {
+  const { maxDepth = 6, maxEntries = 100 } = options;
+  const seen = new Set();
+
+  const describeEntries = (pairs, size, depth) => ({
+    entries: pairs.slice(0, maxEntries).map(
+      ([key, item]) => [String(key), describe(item, depth + 1)]),
+    size,
+  });
+
+  const describeNode = node => {
+    let preview = node.nodeName.toLowerCase();
+    if (node.id) preview += `#${node.id}`;
+    if (typeof node.className === 'string' && node.className.trim()) {
+      preview += '.' + node.className.trim().split(/\s+/).join('.');
+    }
+    return { type: 'node', preview };
+  };
+
+  const describe = (value, depth) => {
+    switch (typeof value) {
+      case 'undefined':
+        return { type: 'undefined', preview: 'undefined' };
+      case 'number':
+        return {
+          type: 'number',
+          preview: String(value),
+          value: Number.isFinite(value) ? value : String(value),
+        };
+      case 'bigint':
+        return { type: 'bigint', preview: `${value}n`, value: String(value) };
+      case 'symbol':
+        return { type: 'symbol', preview: String(value), value: String(value) };
+      case 'string':
+      case 'boolean':
+        return { type: typeof value, preview: JSON.stringify(value), value };
+      case 'function':
+        return {
+          type: 'function',
+          preview: `ƒ ${value.name || '(anonymous)'}()`,
+        };
+    }
+    if (value === null) return { type: 'null', preview: 'null', value: null };
+    if (seen.has(value)) return { type: 'circular', preview: '[Circular]' };
+    if (depth > maxDepth) return { type: 'truncated', preview: '…' };
+
+    if (typeof Node !== 'undefined' && value instanceof Node) {
+      return describeNode(value);
+    }
+    if (value instanceof Error) {
+      return {
+        type: 'error',
+        preview: `${value.name}: ${value.message}`,
+        value: { name: value.name, message: value.message, stack: value.stack },
+      };
+    }
+    if (value instanceof Date) {
+      return { type: 'date', preview: value.toISOString?.() ?? String(value) };
+    }
+    if (value instanceof RegExp) {
+      return { type: 'regexp', preview: String(value) };
+    }
+    if (typeof value.then === 'function') {
+      return { type: 'promise', preview: 'Promise (not awaited)' };
+    }
+
+    seen.add(value);
+    let description;
+    if (Array.isArray(value)) {
+      description = {
+        type: 'array',
+        preview: `Array(${value.length})`,
+        ...describeEntries([...value.entries()], value.length, depth),
+      };
+    } else if (value instanceof Map) {
+      description = {
+        type: 'map',
+        preview: `Map(${value.size})`,
+        ...describeEntries([...value.entries()], value.size, depth),
+      };
+    } else if (value instanceof Set) {
+      description = {
+        type: 'set',
+        preview: `Set(${value.size})`,
+        ...describeEntries(
+          [...value.values()].map((item, i) => [i, item]), value.size, depth),
+      };
+    } else {
+      const pairs = Object.entries(value);
+      const className = value.constructor?.name ?? 'Object';
+      description = {
+        type: 'object',
+        preview: `${className} {${pairs.length}}`,
+        ...describeEntries(pairs, pairs.length, depth),
+      };
+    }
+    seen.delete(value);
+    return description;
+  };
+
+  return describe(value, 0);
+}
+
+// Runs in the embedded page. Evaluates |code| and describes its value or
+// exception.
+function runAndDescribe(code, describeValue, options) {
+  const result = { url: location.href, value: null, exception: null };
+  try {
+    result.value = describeValue((0, eval)(code), options);
+  } catch (e) {
+    result.exception = e instanceof Error ?
+      { name: e.name, message: e.message, stack: e.stack ?? null } :
+      { name: 'Uncaught', message: String(e), stack: null };
+  }
+  return result;
+}
+
+// Returns code for executeScript() that runs |code| and returns a result
+// normalizeScriptResults() understands.
+export function wrapScript(code, options = DEFAULT_DESCRIBE_OPTIONS) {
+  // describeValue is passed as a function expression; toScript() in
+  // common.js would turn it into a string.
+  return `(${runAndDescribe.toString()})(` +
+    `${JSON.stringify(code)}, ${describeValue.toString()}, ` +
+    `${JSON.stringify(options)});`;
+}
+
+function isWrappedResult(result) {
+  return result !== null && typeof result === 'object' &&
+    'url' in result && 'value' in result && 'exception' in result;
+}
+
+// Turns the results of executeScript() into one ScriptResult per frame.
+// |wrapped| says whether the script was made with wrapScript().
+export function normalizeScriptResults(results, { wrapped = false } = {}) {
+  if (!Array.isArray(results)) results = [results];
+  return results.map((result, frameIndex) => {
+    if (wrapped && isWrappedResult(result)) {
+      return { frameIndex, ...result };
+    }
+    // Frames where the wrapper itself failed, and scripts given as files,
+    // only have the cloned value.
+    return {
+      frameIndex,
+      url: null,
+      value: describeValue(result),
+      exception: null,
+    };
+  });
+}
@@ -0,0 +1,644 @@
+import { toScript, withTimeout } from './common.js';
+import { reserveMessagePrefix } from './console_recorder.js';
+import { contentScripts } from './content_script_manager.js';
+import { ControlledFrameAdapter } from './controlledframe_adapter.js';
+import { logger } from './logger.js';
+import { decodeImage, diffImages } from './visual_regression.js';
+
+/**
+ * Records a user session inside a <controlledframe> and replays it.
+ *
+ * A recording is plain JSON, so it can be diffed and edited by hand:
+ *
+ *   {
+ *     "version": 1,
+ *     "startUrl": "https://example.com/",
+ *     "steps": [
+ *       {"type": "click", "selector": "#next", "url": "https://example.com/"},
+ *       {"type": "navigate", "url": "https://example.com/2",
+ *        "initiator": "page", "screenshot": "data:image/png;base64,..."},
+ *       {"type": "dialog", "messageType": "confirm", "action": "ok"},
+ *       ...
+ *     ]
+ *   }
+ *
+ * Clicks, text input and special keys are reported by a content script
+ * through console messages. Input into password, one-time code and credit
+ * card fields is recorded as {"type": "input", "redacted": true} without its
+ * value, which is replayed as focusing the field unless a "value" is added by
+ * hand. Dialog and permission decisions are recorded by
+ * observing the ok()/cancel() and allow()/deny() calls made by whoever
+ * handles the event.
+ *
+ * Replay drives the frame through the same steps with executeScript() and
+ * navigation, and checks the committed URL (and optionally a screenshot) of
+ * every navigation and checkpoint against the recording.
+ */
+
+export const SESSION_FORMAT_VERSION = 1;
+const CONTENT_SCRIPT_NAME = 'session-recorder';
+const MESSAGE_PREFIX = '__session_recorder__';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+contentScripts.reserve(CONTENT_SCRIPT_NAME, 'session recorder');
+reserveMessagePrefix(MESSAGE_PREFIX);
+
+// A navigation that starts this soon after a click or key press is assumed to
+// be caused by it, and is not driven by the player.
+const PAGE_INITIATED_WINDOW_MS = 1000;
+
+export const StepType = {
+  NAVIGATE: 'navigate',
+  CLICK: 'click',
+  INPUT: 'input',
+  KEY: 'key',
+  DIALOG: 'dialog',
+  PERMISSION: 'permission',
+  ZOOM: 'zoom',
+  CHECKPOINT: 'checkpoint',
+};
+
+export const Initiator = {
+  APP: 'app',
+  PAGE: 'page',
+};
+
+export const StepStatus = {
+  PASS: 'pass',
+  FAIL: 'fail',
+};
+
+// Runs inside the embedded page. Reports trusted clicks, text input and
+// special keys as console messages.
+function installRecorder(prefix) {
+  if (window.__sessionRecorderInstalled) return;
+  window.__sessionRecorderInstalled = true;
+
+  const SPECIAL_KEYS = [
+    'Enter', 'Tab', 'Escape', 'Backspace',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+  ];
+  const selectorOf = el => {
+    const parts = [];
+    while (el && el.nodeType === Node.ELEMENT_NODE &&
+           el !== document.documentElement) {
+      if (el.id) {
+        parts.unshift(`#${CSS.escape(el.id)}`);
+        break;
+      }
+      let part = el.localName;
+      const parent = el.parentElement;
+      if (parent) {
+        const siblings = [...parent.children].filter(
+          c => c.localName === el.localName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(el) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      el = parent;
+    }
+    return parts.join(' > ');
+  };
+  // Fields whose value must not leave the page.
+  const SECRET_AUTOCOMPLETE =
+    /\b(cc-[a-z-]+|current-password|new-password|one-time-code)\b/;
+  const isSecret = el => el.type === 'password' ||
+    SECRET_AUTOCOMPLETE.test(el.getAttribute?.('autocomplete') ?? '');
+  const report = step => {
+    console.debug(prefix + JSON.stringify({ ...step, url: location.href }));
+  };
+
+  document.addEventListener('click', e => {
+    if (!e.isTrusted) return;
+    report({
+      type: 'click',
+      selector: selectorOf(e.target),
+      x: e.clientX,
+      y: e.clientY,
+    });
+  }, true);
+  document.addEventListener('input', e => {
+    if (!e.isTrusted || !('value' in e.target)) return;
+    if (isSecret(e.target)) {
+      report({ type: 'input', selector: selectorOf(e.target), redacted: true });
+      return;
+    }
+    report({
+      type: 'input',
+      selector: selectorOf(e.target),
+      value: e.target.value,
+    });
+  }, true);
+  document.addEventListener('keydown', e => {
+    if (!e.isTrusted) return;
+    const hasModifier = e.ctrlKey || e.metaKey || e.altKey;
+    if (!SPECIAL_KEYS.includes(e.key) && !hasModifier) return;
+    report({
+      type: 'key',
+      selector: selectorOf(e.target),
+      key: e.key,
+      code: e.code,
+      ctrlKey: e.ctrlKey,
+      shiftKey: e.shiftKey,
+      altKey: e.altKey,
+      metaKey: e.metaKey,
+    });
+  }, true);
+}
+
+// Runs inside the embedded page to replay |step|. Returns false if the
+// target element does not exist.
+function replayInputStep(step) {
+  const el = document.querySelector(step.selector);
+  if (!el) return false;
+  switch (step.type) {
+    case 'click':
+      for (const type of ['mousedown', 'mouseup']) {
+        el.dispatchEvent(new MouseEvent(type, {
+          bubbles: true,
+          cancelable: true,
+          clientX: step.x,
+          clientY: step.y,
+        }));
+      }
+      el.click();
+      break;
+    case 'input':
+      el.focus();
+      if (step.value === undefined) break;
+      el.value = step.value;
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      break;
+    case 'key': {
+      el.focus();
+      const init = { ...step, bubbles: true, cancelable: true };
+      const notCanceled = el.dispatchEvent(new KeyboardEvent('keydown', init));
+      el.dispatchEvent(new KeyboardEvent('keyup', init));
+      // Synthetic key events have no default action, so submit forms the way
+      // a real Enter key press would.
+      if (notCanceled && step.key === 'Enter' && el.form) {
+        el.form.requestSubmit();
+      }
+      break;
+    }
+  }
+  return true;
+}
+
+// executeScript() resolves with a per-frame array in the callback-based
+// implementation and with the bare value in the Promise-based one.
+function firstResult(result) {
+  return Array.isArray(result) ? result[0] : result;
+}
+
+// Returns the click, input or key step reported by installRecorder() in
+// |json|, with only the fields of its type, or null if |json| isn't such a
+// step. Any script in the page can log a message with the prefix, so nothing
+// else is recorded.
+function parseReportedStep(json) {
+  let step;
+  try {
+    step = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (typeof step?.selector !== 'string' || typeof step.url !== 'string') {
+    return null;
+  }
+  const { type, selector, url } = step;
+  switch (type) {
+    case StepType.CLICK:
+      if (!Number.isFinite(step.x) || !Number.isFinite(step.y)) return null;
+      return { type, selector, x: step.x, y: step.y, url };
+    case StepType.INPUT:
+      if (step.redacted === true) {
+        return { type, selector, redacted: true, url };
+      }
+      if (typeof step.value !== 'string') return null;
+      return { type, selector, value: step.value, url };
+    case StepType.KEY: {
+      const { key, code, ctrlKey, shiftKey, altKey, metaKey } = step;
+      if (typeof key !== 'string' || typeof code !== 'string') return null;
+      const modifiers = { ctrlKey, shiftKey, altKey, metaKey };
+      if (Object.values(modifiers).some(m => typeof m !== 'boolean')) {
+        return null;
+      }
+      return { type, selector, key, code, ...modifiers, url };
+    }
+    default:
+      return null;
+  }
+}
+
+export function parseSession(json) {
+  const session = typeof json === 'string' ? JSON.parse(json) : json;
+  if (session?.version !== SESSION_FORMAT_VERSION) {
+    throw new Error(
+      `unsupported session version ${session?.version}, ` +
+      `expected ${SESSION_FORMAT_VERSION}`);
+  }
+  if (!Array.isArray(session.steps)) {
+    throw new Error('session.steps must be an array');
+  }
+  return session;
+}
+
+export class SessionRecorder {
+  constructor(controlledFrame, { captureScreenshots = false } = {}) {
+    this.controlledFrame = controlledFrame;
+    this.captureScreenshots = captureScreenshots;
+    this.#frame = new ControlledFrameAdapter(controlledFrame);
+  }
+
+  get recording() {
+    return this.#session !== null;
+  }
+
+  // Starts recording. If that fails, the recorder is left stopped.
+  async start() {
+    this.#session = {
+      version: SESSION_FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      startUrl: this.controlledFrame.src,
+      steps: [],
+    };
+    this.#lastInputTime = 0;
+    for (const [type, listener] of this.#listeners()) {
+      this.controlledFrame.addEventListener(type, listener, { capture: true });
+    }
+    const code = toScript(installRecorder, MESSAGE_PREFIX);
+    try {
+      const script = {
+        name: CONTENT_SCRIPT_NAME,
+        matches: ['<all_urls>'],
+        js: { code },
+        run_at: 'document_start',
+      };
+      await this.#frame.addContentScripts([script]);
+      contentScripts.track(this.controlledFrame, script);
+      // Content scripts only run on future navigations.
+      await this.#frame.executeScript({ code });
+    } catch (err) {
+      await this.stop().catch(() => {});
+      throw err;
+    }
+  }
+
+  // Stops recording and returns the session.
+  async stop() {
+    for (const [type, listener] of this.#listeners()) {
+      this.controlledFrame.removeEventListener(type, listener, { capture: true });
+    }
+    await this.#frame.removeContentScripts([CONTENT_SCRIPT_NAME]);
+    contentScripts.untrack(this.controlledFrame, CONTENT_SCRIPT_NAME);
+    const session = this.#session;
+    this.#session = null;
+    return session;
+  }
+
+  // Adds a checkpoint that replay compares against, with a screenshot if
+  // screenshots are captured.
+  async addCheckpoint(name) {
+    const step = {
+      type: StepType.CHECKPOINT,
+      name,
+      url: this.#committedUrl ?? this.controlledFrame.src,
+    };
+    this.#addStep(step);
+    await this.#captureScreenshot(step);
+  }
+
+  #addStep(step) {
+    if (!this.#session) return;
+    step.time = Date.now() - Date.parse(this.#session.createdAt);
+    this.#session.steps.push(step);
+  }
+
+  async #captureScreenshot(step) {
+    if (!this.captureScreenshots) return;
+    try {
+      step.screenshot = await this.#frame.captureVisibleRegion({});
+    } catch (err) {
+      logger.warn(`session recorder: screenshot failed: ${err.message ?? err}`);
+    }
+  }
+
+  #listeners() {
+    return [
+      ['consolemessage', this.#onConsoleMessage],
+      ['loadstart', this.#onLoadStart],
+      ['loadcommit', this.#onLoadCommit],
+      ['loadstop', this.#onLoadStop],
+      ['dialog', this.#onDialog],
+      ['permissionrequest', this.#onPermissionRequest],
+      ['zoomchange', this.#onZoomChange],
+    ];
+  }
+
+  #onConsoleMessage = e => {
+    if (!e.message?.startsWith(MESSAGE_PREFIX)) return;
+    const step = parseReportedStep(e.message.slice(MESSAGE_PREFIX.length));
+    if (!step) return;
+    // Each input event carries the whole value, so only keep the last one.
+    const last = this.#session?.steps.at(-1);
+    if (step.type === StepType.INPUT && last?.type === StepType.INPUT &&
+        last.selector === step.selector) {
+      this.#session.steps.pop();
+    }
+    if (step.type !== StepType.INPUT) {
+      this.#lastInputTime = Date.now();
+    }
+    this.#addStep(step);
+  };
+
+  #onLoadStart = e => {
+    if (e.isTopLevel === false) return;
+    this.#navigationInitiator =
+      Date.now() - this.#lastInputTime < PAGE_INITIATED_WINDOW_MS
+        ? Initiator.PAGE
+        : Initiator.APP;
+  };
+
+  #onLoadCommit = e => {
+    if (e.isTopLevel === false) return;
+    this.#committedUrl = e.url;
+    this.#pendingNavigation = {
+      type: StepType.NAVIGATE,
+      url: e.url,
+      initiator: this.#navigationInitiator ?? Initiator.APP,
+    };
+    this.#navigationInitiator = null;
+    this.#addStep(this.#pendingNavigation);
+  };
+
+  #onLoadStop = async e => {
+    const step = this.#pendingNavigation;
+    this.#pendingNavigation = null;
+    if (step) await this.#captureScreenshot(step);
+  };
+
+  #onDialog = e => {
+    const step = {
+      type: StepType.DIALOG,
+      messageType: e.messageType,
+      messageText: e.messageText,
+    };
+    const dialog = e.dialog;
+    const ok = dialog.ok.bind(dialog);
+    const cancel = dialog.cancel.bind(dialog);
+    dialog.ok = response => {
+      this.#addStep({ ...step, action: 'ok', response });
+      return ok(response);
+    };
+    dialog.cancel = () => {
+      this.#addStep({ ...step, action: 'cancel' });
+      return cancel();
+    };
+  };
+
+  #onPermissionRequest = e => {
+    const step = { type: StepType.PERMISSION, permission: e.permission };
+    const request = e.request;
+    const allow = request.allow.bind(request);
+    const deny = request.deny.bind(request);
+    request.allow = () => {
+      this.#addStep({ ...step, decision: 'allow' });
+      return allow();
+    };
+    request.deny = () => {
+      this.#addStep({ ...step, decision: 'deny' });
+      return deny();
+    };
+  };
+
+  #onZoomChange = e => {
+    this.#addStep({ type: StepType.ZOOM, zoomFactor: e.newZoomFactor });
+  };
+
+  #committedUrl = null;
+  #frame;
+  #lastInputTime = 0;
+  #navigationInitiator = null;
+  #pendingNavigation = null;
+  #session = null;
+}
+
+export class SessionPlayer {
+  constructor(controlledFrame, {
+    compareScreenshots = false,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  } = {}) {
+    this.controlledFrame = controlledFrame;
+    this.compareScreenshots = compareScreenshots;
+    this.timeoutMs = timeoutMs;
+    this.#frame = new ControlledFrameAdapter(controlledFrame);
+  }
+
+  // Replays |session| and resolves with a report. |onStep| is called with
+  // each step result as it completes.
+  async replay(session, onStep = null) {
+    session = parseSession(session);
+    const report = {
+      startTime: new Date().toISOString(),
+      endTime: null,
+      summary: { total: session.steps.length, pass: 0, fail: 0 },
+      results: [],
+    };
+
+    this.#commits = [];
+    this.#commitWaiters = [];
+    this.#decisions = session.steps.filter(
+      step => step.type === StepType.DIALOG ||
+        step.type === StepType.PERMISSION);
+    this.#decisionsMade = 0;
+    for (const [type, listener] of this.#listeners()) {
+      this.controlledFrame.addEventListener(type, listener, { capture: true });
+    }
+
+    try {
+      await this.#navigate(session.startUrl);
+      for (const [index, step] of session.steps.entries()) {
+        const result = { index, type: step.type, status: StepStatus.PASS };
+        try {
+          await this.#replayStep(step, result);
+        } catch (err) {
+          result.status = StepStatus.FAIL;
+          result.message = err?.message ?? String(err);
+        }
+        report.summary[result.status]++;
+        report.results.push(result);
+        if (onStep) onStep(result, step);
+      }
+    } finally {
+      for (const [type, listener] of this.#listeners()) {
+        this.controlledFrame.removeEventListener(
+          type, listener, { capture: true });
+      }
+    }
+    report.endTime = new Date().toISOString();
+    return report;
+  }
+
+  async #replayStep(step, result) {
+    switch (step.type) {
+      case StepType.NAVIGATE: {
+        const url = step.initiator === Initiator.PAGE
+          ? await this.#nextCommit()
+          : await this.#navigate(step.url);
+        this.#compareUrl(step.url, url, result);
+        await this.#waitForLoadStop();
+        await this.#compareScreenshot(step, result);
+        break;
+      }
+      case StepType.CLICK:
+      case StepType.INPUT:
+      case StepType.KEY: {
+        await this.#waitForLoadStop();
+        const found = firstResult(await this.#frame.executeScript({
+          code: toScript(replayInputStep, step),
+        }));
+        if (found === false) {
+          throw new Error(`element ${step.selector} not found`);
+        }
+        break;
+      }
+      case StepType.DIALOG:
+      case StepType.PERMISSION: {
+        // Decisions are applied by the event listeners as the events fire;
+        // wait until this one has been.
+        const position = this.#decisions.indexOf(step) + 1;
+        await withTimeout(
+          this.#waitUntil(() => this.#decisionsMade >= position),
+          this.timeoutMs,
+          `${step.type} ${step.messageType ?? step.permission}`);
+        break;
+      }
+      case StepType.ZOOM:
+        await this.#frame.setZoom(step.zoomFactor);
+        break;
+      case StepType.CHECKPOINT: {
+        await this.#waitForLoadStop();
+        const url = firstResult(
+          await this.#frame.executeScript({ code: 'location.href' }));
+        this.#compareUrl(step.url, url, result);
+        await this.#compareScreenshot(step, result);
+        break;
+      }
+      default:
+        throw new Error(`unknown step type ${step.type}`);
+    }
+  }
+
+  #compareUrl(expected, actual, result) {
+    result.expectedUrl = expected;
+    result.actualUrl = actual;
+    if (expected !== actual) {
+      throw new Error(`expected URL ${expected}, got ${actual}`);
+    }
+  }
+
+  async #compareScreenshot(step, result) {
+    if (!this.compareScreenshots || !step.screenshot) return;
+    const screenshot = await this.#frame.captureVisibleRegion({});
+    result.screenshot = screenshot;
+    const diff = diffImages(
+      await decodeImage(step.screenshot),
+      await decodeImage(screenshot));
+    if (!diff.passed) {
+      throw new Error(
+        `screenshot differs from the recording in ${diff.diffPixels} pixels`);
+    }
+  }
+
+  async #navigate(url) {
+    this.controlledFrame.src = url;
+    return this.#nextCommit();
+  }
+
+  // Resolves with the URL of the next top-level commit that has not been
+  // consumed by a navigate step yet.
+  #nextCommit() {
+    const commit = this.#commits.length > 0
+      ? Promise.resolve(this.#commits.shift())
+      : new Promise(resolve => this.#commitWaiters.push(resolve));
+    return withTimeout(commit, this.timeoutMs, 'loadcommit');
+  }
+
+  #waitForLoadStop() {
+    return withTimeout(
+      this.#waitUntil(() => !this.#loading), this.timeoutMs, 'loadstop');
+  }
+
+  async #waitUntil(condition) {
+    while (!condition()) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  #listeners() {
+    return [
+      ['loadstart', this.#onLoadStart],
+      ['loadcommit', this.#onLoadCommit],
+      ['loadstop', this.#onLoadStop],
+      ['loadabort', this.#onLoadStop],
+      ['dialog', this.#onDialog],
+      ['permissionrequest', this.#onPermissionRequest],
+    ];
+  }
+
+  #onLoadStart = e => {
+    if (e.isTopLevel === false) return;
+    this.#loading = true;
+  };
+
+  #onLoadCommit = e => {
+    if (e.isTopLevel === false) return;
+    const waiter = this.#commitWaiters.shift();
+    if (waiter) {
+      waiter(e.url);
+    } else {
+      this.#commits.push(e.url);
+    }
+  };
+
+  #onLoadStop = e => {
+    this.#loading = false;
+  };
+
+  // Applies the next recorded decision and keeps the app's own handlers from
+  // deciding as well.
+  #onDialog = e => {
+    const step = this.#decisions[this.#decisionsMade];
+    if (step?.type !== StepType.DIALOG) return;
+    e.stopImmediatePropagation();
+    if (step.action === 'ok') {
+      e.dialog.ok(step.response);
+    } else {
+      e.dialog.cancel();
+    }
+    this.#decisionsMade++;
+  };
+
+  #onPermissionRequest = e => {
+    const step = this.#decisions[this.#decisionsMade];
+    if (step?.type !== StepType.PERMISSION ||
+        step.permission !== e.permission) return;
+    e.stopImmediatePropagation();
+    if (step.decision === 'allow') {
+      e.request.allow();
+    } else {
+      e.request.deny();
+    }
+    this.#decisionsMade++;
+  };
+
+  #commitWaiters = [];
+  #commits = [];
+  #decisions = [];
+  #decisionsMade = 0;
+  #frame;
+  #loading = false;
+}
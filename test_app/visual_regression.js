@@ -0,0 +1,220 @@
+import { IndexedDbConnection } from './common.js';
+
+/**
+ * Visual regression testing with captureVisibleRegion().
+ *
+ * Screenshots are taken at named checkpoints. The first screenshot of a
+ * checkpoint becomes its baseline; later ones are compared pixel by pixel
+ * against it. Baselines are kept in IndexedDB and can be downloaded and
+ * loaded again as a JSON file.
+ */
+
+const DB_NAME = 'controlledframe-visual-regression';
+const DB_VERSION = 1;
+const STORE_NAME = 'baselines';
+export const BASELINES_FORMAT_VERSION = 1;
+
+export const DEFAULT_DIFF_OPTIONS = {
+  // Per-pixel color distance, from 0 to 1, above which a pixel differs.
+  threshold: 0.1,
+  // Fraction of the compared pixels that may differ before a check fails.
+  maxDiffRatio: 0,
+  // Rectangles in image pixels that are not compared.
+  ignoreRegions: [],
+};
+
+export const CheckStatus = {
+  NEW: 'new',
+  PASS: 'pass',
+  FAIL: 'fail',
+};
+
+const DIFF_COLOR = [255, 0, 0, 255];
+const IGNORED_COLOR = [0, 0, 255, 64];
+const MAX_DISTANCE = Math.sqrt(3 * 255 * 255);
+
+// Baselines in IndexedDB, keyed by checkpoint name. Each baseline is
+// { name, dataUrl, imageDetails, url, createdAt }.
+export class BaselineStore {
+  async get(name) {
+    return this.#run('readonly', store => store.get(name));
+  }
+
+  async put(baseline) {
+    await this.#run('readwrite', store => store.put(baseline));
+    return baseline;
+  }
+
+  async delete(name) {
+    await this.#run('readwrite', store => store.delete(name));
+  }
+
+  async list() {
+    return this.#run('readonly', store => store.getAll());
+  }
+
+  // Returns every baseline as a JSON string that import() accepts.
+  async export() {
+    return JSON.stringify({
+      version: BASELINES_FORMAT_VERSION,
+      baselines: await this.list(),
+    }, null, 2);
+  }
+
+  // Stores the baselines in |json| and returns how many there were. Existing
+  // baselines with the same names are replaced. Nothing is stored unless
+  // every baseline has a name and a data URL.
+  async import(json) {
+    const data = JSON.parse(json);
+    if (data?.version !== BASELINES_FORMAT_VERSION ||
+        !Array.isArray(data.baselines)) {
+      throw new Error('not a visual regression baselines file');
+    }
+    data.baselines.forEach((baseline, index) => {
+      if (typeof baseline?.name !== 'string' || !baseline.name) {
+        throw new Error(`baseline ${index} has no name`);
+      }
+      if (typeof baseline.dataUrl !== 'string') {
+        throw new Error(`baseline ${baseline.name} has no dataUrl`);
+      }
+    });
+    await this.#run('readwrite', store => {
+      for (const baseline of data.baselines) store.put(baseline);
+    });
+    return data.baselines.length;
+  }
+
+  #run(mode, operation) {
+    return this.#db.run(STORE_NAME, mode, operation);
+  }
+
+  #db = new IndexedDbConnection(DB_NAME, DB_VERSION, db => {
+    db.createObjectStore(STORE_NAME, { keyPath: 'name' });
+  });
+}
+
+// Decodes an image data URL into ImageData.
+export async function decodeImage(dataUrl) {
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return context.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+function isIgnored(x, y, ignoreRegions) {
+  return ignoreRegions.some(r =>
+    x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+}
+
+// Compares two ImageData objects pixel by pixel. Returns the diff statistics
+// and an ImageData that shows differing pixels in red, ignored regions in
+// blue and everything else as a faded copy of |baseline|.
+export function diffImages(baseline, actual, options = {}) {
+  const { threshold, maxDiffRatio, ignoreRegions } =
+    { ...DEFAULT_DIFF_OPTIONS, ...options };
+  const { width, height } = baseline;
+  if (actual.width !== width || actual.height !== height) {
+    return {
+      width,
+      height,
+      sizeMismatch: true,
+      actualWidth: actual.width,
+      actualHeight: actual.height,
+      diffPixels: width * height,
+      comparedPixels: width * height,
+      diffRatio: 1,
+      passed: false,
+      diffImage: null,
+    };
+  }
+
+  const diff = new ImageData(width, height);
+  let diffPixels = 0;
+  let comparedPixels = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      let color;
+      if (isIgnored(x, y, ignoreRegions)) {
+        color = IGNORED_COLOR;
+      } else {
+        comparedPixels++;
+        const distance = Math.hypot(
+          baseline.data[i] - actual.data[i],
+          baseline.data[i + 1] - actual.data[i + 1],
+          baseline.data[i + 2] - actual.data[i + 2]) / MAX_DISTANCE;
+        if (distance > threshold) {
+          diffPixels++;
+          color = DIFF_COLOR;
+        } else {
+          const luma = 0.3 * baseline.data[i] + 0.59 * baseline.data[i + 1] +
+            0.11 * baseline.data[i + 2];
+          const faded = 0.3 * luma + 0.7 * 255;
+          color = [faded, faded, faded, 255];
+        }
+      }
+      diff.data.set(color, i);
+    }
+  }
+
+  const diffRatio = comparedPixels === 0 ? 0 : diffPixels / comparedPixels;
+  return {
+    width,
+    height,
+    sizeMismatch: false,
+    diffPixels,
+    comparedPixels,
+    diffRatio,
+    passed: diffRatio <= maxDiffRatio,
+    diffImage: diff,
+  };
+}
+
+export class VisualRegression {
+  constructor(store = new BaselineStore()) {
+    this.store = store;
+  }
+
+  // Captures |frame| (a ControlledFrameAdapter) with |imageDetails| and
+  // compares the screenshot to the baseline of checkpoint |name|. If there is
+  // no baseline yet, or |updateBaseline| is set, the screenshot becomes the
+  // baseline.
+  async check(name, frame, imageDetails, {
+    updateBaseline = false,
+    ...diffOptions
+  } = {}) {
+    const dataUrl = await frame.captureVisibleRegion(imageDetails);
+    const baseline = await this.store.get(name);
+    if (!baseline || updateBaseline) {
+      await this.store.put({
+        name,
+        dataUrl,
+        imageDetails,
+        url: frame.controlledFrame.src,
+        createdAt: new Date().toISOString(),
+      });
+      return { name, status: CheckStatus.NEW, dataUrl, baseline: null };
+    }
+
+    const result = diffImages(
+      await decodeImage(baseline.dataUrl),
+      await decodeImage(dataUrl),
+      diffOptions);
+    // Lossy JPEG captures only compare well against baselines captured with
+    // the same format and quality.
+    const imageDetailsChanged =
+      baseline.imageDetails?.format !== imageDetails.format ||
+      baseline.imageDetails?.quality !== imageDetails.quality;
+    return {
+      name,
+      status: result.passed ? CheckStatus.PASS : CheckStatus.FAIL,
+      dataUrl,
+      baseline,
+      imageDetailsChanged,
+      ...result,
+    };
+  }
+}
@@ -0,0 +1,93 @@
+import { ApiUndefinedError } from './controlledframe_adapter.js';
+
+/**
+ * Keeps track of the listeners added to the request.* web request events of
+ * a <controlledframe>, so they can be listed, queried and removed later.
+ *
+ * Listeners belong to the element they were added to. When the
+ * <controlledframe> is recreated, create a new registry for it.
+ */
+export class WebRequestListenerRegistry {
+  constructor(controlledFrame, onChange = null) {
+    this.controlledFrame = controlledFrame;
+    this.onChange = onChange;
+  }
+
+  // Adds |listener| to request[eventName] and returns the registry entry
+  // describing it.
+  add(eventName, listener, filter, extraInfoSpec = []) {
+    const event = this.#getEvent(eventName);
+    event.addListener(listener, filter, extraInfoSpec);
+    const entry = {
+      id: this.#nextId++,
+      eventName,
+      listener,
+      filter,
+      extraInfoSpec,
+      addedAt: new Date(),
+    };
+    this.#entries.set(entry.id, entry);
+    this.#notifyChange();
+    return entry;
+  }
+
+  get(id) {
+    return this.#entries.get(id);
+  }
+
+  entries() {
+    return [...this.#entries.values()];
+  }
+
+  // Removes the listener with registry |id|. Returns false if there is no
+  // such entry.
+  remove(id) {
+    const entry = this.#entries.get(id);
+    if (!entry) {
+      return false;
+    }
+    this.#getEvent(entry.eventName).removeListener(entry.listener);
+    this.#entries.delete(id);
+    this.#notifyChange();
+    return true;
+  }
+
+  removeAll() {
+    for (const entry of this.#entries.values()) {
+      this.#getEvent(entry.eventName).removeListener(entry.listener);
+    }
+    this.#entries.clear();
+    this.#notifyChange();
+  }
+
+  // Asks the browser whether the listener with registry |id| is still
+  // attached to its event.
+  hasListener(id) {
+    const entry = this.#entries.get(id);
+    if (!entry) {
+      return false;
+    }
+    return this.#getEvent(entry.eventName).hasListener(entry.listener);
+  }
+
+  // Asks the browser whether request[eventName] has any listeners, including
+  // ones that were not added through this registry.
+  hasListeners(eventName) {
+    return this.#getEvent(eventName).hasListeners();
+  }
+
+  #getEvent(eventName) {
+    const event = this.controlledFrame.request?.[eventName];
+    if (typeof event !== 'object' || event === null) {
+      throw new ApiUndefinedError(`request.${eventName}`);
+    }
+    return event;
+  }
+
+  #notifyChange() {
+    if (this.onChange) this.onChange(this.entries());
+  }
+
+  #entries = new Map();
+  #nextId = 1;
+}
@@ -0,0 +1,211 @@
+import { TimeoutError, withTimeout } from '../common.js';
+
+/**
+ * Assertion helpers for the web request tests.
+ *
+ * A TestContext is created for every test run. It owns the listeners the test
+ * adds to the <controlledframe>, records every event they see, and removes
+ * them again in dispose(). Event names starting with "on" refer to the
+ * request.* web request events, all other names are <controlledframe> DOM
+ * events.
+ */
+
+export const DEFAULT_TIMEOUT_MS = 5000;
+// How long a whole test may take.
+export const DEFAULT_TEST_TIMEOUT_MS = 4 * DEFAULT_TIMEOUT_MS;
+const DEFAULT_NO_EVENT_MS = 1000;
+
+export const Outcome = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  TIMEOUT: 'timeout',
+};
+
+export class AssertionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssertionError';
+  }
+}
+
+function isWebRequestEvent(eventName) {
+  return eventName.startsWith('on');
+}
+
+function stringify(value) {
+  return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+}
+
+// Gives |promise| a no-op rejection handler and returns it. Tests create
+// expectations before the step that should satisfy them, and a test that
+// throws in that step never awaits them; awaiting |promise| still throws.
+function handled(promise) {
+  promise.catch(() => {});
+  return promise;
+}
+
+// Returns the value of header |name| in a HttpHeaders array, or undefined.
+export function findHeader(headers, name) {
+  const header = (headers ?? []).find(
+    h => h.name.toLowerCase() === name.toLowerCase());
+  return header?.value;
+}
+
+export class TestContext {
+  events = [];
+
+  constructor(controlledframe, timeoutMs = DEFAULT_TIMEOUT_MS,
+    testTimeoutMs = DEFAULT_TEST_TIMEOUT_MS) {
+    this.controlledframe = controlledframe;
+    this.timeoutMs = timeoutMs;
+    this.testTimeoutMs = testTimeoutMs;
+  }
+
+  // Adds a listener for |eventName| that records every firing in |events| and
+  // calls |onEvent| with the details. For web request events, |filter| and
+  // |extraInfoSpec| are passed to addListener() and the return value of
+  // |response| (an object, or a function of the details) is returned to the
+  // browser as the BlockingResponse.
+  listen(eventName, {
+    filter = { urls: ['<all_urls>'] },
+    extraInfoSpec = [],
+    response = undefined,
+    onEvent = null,
+  } = {}) {
+    const listener = details => {
+      this.events.push({
+        name: eventName,
+        url: details?.url,
+        timeStamp: Date.now(),
+      });
+      if (onEvent) onEvent(details);
+      return typeof response === 'function' ? response(details) : response;
+    };
+
+    if (isWebRequestEvent(eventName)) {
+      const event = this.controlledframe.request?.[eventName];
+      if (typeof event !== 'object') {
+        throw new AssertionError(`request.${eventName}: API undefined`);
+      }
+      event.addListener(listener, filter, extraInfoSpec);
+      this.#removers.push(() => event.removeListener(listener));
+    } else {
+      this.controlledframe.addEventListener(eventName, listener);
+      this.#removers.push(
+        () => this.controlledframe.removeEventListener(eventName, listener));
+    }
+    return listener;
+  }
+
+  // Resolves with the details of the first |eventName| event that satisfies
+  // |predicate|. Rejects with a TimeoutError if none arrives in |timeoutMs|.
+  expectEvent(eventName, {
+    predicate = () => true,
+    timeoutMs = this.timeoutMs,
+    ...listenOptions
+  } = {}) {
+    const fired = new Promise(resolve => {
+      let done = false;
+      this.listen(eventName, {
+        ...listenOptions,
+        onEvent: details => {
+          if (done || !predicate(details)) return;
+          done = true;
+          resolve(details);
+        },
+      });
+    });
+    return handled(
+      withTimeout(fired, timeoutMs, `expectEvent(${eventName})`));
+  }
+
+  // Resolves if no |eventName| event satisfying |predicate| fires within
+  // |durationMs|, rejects with an AssertionError as soon as one does.
+  expectNoEvent(eventName, {
+    predicate = () => true,
+    durationMs = DEFAULT_NO_EVENT_MS,
+    ...listenOptions
+  } = {}) {
+    return handled(new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, durationMs);
+      this.listen(eventName, {
+        ...listenOptions,
+        onEvent: details => {
+          if (!predicate(details)) return;
+          clearTimeout(timer);
+          reject(new AssertionError(
+            `expectNoEvent(${eventName}): fired for ${details?.url}`));
+        },
+      });
+    }));
+  }
+
+  assertTrue(condition, message) {
+    if (!condition) {
+      throw new AssertionError(message);
+    }
+  }
+
+  assertEquals(actual, expected, label) {
+    if (actual !== expected) {
+      throw new AssertionError(
+        `${label}: expected ${stringify(expected)}, got ${stringify(actual)}`);
+    }
+  }
+
+  // Asserts each field of |expected| against the same field of |details|.
+  // Nested objects such as details.challenger are compared field by field.
+  assertDetails(details, expected, label = 'details') {
+    for (const [key, value] of Object.entries(expected)) {
+      if (value !== null && typeof value === 'object') {
+        this.assertDetails(details?.[key] ?? {}, value, `${label}.${key}`);
+      } else {
+        this.assertEquals(details?.[key], value, `${label}.${key}`);
+      }
+    }
+  }
+
+  // Asserts that the recorded events contain |expectedNames| in this order.
+  // Other events may be interleaved.
+  assertEventOrder(expectedNames) {
+    const actualNames = this.events.map(e => e.name);
+    let i = 0;
+    for (const name of actualNames) {
+      if (name === expectedNames[i]) i++;
+      if (i === expectedNames.length) return;
+    }
+    throw new AssertionError(
+      `expected events in order [${expectedNames.join(', ')}], ` +
+      `got [${actualNames.join(', ')}]`);
+  }
+
+  // Runs |test| with this context and resolves with its result. Never
+  // rejects: failures and timeouts, including the test not finishing within
+  // |testTimeoutMs|, are reported through |outcome|.
+  async run(name, test) {
+    const start = performance.now();
+    const result = { name, outcome: Outcome.PASS, message: '', durationMs: 0 };
+    try {
+      await withTimeout(test(this), this.testTimeoutMs, name);
+    } catch (e) {
+      result.outcome =
+        e instanceof TimeoutError ? Outcome.TIMEOUT : Outcome.FAIL;
+      result.message = e?.message ?? String(e);
+    } finally {
+      this.dispose();
+    }
+    result.durationMs = Math.round(performance.now() - start);
+    result.events = this.events;
+    return result;
+  }
+
+  // Removes every listener added through this context.
+  dispose() {
+    for (const remove of this.#removers) {
+      remove();
+    }
+    this.#removers = [];
+  }
+
+  #removers = [];
+}
@@ -1,9 +1,31 @@
+import { FIXTURE_ORIGIN, downloadFile, withTimeout } from '../common.js';
+import { ControlledFrameAdapter, NavigationAbortedError } from '../controlledframe_adapter.js';
+import { AssertionError, DEFAULT_TIMEOUT_MS, Outcome, TestContext, findHeader } from './expectations.js';
 import { LitElement, css, html } from '../lit-all.min.js';
+import { logger } from '../logger.js';
+
+const ALLOWED_URL = `${FIXTURE_ORIGIN}/pages/allowed`;
+const BLOCKED_URL = `${FIXTURE_ORIGIN}/pages/blocked`;
+const AUTH_URL = `${FIXTURE_ORIGIN}/auth/basic`;
+const REDIRECT_URL =
+  `${FIXTURE_ORIGIN}/redirect?status=302&hops=2&to=/pages/redirected`;
+const HEADERS_URL = `${FIXTURE_ORIGIN}/headers?header=X-Fixture:webrequest`;
+const RESET_URL = `${FIXTURE_ORIGIN}/reset`;
+const FIXTURE_URLS = [`${FIXTURE_ORIGIN}/*`];
+// The server that challenges requests to AUTH_URL, as onAuthRequired reports
+// it.
+const FIXTURE_CHALLENGER = (({ hostname, port, protocol }) => ({
+  host: hostname,
+  port: Number(port) || (protocol === 'https:' ? 443 : 80),
+}))(new URL(FIXTURE_ORIGIN));
 
 export class WebRequestTest extends LitElement {
   controlledframe;
+  frame;
+  frameContainer;
   srcInput;
   resultsDiv;
+  runAllResults = [];
   testNameToInfo = new Map();
 
   static styles = css`
@@ -38,37 +60,102 @@ export class WebRequestTest extends LitElement {
       overflow-wrap: normal;
       overflow-y: auto;
     }
+
+    #summary {
+      width: 100%;
+      border-collapse: collapse;
+    }
+
+    #summary th,
+    #summary td {
+      border: 1px solid darkblue;
+      padding: 0.25em;
+      text-align: left;
+      vertical-align: top;
+    }
+
+    .pass {
+      color: darkgreen;
+    }
+
+    .fail,
+    .timeout {
+      color: darkred;
+    }
   `;
 
   // public functions
   // Returns a promise that resolves when the Controlled Frame is navigated to
   // src. If |shouldAbort| is true, then the promise is resolved if |loadabort|
-  // is fired.
+  // is fired, and rejects with an AssertionError if the navigation commits.
   navigateFrame(src, shouldAbort = false) {
-    return new Promise((resolve, reject) => {
-      this.controlledframe.addEventListener('loadcommit', function oncommit(details) {
-        if (shouldAbort) {
-          reject(details.url);
-        } else {
-          resolve(details.url);
-        }
-        this.controlledframe.removeEventListener('loadcommit', oncommit);
-      }.bind(this));
-      this.controlledframe.addEventListener('loadabort', function onabort(details) {
-        if (shouldAbort) {
-          resolve(details.url);
-        } else {
-          reject(details.url);
-        }
-        this.controlledframe.removeEventListener('loadabort', onabort);
-      }.bind(this));
-      this.controlledframe.src = src;
+    const navigation = this.frame.navigate(src);
+    if (!shouldAbort) {
+      return navigation;
+    }
+    return navigation.then(url => {
+      throw new AssertionError(
+        `Navigation to ${src} should have been canceled, committed ${url}`);
+    }, err => {
+      if (!(err instanceof NavigationAbortedError)) throw err;
+      return err.url;
     });
   }
 
+  // Runs the selected test and resolves with its result: the test name, an
+  // Outcome, a failure message, its duration and the events it recorded.
+  // Resolves with null, without running it, while another run is in progress.
   runTest() {
-    this.resultsDiv.innerText = '';
-    this.testNameToInfo.get(this.#getActiveTest()).function();
+    return this.#runExclusively(async () => {
+      const name = this.#getActiveTest();
+      this.resultsDiv.innerText = `Running ${name}...`;
+      const result = await this.#runTestInFreshFrame(name);
+      this.resultsDiv.innerText = this.#formatResult(result);
+      return result;
+    });
+  }
+
+  // Runs every test in testNameToInfo in order and renders a summary table.
+  // Resolves with the results of all the tests, or with null while another
+  // run is in progress.
+  runAllTests() {
+    return this.#runExclusively(async () => {
+      this.runAllResults = [];
+      this.requestUpdate();
+      for (const name of this.testNameToInfo.keys()) {
+        this.resultsDiv.innerText = `Running ${name}...`;
+        this.runAllResults.push(await this.#runTestInFreshFrame(name));
+        this.requestUpdate();
+      }
+      const summary = this.getSummary();
+      this.resultsDiv.innerText = `Ran ${summary.total} tests: ` +
+        `${summary.pass} passed, ${summary.fail} failed, ` +
+        `${summary.timeout} timed out`;
+      return this.runAllResults;
+    });
+  }
+
+  // Returns the number of tests with each Outcome in the last run-all.
+  getSummary() {
+    const summary = { total: this.runAllResults.length, durationMs: 0 };
+    for (const outcome of Object.values(Outcome)) {
+      summary[outcome] = 0;
+    }
+    for (const result of this.runAllResults) {
+      summary[result.outcome]++;
+      summary.durationMs += result.durationMs;
+    }
+    return summary;
+  }
+
+  exportResults() {
+    const report = {
+      userAgent: navigator.userAgent,
+      summary: this.getSummary(),
+      results: this.runAllResults,
+    };
+    downloadFile(
+      'web_request_test_results.json', JSON.stringify(report, null, 2));
   }
 
   // Lit inherited function overrides.
@@ -88,21 +175,21 @@ export class WebRequestTest extends LitElement {
       'onBeforeRequestCancel',
       {
         description:
-          'onBeforeRequest: Cancel navigation to https://www.chromium.org',
+          `onBeforeRequest: Cancel navigation to ${BLOCKED_URL}`,
         function: this.#onBeforeRequestCancelsNavigation.bind(this)
       });
     this.testNameToInfo.set(
       'onBeforeSendHeadersCancel',
       {
         description:
-          'onBeforeSendHeaders: Cancel navigation to https://www.chromium.org',
+          `onBeforeSendHeaders: Cancel navigation to ${BLOCKED_URL}`,
         function: this.#onBeforeSendHeadersCancelsNavigation.bind(this)
       });
     this.testNameToInfo.set(
       'onHeadersReceivedCancel',
       {
         description:
-          'onHeadersReceived: Cancel navigation to https://www.chromium.org',
+          `onHeadersReceived: Cancel navigation to ${BLOCKED_URL}`,
         function: this.#onHeadersReceivedCancelsNavigation.bind(this)
       });
     this.testNameToInfo.set(
@@ -157,49 +244,146 @@ export class WebRequestTest extends LitElement {
     return html`
       <div class="content">
         <h1>Controlled Frame Web Request Test</h1>
-        <div class="controlledframe">
-          <controlledframe
-              id="view" src="https://google.com" maxwidth="300" maxheight="300">
-          </controlledframe>
-        </div>
+        <div class="controlledframe" id="frame_container"></div>
         <div id="tests">
           <label for="selectedTest">Web Request test</label>
           <select name="tests" id="selectedTest">${tests}</select>
-          <button @click="${this.runTest}">Run Test</button>
+          <button ?disabled="${this.#running}" @click="${this.runTest}">
+            Run Test
+          </button>
+          <button ?disabled="${this.#running}" @click="${this.runAllTests}">
+            Run all
+          </button>
         </div>
         <div id="results"></div>
+        ${this.#renderSummary()}
       </div>
     `;
   }
 
-  updated() {
+  firstUpdated() {
     this.#getElements();
+    this.#createFrame();
+  }
+
+  // private functions
+  #renderSummary() {
+    if (this.runAllResults.length === 0) {
+      return html``;
+    }
+    const rows = this.runAllResults.map(result => html`
+      <tr>
+        <td>${result.name}</td>
+        <td class="${result.outcome}">${result.outcome}</td>
+        <td>${result.durationMs}ms</td>
+        <td>${result.message}</td>
+        <td>
+          <details>
+            <summary>${result.events.length} events</summary>
+            <ol>
+              ${result.events.map(e => html`<li>${e.name} ${e.url ?? ''}</li>`)}
+            </ol>
+          </details>
+        </td>
+      </tr>
+    `);
+    return html`
+      <table id="summary">
+        <tr>
+          <th>Test</th>
+          <th>Outcome</th>
+          <th>Duration</th>
+          <th>Message</th>
+          <th>Event log</th>
+        </tr>
+        ${rows}
+      </table>
+      <button @click="${this.exportResults}">Export JSON</button>
+    `;
+  }
+
+  // Replaces the <controlledframe> with a new one, so listeners added by a
+  // previous test can't affect the next one, and waits for its first load.
+  async #createFrame() {
+    if (this.controlledframe) {
+      this.controlledframe.remove();
+    }
+    this.controlledframe = document.createElement('controlledframe');
+    this.controlledframe.id = 'view';
+    this.controlledframe.setAttribute('maxwidth', '300');
+    this.controlledframe.setAttribute('maxheight', '300');
+    this.frameContainer.appendChild(this.controlledframe);
+    this.frame = new ControlledFrameAdapter(this.controlledframe);
+    this.#addLoggingListeners();
+
+    const loaded = new Promise(resolve => {
+      this.controlledframe.addEventListener('loadstop', resolve, { once: true });
+    });
+    this.controlledframe.src = ALLOWED_URL;
+    try {
+      await withTimeout(loaded, DEFAULT_TIMEOUT_MS, 'createFrame');
+    } catch (e) {
+      logger.warn(`${e.message}, continuing anyway`);
+    }
+  }
 
-    this.controlledframe.addEventListener(
-      'contentload', () => { console.log(`contentload fired`) });
-    this.controlledframe.addEventListener('loadabort',
-      details => { console.log(`loadabort fired for ${details.url}`) });
-    this.controlledframe.addEventListener('loadcommit',
-      details => { console.log(`loadcommit fired for ${details.url}`) });
-    this.controlledframe.addEventListener('loadredirect',
-      details => {
-        console.log(`loadredirect fired for ${details.oldUrl} \
-        to ${details.newUrl}`)
+  // Runs |run| unless another run is in progress, with the run buttons
+  // disabled. Resolves with its result, or with null if it didn't run.
+  async #runExclusively(run) {
+    if (this.#running) {
+      logger.warn('A web request test run is already in progress');
+      return null;
+    }
+    this.#running = true;
+    this.requestUpdate();
+    try {
+      return await run();
+    } finally {
+      this.#running = false;
+      this.requestUpdate();
+    }
+  }
+
+  async #runTestInFreshFrame(name) {
+    await this.#createFrame();
+    const context = new TestContext(this.controlledframe);
+    return context.run(name, this.testNameToInfo.get(name).function);
+  }
+
+  #addLoggingListeners() {
+    const events = {
+      contentload: e => null,
+      loadabort: e => ({ url: e.url, code: e.code, reason: e.reason }),
+      loadcommit: e => ({ url: e.url, isTopLevel: e.isTopLevel }),
+      loadredirect: e => ({ oldUrl: e.oldUrl, newUrl: e.newUrl }),
+      loadstart: e => ({ url: e.url, isTopLevel: e.isTopLevel }),
+      loadstop: e => null,
+    };
+    for (const [event, payloadOf] of Object.entries(events)) {
+      this.controlledframe.addEventListener(event, e => {
+        logger.event(`${event} fired`, {
+          source: { event },
+          payload: payloadOf(e),
+        });
       });
-    this.controlledframe.addEventListener('loadstart',
-      details => { console.log(`loadstart fired for ${details.url}`) });
-    this.controlledframe.addEventListener(
-      'loadstop', () => { console.log(`loadstop fired`) });
+    }
   }
 
-  // private functions
   #getElements() {
-    this.controlledframe = this.renderRoot.getElementById('view');
+    this.frameContainer = this.renderRoot.getElementById('frame_container');
     this.srcInput = this.renderRoot.getElementById('src');
     this.resultsDiv = this.renderRoot.getElementById('results');
     this.selectedTestSelect = this.renderRoot.getElementById('selectedTest');
   }
 
+  #formatResult(result) {
+    const status = `${result.outcome.toUpperCase()}: ${result.name} ` +
+      `(${result.durationMs}ms)`;
+    const events = result.events.map(e => `  ${e.name} ${e.url ?? ''}`);
+    return [status, result.message, 'Events:', ...events]
+      .filter(line => line.length > 0).join('\n');
+  }
+
   #getActiveTest() {
     return this.selectedTestSelect.value;
   }
@@ -227,135 +411,160 @@ export class WebRequestTest extends LitElement {
   }
 
   // Tests
-  async #expectNavigationToBeCanceled() {
-    try {
-      await this.navigateFrame('https://www.chrome.com');
-      await this.navigateFrame('https://www.chromium.org', /*shouldAbort=*/true);
-      this.resultsDiv.innerText = 'Success: Navigation to chromium was blocked.';
-    } catch (e) {
-      if (e.includes('chrome')) {
-        this.resultsDiv.innerText =
-          'Failure: Navigation to chrome.com should have succeeded.';
-      } else {
-        this.resultsDiv.innerText =
-          'Failure: Navigation to chromium.org should have failed.';
-      }
-    }
+  // Each test receives a TestContext and throws (or times out) on failure.
+  async #expectNavigationToBeCanceled(t, eventName) {
+    await this.navigateFrame(ALLOWED_URL).catch(err => {
+      throw new AssertionError(
+        `Navigation to ${ALLOWED_URL} should have succeeded: ${err.message}`);
+    });
+    const fired = t.expectEvent(eventName, {
+      predicate: details => details.url === BLOCKED_URL,
+    });
+    const notCompleted = t.expectNoEvent('onCompleted', {
+      filter: { urls: [BLOCKED_URL] },
+    });
+    await this.navigateFrame(BLOCKED_URL, /*shouldAbort=*/true);
+    await fired;
+    await notCompleted;
   }
 
-  async #onBeforeRequestCancelsNavigation() {
-    this.controlledframe.request.onBeforeRequest.addListener(() => {
-      return { cancel: true };
-    }, { urls: ['https://www.chromium.org/*'] }, ['blocking']);
-    this.#expectNavigationToBeCanceled();
+  async #onBeforeRequestCancelsNavigation(t) {
+    t.listen('onBeforeRequest', {
+      filter: { urls: [BLOCKED_URL] },
+      extraInfoSpec: ['blocking'],
+      response: { cancel: true },
+    });
+    await this.#expectNavigationToBeCanceled(t, 'onBeforeRequest');
   }
 
-  async #onBeforeSendHeadersCancelsNavigation() {
-    this.controlledframe.request.onBeforeSendHeaders.addListener(() => {
-      return { cancel: true };
-    }, { urls: ['https://www.chromium.org/*'] }, ['blocking']);
-    this.#expectNavigationToBeCanceled();
+  async #onBeforeSendHeadersCancelsNavigation(t) {
+    t.listen('onBeforeSendHeaders', {
+      filter: { urls: [BLOCKED_URL] },
+      extraInfoSpec: ['blocking'],
+      response: { cancel: true },
+    });
+    await this.#expectNavigationToBeCanceled(t, 'onBeforeSendHeaders');
   }
 
-  async #onHeadersReceivedCancelsNavigation() {
-    this.controlledframe.request.onBeforeSendHeaders.addListener(() => {
-      return { cancel: true };
-    }, { urls: ['https://www.chromium.org/*'] }, ['blocking']);
-    this.#expectNavigationToBeCanceled();
+  async #onHeadersReceivedCancelsNavigation(t) {
+    t.listen('onHeadersReceived', {
+      filter: { urls: [BLOCKED_URL] },
+      extraInfoSpec: ['blocking'],
+      response: { cancel: true },
+    });
+    await this.#expectNavigationToBeCanceled(t, 'onHeadersReceived');
   }
 
-  async #onAuthRequiredFired() {
-    this.controlledframe.request.onAuthRequired.addListener((details) => {
-      this.resultsDiv.innerText =
-        `onAuthRequired event was fired; challenger is \
-        ${details.challenger.host}:${details.challenger.port}`;
-      return { cancel: true };
-    }, { urls: ['https://www.w3.org/Member/'] }, ['blocking']);
-    try {
-      await this.navigateFrame('https://www.w3.org/Member/', /*shouldAbort=*/true);
-    } catch (e) {
-      if (this.resultsDiv.innerText.length === 0) {
-        this.resultsDiv.innerText = 'Failure: onAuthRequired not fired';
-      }
-    }
+  async #onAuthRequiredFired(t) {
+    const fired = t.expectEvent('onAuthRequired', {
+      filter: { urls: [AUTH_URL] },
+      extraInfoSpec: ['blocking'],
+      response: { cancel: true },
+    });
+    this.controlledframe.src = AUTH_URL;
+    const details = await fired;
+    t.assertDetails(details, {
+      url: AUTH_URL,
+      isProxy: false,
+      scheme: 'basic',
+      realm: 'controlled-frame-fixtures',
+      challenger: FIXTURE_CHALLENGER,
+    });
   }
 
-  #onBeforeRedirectFired() {
-    this.controlledframe.request.onBeforeRedirect.addListener((details) => {
-      this.resultsDiv.innerText += `Success: onBeforeRedirect fired for \
-        redirect from ${details.url} to ${details.redirectUrl}`;
-    }, { urls: ['<all_urls>'] });
-    this.controlledframe.src = "https://www.crrev.com/c/";
+  async #onBeforeRedirectFired(t) {
+    const redirected = t.expectEvent('onBeforeRedirect', {
+      filter: { urls: FIXTURE_URLS },
+    });
+    const completed = t.expectEvent('onCompleted', {
+      filter: { urls: FIXTURE_URLS },
+    });
+    this.controlledframe.src = REDIRECT_URL;
+    const details = await redirected;
+    t.assertDetails(details, { url: REDIRECT_URL, statusCode: 302 });
+    t.assertTrue(details.redirectUrl.startsWith(`${FIXTURE_ORIGIN}/redirect`),
+      `first redirect should stay in the chain, got ${details.redirectUrl}`);
+    await completed;
+    t.assertEventOrder(['onBeforeRedirect', 'onBeforeRedirect', 'onCompleted']);
   }
 
-  #onCompletedFired() {
-    this.controlledframe.request.onCompleted.addListener((details) => {
-      this.resultsDiv.innerText += `Success: onCompleted fired for \
-        ${details.url} with status ${details.statusLine}`;
-    }, { urls: ['<all_urls>'] });
-    this.controlledframe.src = "https://www.chromium.org";
+  async #onCompletedFired(t) {
+    const fired = t.expectEvent('onCompleted', {
+      filter: { urls: FIXTURE_URLS },
+    });
+    this.controlledframe.src = ALLOWED_URL;
+    t.assertDetails(await fired, {
+      url: ALLOWED_URL,
+      method: 'GET',
+      type: 'main_frame',
+      statusCode: 200,
+      fromCache: false,
+    });
   }
 
-  #onErrorOccurredFired() {
-    this.controlledframe.request.onErrorOccurred.addListener((details) => {
-      this.resultsDiv.innerText += `Success: onErrorOccurred fired for \
-        ${details.url} with error ${details.error}`;
-    }, { urls: ['<all_urls>'] });
-    this.controlledframe.src = "https://invalid-url";
+  async #onErrorOccurredFired(t) {
+    const fired = t.expectEvent('onErrorOccurred', {
+      filter: { urls: FIXTURE_URLS },
+    });
+    const notCompleted = t.expectNoEvent('onCompleted', {
+      filter: { urls: [RESET_URL] },
+    });
+    this.controlledframe.src = RESET_URL;
+    t.assertDetails(await fired, {
+      url: RESET_URL,
+      error: 'net::ERR_CONNECTION_RESET',
+    });
+    await notCompleted;
   }
 
-  #onHeadersReceivedFired() {
-    this.controlledframe.request.onHeadersReceived.addListener((details) => {
-      let headers = 'headers received: ';
-      if (details.responseHeaders) {
-        for (const header of details.responseHeaders) {
-          headers += `${header.name}: ${header.value}; `;
-        }
-      } else {
-        headers = 'no headers received';
-      }
-      this.resultsDiv.innerText += `Success: onHeadersReceived fired for \
-        ${details.url} with ${headers}`;
-    }, { urls: ['<all_urls>'] }, ['blocking']);
-    this.controlledframe.src = 'https://www.google.com';
+  async #onHeadersReceivedFired(t) {
+    const fired = t.expectEvent('onHeadersReceived', {
+      filter: { urls: FIXTURE_URLS },
+      extraInfoSpec: ['responseHeaders'],
+    });
+    this.controlledframe.src = HEADERS_URL;
+    const details = await fired;
+    t.assertDetails(details, { url: HEADERS_URL, statusCode: 200 });
+    t.assertEquals(findHeader(details.responseHeaders, 'X-Fixture'),
+      'webrequest', 'X-Fixture response header');
   }
 
-  #onResponseStartedFired() {
-    this.controlledframe.request.onResponseStarted.addListener((details) => {
-      let headers = 'headers received: ';
-      if (details.responseHeaders) {
-        for (const header of details.responseHeaders) {
-          headers += `${header.name}: ${header.value}; `;
-        }
-      } else {
-        headers = 'no headers received';
-      }
-      this.resultsDiv.innerText += `Success: onResponseStarted fired for \
-        ${details.url} with ${headers}`;
-    }, { urls: ['<all_urls>'] });
-    this.controlledframe.src = "https://www.google.com";
+  async #onResponseStartedFired(t) {
+    const fired = t.expectEvent('onResponseStarted', {
+      filter: { urls: FIXTURE_URLS },
+      extraInfoSpec: ['responseHeaders'],
+    });
+    this.controlledframe.src = HEADERS_URL;
+    const details = await fired;
+    t.assertDetails(details, { url: HEADERS_URL, statusCode: 200 });
+    t.assertEquals(findHeader(details.responseHeaders, 'X-Fixture'),
+      'webrequest', 'X-Fixture response header');
   }
 
-  #onSendHeadersFired() {
-    this.controlledframe.request.onBeforeSendHeaders.addListener(() => {
-      return {
-        responseHeaders: [{ name: 'test', value: 'testValue' }]
-      };
-    }, { urls: ['<all_urls>'] }, ['blocking']);
-    this.controlledframe.request.onSendHeaders.addListener((details) => {
-      let headers = 'headers received: ';
-      if (details.responseHeaders) {
-        for (const header of details.responseHeaders) {
-          headers += `${header.name}: ${header.value}; `;
-        }
-      } else {
-        headers = 'no headers received';
-      }
-      this.resultsDiv.innerText += `Success: onSendHeaders fired for \
-        ${details.url} with ${headers}`;
-    }, { urls: ['<all_urls>'] });
-    this.controlledframe.src = "https://www.google.com";
+  async #onSendHeadersFired(t) {
+    t.listen('onBeforeSendHeaders', {
+      filter: { urls: FIXTURE_URLS },
+      extraInfoSpec: ['blocking', 'requestHeaders'],
+      response: details => ({
+        requestHeaders: [
+          ...(details.requestHeaders ?? []),
+          { name: 'X-Test', value: 'testValue' },
+        ],
+      }),
+    });
+    const fired = t.expectEvent('onSendHeaders', {
+      filter: { urls: FIXTURE_URLS },
+      extraInfoSpec: ['requestHeaders'],
+    });
+    this.controlledframe.src = ALLOWED_URL;
+    const details = await fired;
+    t.assertEquals(details.url, ALLOWED_URL, 'details.url');
+    t.assertEquals(findHeader(details.requestHeaders, 'X-Test'), 'testValue',
+      'X-Test request header');
+    t.assertEventOrder(['onBeforeSendHeaders', 'onSendHeaders']);
   }
+
+  #running = false;
 };
 
 customElements.define('web-request-test', WebRequestTest);